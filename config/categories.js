@@ -0,0 +1,377 @@
+// ============================================
+// Try-on Categories
+// ============================================
+// Everything the app knows about a product category, in one place. Routes accept exactly these
+// category names (save-categories, outfits, prompt settings, support endpoints).
+//
+// label              - name shown to merchants
+// subject            - what the shopper's photo shows: 'person' (themselves) or 'room' (where the item would go)
+// prompt             - built-in try-on prompt template (version 0, see services/prompt-templates.js)
+// advice_prompt      - template for the short text returned with the result
+// outfit_rule        - how the product is placed when several products are combined in one image;
+//                      null when the category can't be part of an outfit
+// placements         - kinds of product within the category (detected from the product image) -> where it goes;
+//                      empty when every product of the category goes in the same place
+// photo_requirements - what has to be in the photo: analyzePhoto field -> issue
+
+// Framing issues shared by several categories
+const UPPER_BODY_VISIBLE = { code: 'upper_body_not_visible', message: 'Make sure your upper body (head to waist) is in the photo.' };
+const PERSON_ADVICE_PROMPT = 'Based on this person and the product "{{product_name}}", give personalized styling advice in 2-3 sentences. Be encouraging and specific.';
+
+const CATEGORIES = {
+  apparel: {
+    label: 'Apparel',
+    subject: 'person',
+    prompt: `You are a professional virtual try-on AI. I am providing you with TWO images:
+
+IMAGE 1: A photo of a PERSON (the customer)
+IMAGE 2: A photo of a CLOTHING PRODUCT ({{product_name}})
+
+YOUR TASK:
+Generate a realistic photo showing the SAME PERSON from Image 1 wearing the CLOTHING from Image 2.
+
+CRITICAL REQUIREMENTS:
+1. PRESERVE the person's face, facial features, and identity from Image 1
+2. PRESERVE the person's body shape, skin tone, and hair from Image 1
+3. PRESERVE the person's pose and stance from Image 1
+4. REPLACE only the clothing with the product from Image 2
+5. Keep the same background and lighting from Image 1
+6. Make the clothing fit naturally on the person's body
+7. Ensure realistic shadows, wrinkles, and fabric draping
+8. The final image should look like a professional product photo of THIS SPECIFIC PERSON wearing THIS SPECIFIC PRODUCT
+
+DO NOT:
+- Change the person's face or identity
+- Create a different person
+- Just show the product alone
+- Change the background significantly
+
+Generate the image now showing the person from Image 1 wearing the clothing from Image 2.`,
+    advice_prompt: PERSON_ADVICE_PROMPT,
+    outfit_rule: 'Dress the person in it, fitted naturally to their body and pose, replacing the clothing it covers.',
+    placements: {
+      top: 'on the upper body',
+      bottoms: 'on the hips and legs',
+      dress: 'on the whole body, from the shoulders down',
+      outerwear: 'over the clothing on the upper body',
+    },
+    photo_requirements: {
+      upper_body_visible: UPPER_BODY_VISIBLE,
+    },
+  },
+  jewellery: {
+    label: 'Jewellery',
+    subject: 'person',
+    prompt: `You are a professional virtual try-on AI for JEWELRY. I am providing you with TWO images:
+
+IMAGE 1: A photo of a PERSON (the customer)
+IMAGE 2: A photo of a JEWELRY PRODUCT ({{product_name}})
+
+YOUR TASK:
+Generate a realistic photo showing the SAME PERSON from Image 1 wearing the JEWELRY from Image 2.
+
+CRITICAL REQUIREMENTS:
+1. PRESERVE the person's face, facial features, and identity from Image 1
+2. PRESERVE the person's body shape, skin tone, and hair from Image 1
+3. PRESERVE the person's pose and stance from Image 1
+4. PLACE the jewelry naturally on the person:
+   - Necklace: On the neck/chest area
+   - Earrings: On the ears
+   - Ring: On the finger
+   - Bracelet: On the wrist
+   - Pendant: Hanging from neck
+5. Keep the same background and lighting from Image 1
+6. Make the jewelry clearly VISIBLE and prominent
+7. Ensure realistic reflections and shine on the jewelry
+8. The jewelry should look natural and properly sized for the person
+
+
+DO NOT:
+- Change the person's face or identity
+- Make the jewelry too small or invisible
+- Create a different person
+- Just show the jewelry alone
+- Change the background significantly
+
+Generate the image now showing the person from Image 1 wearing the jewelry from Image 2.`,
+    advice_prompt: PERSON_ADVICE_PROMPT,
+    outfit_rule: 'Place it where it is worn (neck, ears, wrist or finger), correctly sized, catching the light and clearly visible.',
+    placements: {
+      ring: 'on a finger',
+      necklace: 'around the neck, resting on the chest',
+      earrings: 'on the ears',
+      bracelet: 'on the wrist',
+    },
+    photo_requirements: {
+      face_visible: { code: 'face_not_visible', message: 'Make sure your face and neck are clearly visible.' },
+    },
+  },
+  footwear: {
+    label: 'Footwear',
+    subject: 'person',
+    prompt: `You are a professional virtual try-on AI for FOOTWEAR. I am providing you with TWO images:
+
+IMAGE 1: A photo of a PERSON (the customer)
+IMAGE 2: A photo of SHOES/FOOTWEAR ({{product_name}})
+
+YOUR TASK:
+Generate a realistic photo showing the SAME PERSON from Image 1 wearing the FOOTWEAR from Image 2.
+
+CRITICAL REQUIREMENTS:
+1. PRESERVE the person's face, facial features, and identity from Image 1
+2. PRESERVE the person's body shape, skin tone, and hair from Image 1
+3. PRESERVE the person's pose and stance from Image 1
+4. REPLACE only the footwear/shoes with the product from Image 2
+5. Show FULL BODY or at least from waist down so the shoes are clearly visible
+6. Make the shoes fit naturally on the person's feet
+7. Ensure realistic shadows and proper foot positioning
+8. Keep the same background and lighting from Image 1
+9. The shoes should look properly sized and natural on the person
+
+DO NOT:
+- Change the person's face or identity
+- Hide the shoes or make them too small
+- Create a different person
+- Just show the shoes alone
+- Crop out the feet
+- Change the background significantly
+
+Generate the image now showing the person from Image 1 wearing the footwear from Image 2.`,
+    advice_prompt: PERSON_ADVICE_PROMPT,
+    outfit_rule: 'Put it on the person\'s feet, matching their stance; show the full length of the body so the shoes are visible.',
+    placements: {},
+    photo_requirements: {
+      feet_visible: { code: 'feet_not_visible', message: 'Make sure both feet are in the photo - a full-length shot works best.' },
+    },
+  },
+  accessories: {
+    label: 'Accessories',
+    subject: 'person',
+    prompt: `You are a professional virtual try-on AI for ACCESSORIES. I am providing you with TWO images:
+
+IMAGE 1: A photo of a PERSON (the customer)
+IMAGE 2: A photo of an ACCESSORY PRODUCT ({{product_name}})
+
+YOUR TASK:
+Generate a realistic photo showing the SAME PERSON from Image 1 using/wearing the ACCESSORY from Image 2.
+
+CRITICAL REQUIREMENTS:
+1. PRESERVE the person's face, facial features, and identity from Image 1
+2. PRESERVE the person's body shape, skin tone, and hair from Image 1
+3. PRESERVE the person's pose and stance from Image 1
+4. PLACE the accessory naturally on the person:
+   - Bag/Purse: In hand or on shoulder
+   - Watch: On wrist
+   - Sunglasses: On face or held in hand
+   - Hat/Cap: On head
+   - Scarf: Around neck
+   - Belt: Around waist
+5. Keep the same background and lighting from Image 1
+6. Make the accessory clearly VISIBLE and prominent
+7. Ensure realistic positioning and natural interaction with the accessory
+8. The accessory should look properly sized for the person
+
+DO NOT:
+- Change the person's face or identity
+- Make the accessory too small or invisible
+- Create a different person
+- Just show the accessory alone
+- Change the background significantly
+
+Generate the image now showing the person from Image 1 using/wearing the accessory from Image 2.`,
+    advice_prompt: PERSON_ADVICE_PROMPT,
+    outfit_rule: 'Have the person wear or hold it naturally (bag on the shoulder or in hand, hat on the head, belt at the waist).',
+    placements: {
+      bag: 'on the shoulder or in the hand',
+      watch: 'on the wrist',
+      scarf: 'around the neck',
+      belt: 'around the waist',
+    },
+    photo_requirements: {
+      upper_body_visible: UPPER_BODY_VISIBLE,
+    },
+  },
+  eyewear: {
+    label: 'Eyewear',
+    subject: 'person',
+    prompt: `You are a professional virtual try-on AI for EYEWEAR. I am providing you with TWO images:
+
+IMAGE 1: A photo of a PERSON (the customer)
+IMAGE 2: A photo of GLASSES / SUNGLASSES ({{product_name}})
+
+YOUR TASK:
+Generate a realistic photo showing the SAME PERSON from Image 1 wearing the EYEWEAR from Image 2.
+
+CRITICAL REQUIREMENTS:
+1. PRESERVE the person's face, facial features, and identity from Image 1
+2. PRESERVE the person's skin tone, hair, and expression from Image 1
+3. PRESERVE the person's pose and head angle from Image 1
+4. PLACE the frames on the face: resting on the nose bridge, arms running to the ears, lenses centred on the eyes
+5. Match the frame size to the person's face and follow the head angle and perspective
+6. Keep the frame shape, color, and lens tint exactly as in Image 2
+7. Ensure realistic lens reflections and shadows on the face
+8. Keep the same background and lighting from Image 1
+
+DO NOT:
+- Change the person's face, eyes, or identity
+- Make the frames too large, too small, or floating off the face
+- Create a different person
+- Just show the glasses alone
+- Change the background significantly
+
+Generate the image now showing the person from Image 1 wearing the eyewear from Image 2.`,
+    advice_prompt: PERSON_ADVICE_PROMPT,
+    outfit_rule: 'Put it on the face, resting on the nose bridge and ears, sized to the face and following the head angle.',
+    placements: {},
+    photo_requirements: {
+      face_visible: { code: 'face_not_visible', message: 'Make sure your face is clearly visible and facing the camera.' },
+    },
+  },
+  headwear: {
+    label: 'Hats & headwear',
+    subject: 'person',
+    prompt: `You are a professional virtual try-on AI for HEADWEAR. I am providing you with TWO images:
+
+IMAGE 1: A photo of a PERSON (the customer)
+IMAGE 2: A photo of a HAT / CAP / HEADWEAR PRODUCT ({{product_name}})
+
+YOUR TASK:
+Generate a realistic photo showing the SAME PERSON from Image 1 wearing the HEADWEAR from Image 2.
+
+CRITICAL REQUIREMENTS:
+1. PRESERVE the person's face, facial features, and identity from Image 1
+2. PRESERVE the person's skin tone and hair color from Image 1
+3. PRESERVE the person's pose and head angle from Image 1
+4. PLACE the headwear on the head the way it is meant to be worn, sized to the head
+5. Let the hair under and around the headwear fall naturally
+6. Keep the shape, color, and material of the headwear exactly as in Image 2
+7. Ensure realistic shadows on the forehead and face
+8. Keep the same background and lighting from Image 1
+
+DO NOT:
+- Change the person's face or identity
+- Crop off the top of the headwear
+- Create a different person
+- Just show the headwear alone
+- Change the background significantly
+
+Generate the image now showing the person from Image 1 wearing the headwear from Image 2.`,
+    advice_prompt: PERSON_ADVICE_PROMPT,
+    outfit_rule: 'Put it on the head the way it is meant to be worn, sized to the head, with the hair falling naturally around it.',
+    placements: {},
+    photo_requirements: {
+      head_visible: { code: 'head_not_visible', message: 'Make sure your whole head, including the top, is in the photo.' },
+    },
+  },
+  cosmetics: {
+    label: 'Makeup & cosmetics',
+    subject: 'person',
+    prompt: `You are a professional virtual try-on AI for MAKEUP. I am providing you with TWO images:
+
+IMAGE 1: A photo of a PERSON (the customer)
+IMAGE 2: A photo of a MAKEUP PRODUCT ({{product_name}})
+
+YOUR TASK:
+Generate a realistic photo showing the SAME PERSON from Image 1 wearing the SHADE of the product from Image 2.
+
+CRITICAL REQUIREMENTS:
+1. PRESERVE the person's face, facial features, and identity from Image 1
+2. PRESERVE the person's hair, pose, and expression from Image 1
+3. APPLY the product's shade to the area it is made for:
+   - Lipstick / lip gloss: On the lips only, following their natural outline
+   - Foundation / concealer: Evenly on the skin of the face, blended at the jawline
+   - Blush / bronzer: On the cheeks
+   - Eyeshadow / eyeliner / mascara: On the eyes
+4. MATCH the shade exactly as shown in Image 2 (the product, swatch, or label color)
+5. Keep the skin texture natural - pores and features stay visible, no smoothing or filters
+6. Match the finish (matte, satin, gloss, shimmer) when Image 2 shows it
+7. Keep the same background and lighting from Image 1
+8. Change nothing else about the person's face
+
+DO NOT:
+- Change the person's face, face shape, or identity
+- Apply makeup to areas the product is not meant for
+- Show the product packaging in the photo
+- Create a different person
+- Change the background significantly
+
+Generate the image now showing the person from Image 1 wearing the shade of the product from Image 2.`,
+    advice_prompt: 'Based on this person and the product "{{product_name}}", give personalized advice in 2-3 sentences on how the shade suits them and what to pair it with. Be encouraging and specific.',
+    outfit_rule: 'Apply its shade to the area of the face it is made for (lips, skin, cheeks or eyes), keeping the skin texture natural.',
+    placements: {
+      lips: 'on the lips only',
+      face: 'evenly on the skin of the face',
+      cheeks: 'on the cheeks',
+      eyes: 'on the eyelids and lashes',
+    },
+    photo_requirements: {
+      face_visible: { code: 'face_not_visible', message: 'Make sure your face is clearly visible, well lit and not covered.' },
+    },
+  },
+  home_decor: {
+    label: 'Home decor',
+    subject: 'room',
+    prompt: `You are a professional interior visualisation AI for HOME DECOR. I am providing you with TWO images:
+
+IMAGE 1: A photo of a ROOM (the customer's own space)
+IMAGE 2: A photo of a HOME DECOR PRODUCT ({{product_name}})
+
+YOUR TASK:
+Generate a realistic photo of the SAME ROOM from Image 1 with the PRODUCT from Image 2 placed in it.
+
+CRITICAL REQUIREMENTS:
+1. PRESERVE the room from Image 1: walls, floor, windows, furniture, and layout
+2. PRESERVE the camera angle and perspective of Image 1
+3. PLACE the product where it naturally belongs:
+   - Wall art / mirror / clock: On a free wall at eye level
+   - Rug: On the floor, lying flat and following the perspective
+   - Lamp / vase / plant / cushion: On a suitable surface or piece of furniture
+   - Furniture: On the floor in an open spot
+4. SCALE the product realistically relative to the room and its furniture
+5. Match the room's lighting, with realistic shadows and reflections from the product
+6. Keep the shape, color, and material of the product exactly as in Image 2
+7. The final image should look like a real photo of THIS ROOM with THIS PRODUCT in it
+
+DO NOT:
+- Redesign, redecorate, or tidy the room
+- Remove or move existing furniture unless the product has to stand there
+- Add people or other products
+- Just show the product alone
+- Make the product float, clip through objects, or be out of scale
+
+Generate the image now showing the room from Image 1 with the product from Image 2 placed in it.`,
+    advice_prompt: 'Based on this room and the product "{{product_name}}", give decorating advice in 2-3 sentences: where it works best and what it goes with. Be encouraging and specific.',
+    outfit_rule: null, // A room photo can't be combined with products worn by a person
+    placements: {
+      wall: 'on a free wall at eye level',
+      floor: 'lying flat on the floor',
+      furniture: 'standing on the floor in an open spot',
+      tabletop: 'on a table, shelf or other surface',
+    },
+    photo_requirements: {
+      room_visible: { code: 'room_not_visible', message: 'Please upload a photo of your room, showing the space where the item would go.' },
+    },
+  },
+};
+
+const DEFAULT_CATEGORY = 'apparel';
+
+const CATEGORY_NAMES = Object.keys(CATEGORIES);
+
+// Whether a category name is one we support
+function isValidCategory(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(CATEGORIES, name);
+}
+
+// Get category settings, unknown categories fall back to apparel
+function getCategory(name) {
+  return isValidCategory(name) ? CATEGORIES[name] : CATEGORIES[DEFAULT_CATEGORY];
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_NAMES,
+  DEFAULT_CATEGORY,
+  isValidCategory,
+  getCategory,
+};
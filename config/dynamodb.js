@@ -18,6 +18,14 @@ const docClient = DynamoDBDocumentClient.from(client);
 const TABLES = {
   SHOPS: process.env.DYNAMODB_SHOPS_TABLE || 'see-before-buy-shops',
   USAGE_LOGS: process.env.DYNAMODB_USAGE_LOGS_TABLE || 'see-before-buy-usage-logs',
+  GENERATION_JOBS: process.env.DYNAMODB_GENERATION_JOBS_TABLE || 'see-before-buy-generation-jobs',
+  GENERATION_CACHE: process.env.DYNAMODB_GENERATION_CACHE_TABLE || 'see-before-buy-generation-cache',
+  SHOPPER_PHOTOS: process.env.DYNAMODB_SHOPPER_PHOTOS_TABLE || 'see-before-buy-shopper-photos',
+  PROMPT_TEMPLATES: process.env.DYNAMODB_PROMPT_TEMPLATES_TABLE || 'see-before-buy-prompt-templates',
+  PROMPT_EXPERIMENTS: process.env.DYNAMODB_PROMPT_EXPERIMENTS_TABLE || 'see-before-buy-prompt-experiments',
+  PRODUCT_CATEGORIES: process.env.DYNAMODB_PRODUCT_CATEGORIES_TABLE || 'see-before-buy-product-categories',
+  MODERATION_FLAGS: process.env.DYNAMODB_MODERATION_FLAGS_TABLE || 'see-before-buy-moderation-flags',
+  IMAGE_MANIFEST: process.env.DYNAMODB_IMAGE_MANIFEST_TABLE || 'see-before-buy-image-manifest',
 };
 
 // Initialize DynamoDB (check connection)
@@ -26,6 +34,14 @@ function initializeDynamoDB() {
   console.log(`   Region: ${process.env.AWS_REGION || 'us-east-1'}`);
   console.log(`   Shops Table: ${TABLES.SHOPS}`);
   console.log(`   Usage Logs Table: ${TABLES.USAGE_LOGS}`);
+  console.log(`   Generation Jobs Table: ${TABLES.GENERATION_JOBS}`);
+  console.log(`   Generation Cache Table: ${TABLES.GENERATION_CACHE}`);
+  console.log(`   Shopper Photos Table: ${TABLES.SHOPPER_PHOTOS}`);
+  console.log(`   Prompt Templates Table: ${TABLES.PROMPT_TEMPLATES}`);
+  console.log(`   Prompt Experiments Table: ${TABLES.PROMPT_EXPERIMENTS}`);
+  console.log(`   Product Categories Table: ${TABLES.PRODUCT_CATEGORIES}`);
+  console.log(`   Moderation Flags Table: ${TABLES.MODERATION_FLAGS}`);
+  console.log(`   Image Manifest Table: ${TABLES.IMAGE_MANIFEST}`);
 }
 
 module.exports = {
@@ -0,0 +1,66 @@
+// ============================================
+// Plan Configuration
+// ============================================
+// Per-plan defaults. images_limit for paid plans is normally sent by the
+// external website on upgrade; these values are the fallback.
+//
+// reset_cycle - when images_used goes back to 0:
+//   'anniversary'    - every month on the shop's billing anchor date (install / upgrade day)
+//   'calendar_month' - on the 1st of every month (UTC)
+//
+// max_variations          - how many alternative renders one try-on request may ask for
+// extra_variation_credits - credits charged for each generated image after the first one
+// image_retention_days    - how long generated images are kept (shops can set their own, see services/image-retention.js)
+
+const PLANS = {
+  free: {
+    images_limit: 15,
+    reset_cycle: 'anniversary',
+    max_variations: 1,
+    extra_variation_credits: 1,
+    image_retention_days: 30,
+  },
+  basic: {
+    images_limit: 100,
+    reset_cycle: 'anniversary',
+    max_variations: 2,
+    extra_variation_credits: 1,
+    image_retention_days: 90,
+  },
+  pro: {
+    images_limit: 500,
+    reset_cycle: 'anniversary',
+    max_variations: 3,
+    extra_variation_credits: 1,
+    image_retention_days: 180,
+  },
+  unlimited: {
+    images_limit: 100000,
+    reset_cycle: 'calendar_month',
+    max_variations: 3,
+    extra_variation_credits: 0,
+    image_retention_days: 365,
+  },
+};
+
+const DEFAULT_PLAN = 'free';
+
+// Get plan settings, unknown plans fall back to the free plan settings
+function getPlan(plan_type) {
+  return PLANS[plan_type] || PLANS[DEFAULT_PLAN];
+}
+
+// Credits for a try-on that produced `images` images (0 images cost nothing)
+function getVariationCost(plan_type, images) {
+  if (images <= 0) {
+    return 0;
+  }
+  return 1 + (images - 1) * getPlan(plan_type).extra_variation_credits;
+}
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN,
+  getPlan,
+  getVariationCost,
+};
@@ -0,0 +1,63 @@
+// Generation result cache operations for DynamoDB
+// One item per content hash (see services/generation-cache.js)
+const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+
+class GenerationCacheModel {
+  // Find a cached result that hasn't expired yet
+  static async findByKey(cache_key) {
+    try {
+      const result = await docClient.send(new GetCommand({
+        TableName: TABLES.GENERATION_CACHE,
+        Key: { cache_key },
+      }));
+
+      const entry = result.Item;
+
+      // DynamoDB TTL deletes lazily, so expired items can still be returned
+      if (!entry || entry.expires_at <= Math.floor(Date.now() / 1000)) {
+        return null;
+      }
+
+      return entry;
+
+    } catch (error) {
+      console.error('❌ Error finding cached generation:', error);
+      // A cache miss is always safe
+      return null;
+    }
+  }
+
+  // Store a generated result for ttlSeconds
+  static async create(entryData, ttlSeconds) {
+    try {
+      const entry = {
+        cache_key: entryData.cache_key,
+        shop_domain: entryData.shop_domain,
+        product_name: entryData.product_name || null,
+        product_image_url: entryData.product_image_url || null,
+        category: entryData.category || null,
+        prompt_version: entryData.prompt_version || null,
+        generated_image_key: entryData.generated_image_key, // Private object, signed when served
+        renditions: entryData.renditions || null, // { name: { key, mimetype, width, height, size_bytes } }
+        image_id: entryData.image_id || null, // Stored image (image manifest entry)
+        ai_description: entryData.ai_description || null,
+        created_at: new Date().toISOString(),
+        expires_at: Math.floor(Date.now() / 1000) + ttlSeconds,
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.GENERATION_CACHE,
+        Item: entry,
+      }));
+
+      return entry;
+
+    } catch (error) {
+      console.error('❌ Error caching generation:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = GenerationCacheModel;
@@ -0,0 +1,230 @@
+// Generation job operations for DynamoDB
+const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { v4: uuidv4 } = require('uuid');
+
+// Finished jobs are only polled for a short while, let DynamoDB TTL clean them up
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+class GenerationJobModel {
+  // Create a queued job
+  static async create(jobData) {
+    try {
+      const now = new Date();
+      const job = {
+        job_id: uuidv4(),
+        shop_domain: jobData.shop_domain,
+        session_id: jobData.session_id || null,
+        product_name: jobData.product_name || null,
+        product_image_url: jobData.product_image_url || null,
+        status: 'queued', // queued -> running -> succeeded / failed
+        current_step: null,
+        steps: [],
+        result: null,
+        image_keys: null, // Object keys behind result's links, to sign them again when served
+        error: null,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString(),
+        started_at: null,
+        completed_at: null,
+        expires_at: Math.floor(now.getTime() / 1000) + JOB_TTL_SECONDS,
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.GENERATION_JOBS,
+        Item: job,
+      }));
+
+      return job;
+
+    } catch (error) {
+      console.error('❌ Error creating generation job:', error);
+      throw error;
+    }
+  }
+
+  // Find job by id
+  static async findById(job_id) {
+    try {
+      const result = await docClient.send(new GetCommand({
+        TableName: TABLES.GENERATION_JOBS,
+        Key: { job_id },
+      }));
+
+      return result.Item || null;
+
+    } catch (error) {
+      console.error('❌ Error finding generation job:', error);
+      throw error;
+    }
+  }
+
+  // Mark job as picked up by the worker
+  static async markRunning(job_id) {
+    try {
+      const result = await docClient.send(new UpdateCommand({
+        TableName: TABLES.GENERATION_JOBS,
+        Key: { job_id },
+        UpdateExpression: 'SET #status = :status, started_at = :now, updated_at = :now',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':status': 'running',
+          ':now': new Date().toISOString(),
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return result.Attributes;
+
+    } catch (error) {
+      console.error('❌ Error marking job as running:', error);
+      throw error;
+    }
+  }
+
+  // Show that a queued job is still held by its process (no-op once it left the queue)
+  static async touchQueued(job_id) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.GENERATION_JOBS,
+        Key: { job_id },
+        UpdateExpression: 'SET updated_at = :now',
+        ConditionExpression: '#status = :queued',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':queued': 'queued',
+          ':now': new Date().toISOString(),
+        },
+      }));
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      console.error('❌ Error touching queued job:', error);
+      throw error;
+    }
+  }
+
+  // Append a progress step (stage + status) to the job
+  static async recordStep(job_id, step) {
+    try {
+      const entry = {
+        stage: step.stage,
+        status: step.status,
+        details: step.details || null,
+        at: step.at || new Date().toISOString(),
+      };
+
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.GENERATION_JOBS,
+        Key: { job_id },
+        UpdateExpression: 'SET steps = list_append(if_not_exists(steps, :empty), :step), current_step = :stage, updated_at = :now',
+        ExpressionAttributeValues: {
+          ':empty': [],
+          ':step': [entry],
+          ':stage': entry.stage,
+          ':now': new Date().toISOString(),
+        },
+      }));
+
+      return entry;
+
+    } catch (error) {
+      console.error('❌ Error recording job step:', error);
+      throw error;
+    }
+  }
+
+  // Store the final result (and the object keys behind its links)
+  static async markSucceeded(job_id, result, imageKeys = null) {
+    return this.complete(job_id, 'succeeded', { result, imageKeys, error: null });
+  }
+
+  // Store the failure reason (and the storefront payload, if one was built)
+  static async markFailed(job_id, error, result = null) {
+    return this.complete(job_id, 'failed', {
+      result,
+      error: {
+        message: error.message,
+        name: error.name || 'Error',
+      },
+    });
+  }
+
+  // Fail a job still queued or running but not updated since staleBefore (its worker is gone);
+  // null when the job moved on meanwhile
+  static async markInterrupted(job_id, staleBefore) {
+    try {
+      const now = new Date().toISOString();
+      const updated = await docClient.send(new UpdateCommand({
+        TableName: TABLES.GENERATION_JOBS,
+        Key: { job_id },
+        UpdateExpression: 'SET #status = :failed, #error = :error, completed_at = :now, updated_at = :now',
+        ConditionExpression: '#status IN (:queued, :running) AND updated_at < :before',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#error': 'error',
+        },
+        ExpressionAttributeValues: {
+          ':failed': 'failed',
+          ':queued': 'queued',
+          ':running': 'running',
+          ':before': staleBefore,
+          ':error': {
+            message: 'The generation was interrupted (server restart), please try again',
+            name: 'JobInterruptedError',
+          },
+          ':now': now,
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return updated.Attributes;
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      console.error('❌ Error marking job as interrupted:', error);
+      throw error;
+    }
+  }
+
+  // Shared finisher for succeeded / failed jobs
+  static async complete(job_id, status, { result, imageKeys = null, error }) {
+    try {
+      const updated = await docClient.send(new UpdateCommand({
+        TableName: TABLES.GENERATION_JOBS,
+        Key: { job_id },
+        UpdateExpression: 'SET #status = :status, #result = :result, image_keys = :image_keys, #error = :error, '
+          + 'completed_at = :now, updated_at = :now',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#result': 'result',
+          '#error': 'error',
+        },
+        ExpressionAttributeValues: {
+          ':status': status,
+          ':result': result,
+          ':image_keys': imageKeys,
+          ':error': error,
+          ':now': new Date().toISOString(),
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return updated.Attributes;
+
+    } catch (err) {
+      console.error(`❌ Error marking job as ${status}:`, err);
+      throw err;
+    }
+  }
+}
+
+module.exports = GenerationJobModel;
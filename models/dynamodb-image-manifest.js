@@ -0,0 +1,151 @@
+// Image manifest operations for DynamoDB
+// One item per stored try-on image: shop_domain (partition) + image_id (sort). Lists every storage object of
+// the image (renditions and watermark original) and the usage logs that show it, so the retention job
+// (services/image-retention.js) can delete a shop's old images and mark their logs
+const { PutCommand, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+
+class ImageManifestModel {
+  // Record a stored image
+  static async create(entryData) {
+    try {
+      const entry = {
+        shop_domain: entryData.shop_domain,
+        image_id: entryData.image_id,
+        keys: entryData.keys, // Every storage key of the image
+        original_key: entryData.original_key || null, // Unwatermarked original (watermarked images only)
+        size_bytes: entryData.size_bytes || 0, // Every object of the image, kept current by re-renders
+        source: entryData.source || 'tryon', // tryon, fallback (the shopper's photo)
+        log_ids: [], // Usage logs showing the image (cache hits share it)
+        status: 'stored', // stored, expired
+        expired_at: null,
+        created_at: new Date().toISOString(),
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.IMAGE_MANIFEST,
+        Item: entry,
+      }));
+
+      return entry;
+
+    } catch (error) {
+      console.error('❌ Error creating image manifest entry:', error);
+      throw error;
+    }
+  }
+
+  // Find an image of a shop
+  static async findOne(shop_domain, image_id) {
+    try {
+      const result = await docClient.send(new GetCommand({
+        TableName: TABLES.IMAGE_MANIFEST,
+        Key: { shop_domain, image_id },
+      }));
+
+      return result.Item || null;
+
+    } catch (error) {
+      console.error('❌ Error finding image manifest entry:', error);
+      throw error;
+    }
+  }
+
+  // Link a usage log to the image (no-op for images without a manifest entry)
+  static async addLog(shop_domain, image_id, log_id) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.IMAGE_MANIFEST,
+        Key: { shop_domain, image_id },
+        UpdateExpression: 'SET log_ids = list_append(log_ids, :log_id)',
+        ConditionExpression: 'attribute_exists(image_id)',
+        ExpressionAttributeValues: {
+          ':log_id': [log_id],
+        },
+      }));
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      console.error('❌ Error linking usage log to image:', error);
+      throw error;
+    }
+  }
+
+  // Record the image's size after its renditions were re-rendered (no-op without a manifest entry)
+  static async updateSize(shop_domain, image_id, size_bytes) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.IMAGE_MANIFEST,
+        Key: { shop_domain, image_id },
+        UpdateExpression: 'SET size_bytes = :size_bytes',
+        ConditionExpression: 'attribute_exists(image_id)',
+        ExpressionAttributeValues: {
+          ':size_bytes': size_bytes,
+        },
+      }));
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      console.error('❌ Error updating image size:', error);
+      throw error;
+    }
+  }
+
+  // Stored images of a shop created before a date (paginated Query, 1MB per page)
+  static async findStoredBefore(shop_domain, before) {
+    try {
+      const entries = [];
+      let lastKey;
+
+      do {
+        const result = await docClient.send(new QueryCommand({
+          TableName: TABLES.IMAGE_MANIFEST,
+          KeyConditionExpression: 'shop_domain = :domain',
+          FilterExpression: '#status = :stored AND created_at < :before',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':domain': shop_domain,
+            ':stored': 'stored',
+            ':before': before,
+          },
+          ExclusiveStartKey: lastKey,
+        }));
+
+        entries.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+
+      return entries;
+
+    } catch (error) {
+      console.error('❌ Error listing stored images:', error);
+      throw error;
+    }
+  }
+
+  // Mark an image as deleted by the retention job
+  static async markExpired(shop_domain, image_id, expired_at) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.IMAGE_MANIFEST,
+        Key: { shop_domain, image_id },
+        UpdateExpression: 'SET #status = :expired, expired_at = :expired_at',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':expired': 'expired',
+          ':expired_at': expired_at,
+        },
+      }));
+
+    } catch (error) {
+      console.error('❌ Error marking image expired:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ImageManifestModel;
@@ -0,0 +1,111 @@
+// Moderation flag operations for DynamoDB
+// One item per blocked shopper photo or generated image: shop_domain (partition) + flag_id (sort).
+// Only the verdict is kept, never the image itself. Merchants review flags from the moderation queue
+const { v4: uuidv4 } = require('uuid');
+const { PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+
+class ModerationFlagModel {
+  // Record a blocked image
+  static async create(flagData) {
+    try {
+      const item = {
+        shop_domain: flagData.shop_domain,
+        flag_id: uuidv4(),
+        stage: flagData.stage, // upload (shopper photo) or result (generated image)
+        labels: flagData.labels || [], // e.g. ['nudity']
+        scores: flagData.scores || {},
+        strictness: flagData.strictness || null,
+        checked_by: flagData.checked_by || null, // Moderation checker that flagged it
+        session_id: flagData.session_id || null,
+        product_id: flagData.product_id || null,
+        product_name: flagData.product_name || null,
+        category: flagData.category || null,
+        log_id: flagData.log_id || null, // The moderation_rejected usage log
+        status: 'pending', // pending, reviewed
+        review_decision: null, // confirmed, false_positive
+        reviewed_by: null,
+        reviewed_at: null,
+        created_at: new Date().toISOString(),
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.MODERATION_FLAGS,
+        Item: item,
+      }));
+
+      console.log(`🚩 Moderation flag created: ${item.flag_id} (${item.stage}: ${item.labels.join(', ')})`);
+      return item;
+
+    } catch (error) {
+      console.error('❌ Error creating moderation flag:', error);
+      throw error;
+    }
+  }
+
+  // Every flag of a shop, newest first (paginated Query, 1MB per page)
+  static async findByShop(shop_domain, status = null) {
+    try {
+      const flags = [];
+      let lastKey;
+
+      do {
+        const result = await docClient.send(new QueryCommand({
+          TableName: TABLES.MODERATION_FLAGS,
+          KeyConditionExpression: 'shop_domain = :domain',
+          ...(status && {
+            FilterExpression: '#status = :status',
+            ExpressionAttributeNames: { '#status': 'status' },
+          }),
+          ExpressionAttributeValues: {
+            ':domain': shop_domain,
+            ...(status && { ':status': status }),
+          },
+          ExclusiveStartKey: lastKey,
+        }));
+
+        flags.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+
+      // flag_id is random, sort by time here
+      return flags.sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    } catch (error) {
+      console.error('❌ Error listing moderation flags:', error);
+      throw error;
+    }
+  }
+
+  // Record the merchant's decision (only once, returns null when the flag doesn't exist or was reviewed)
+  static async review(shop_domain, flag_id, { decision, reviewed_by }) {
+    try {
+      const result = await docClient.send(new UpdateCommand({
+        TableName: TABLES.MODERATION_FLAGS,
+        Key: { shop_domain, flag_id },
+        UpdateExpression: 'SET #status = :reviewed, review_decision = :decision, reviewed_by = :reviewed_by, reviewed_at = :now',
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':reviewed': 'reviewed',
+          ':pending': 'pending',
+          ':decision': decision,
+          ':reviewed_by': reviewed_by || null,
+          ':now': new Date().toISOString(),
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return result.Attributes;
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      console.error('❌ Error reviewing moderation flag:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ModerationFlagModel;
@@ -79,6 +79,39 @@ class OrderModel {
     }
   }
 
+  // A shop's orders with See Before Buy items between two dates (paginated Query)
+  static async findSbbOrdersBetween(shop_domain, from, to) {
+    try {
+      const orders = [];
+      let lastKey;
+
+      do {
+        const result = await docClient.send(new QueryCommand({
+          TableName: ORDERS_TABLE,
+          IndexName: 'shop_domain-created_at-index',
+          KeyConditionExpression: 'shop_domain = :domain AND created_at BETWEEN :from AND :to',
+          FilterExpression: 'has_sbb_items = :true',
+          ExpressionAttributeValues: {
+            ':domain': shop_domain,
+            ':from': from,
+            ':to': to,
+            ':true': true,
+          },
+          ExclusiveStartKey: lastKey,
+        }));
+
+        orders.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+
+      return orders;
+
+    } catch (error) {
+      console.error('❌ Error finding orders:', error);
+      throw error;
+    }
+  }
+
   // Calculate revenue stats for a shop
   static async getRevenueStats(shop_domain) {
     try {
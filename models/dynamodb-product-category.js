@@ -0,0 +1,122 @@
+// Product category operations for DynamoDB
+// One item per product: shop_domain (partition) + product_id (sort). Holds the category detected from the
+// product image and, once the merchant reviewed it, their choice (which always wins over the detection)
+const { GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+
+class ProductCategoryModel {
+  // Store a detection result (keeps the merchant's reviewed category, if any)
+  static async saveDetection(shop_domain, product_id, detection) {
+    try {
+      const now = new Date().toISOString();
+
+      const result = await docClient.send(new UpdateCommand({
+        TableName: TABLES.PRODUCT_CATEGORIES,
+        Key: { shop_domain, product_id },
+        UpdateExpression: 'SET product_name = :product_name, detected_category = :category, detected_placement = :placement, '
+          + 'confidence = :confidence, detected_from = :image_url, detected_by = :detected_by, detected_at = :now, '
+          + 'created_at = if_not_exists(created_at, :now), updated_at = :now',
+        ExpressionAttributeValues: {
+          ':product_name': detection.product_name || null,
+          ':category': detection.category,
+          ':placement': detection.placement || null,
+          ':confidence': detection.confidence ?? null,
+          ':image_url': detection.product_image_url || null, // Detect again when the image changes
+          ':detected_by': detection.detected_by || null, // Provider that classified it
+          ':now': now,
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return result.Attributes;
+
+    } catch (error) {
+      console.error('❌ Error saving product category detection:', error);
+      throw error;
+    }
+  }
+
+  // Store the merchant's category for a product (category null removes it, the detection applies again)
+  static async saveReview(shop_domain, product_id, { category, placement, reviewed_by }) {
+    try {
+      const now = new Date().toISOString();
+
+      const params = category
+        ? {
+          UpdateExpression: 'SET category = :category, placement = :placement, reviewed_by = :reviewed_by, reviewed_at = :now, '
+            + 'created_at = if_not_exists(created_at, :now), updated_at = :now',
+          ExpressionAttributeValues: {
+            ':category': category,
+            ':placement': placement || null,
+            ':reviewed_by': reviewed_by || null,
+            ':now': now,
+          },
+        }
+        : {
+          UpdateExpression: 'REMOVE category, placement, reviewed_by, reviewed_at SET updated_at = :now',
+          ExpressionAttributeValues: {
+            ':now': now,
+          },
+        };
+
+      const result = await docClient.send(new UpdateCommand({
+        TableName: TABLES.PRODUCT_CATEGORIES,
+        Key: { shop_domain, product_id },
+        ...params,
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return result.Attributes;
+
+    } catch (error) {
+      console.error('❌ Error saving product category review:', error);
+      throw error;
+    }
+  }
+
+  // One product
+  static async findOne(shop_domain, product_id) {
+    try {
+      const result = await docClient.send(new GetCommand({
+        TableName: TABLES.PRODUCT_CATEGORIES,
+        Key: { shop_domain, product_id },
+      }));
+
+      return result.Item || null;
+
+    } catch (error) {
+      console.error('❌ Error finding product category:', error);
+      throw error;
+    }
+  }
+
+  // Every product of a shop (paginated Query, 1MB per page)
+  static async findByShop(shop_domain) {
+    try {
+      const products = [];
+      let lastKey;
+
+      do {
+        const result = await docClient.send(new QueryCommand({
+          TableName: TABLES.PRODUCT_CATEGORIES,
+          KeyConditionExpression: 'shop_domain = :domain',
+          ExpressionAttributeValues: {
+            ':domain': shop_domain,
+          },
+          ExclusiveStartKey: lastKey,
+        }));
+
+        products.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+
+      return products;
+
+    } catch (error) {
+      console.error('❌ Error listing product categories:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ProductCategoryModel;
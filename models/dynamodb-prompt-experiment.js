@@ -0,0 +1,114 @@
+// Prompt experiment operations for DynamoDB
+// category (partition) + experiment_id (sort); at most one experiment per category is running
+const { PutCommand, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+const { v4: uuidv4 } = require('uuid');
+
+class PromptExperimentModel {
+  // Start an experiment
+  static async create(experimentData) {
+    try {
+      const experiment = {
+        category: experimentData.category,
+        experiment_id: uuidv4(),
+        name: experimentData.name || null,
+        status: 'running', // running -> ended
+        variants: experimentData.variants, // [{ name, weight, template_version | template }]
+        created_by: experimentData.created_by || null,
+        created_at: new Date().toISOString(),
+        ended_at: null,
+        ended_by: null,
+        winner: null,
+        promoted_version: null,
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.PROMPT_EXPERIMENTS,
+        Item: experiment,
+      }));
+
+      return experiment;
+
+    } catch (error) {
+      console.error('❌ Error creating prompt experiment:', error);
+      throw error;
+    }
+  }
+
+  // Find an experiment
+  static async findById(category, experiment_id) {
+    try {
+      const result = await docClient.send(new GetCommand({
+        TableName: TABLES.PROMPT_EXPERIMENTS,
+        Key: { category, experiment_id },
+      }));
+
+      return result.Item || null;
+
+    } catch (error) {
+      console.error('❌ Error finding prompt experiment:', error);
+      throw error;
+    }
+  }
+
+  // Every experiment of a category (newest first)
+  static async findByCategory(category) {
+    try {
+      const result = await docClient.send(new QueryCommand({
+        TableName: TABLES.PROMPT_EXPERIMENTS,
+        KeyConditionExpression: 'category = :category',
+        ExpressionAttributeValues: {
+          ':category': category,
+        },
+      }));
+
+      return (result.Items || []).sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    } catch (error) {
+      console.error('❌ Error listing prompt experiments:', error);
+      throw error;
+    }
+  }
+
+  // The running experiment of a category, or null
+  static async findRunning(category) {
+    const experiments = await this.findByCategory(category);
+    return experiments.find(experiment => experiment.status === 'running') || null;
+  }
+
+  // End a running experiment (null if it had already ended)
+  static async end(category, experiment_id, { winner, ended_by, promoted_version }) {
+    try {
+      const result = await docClient.send(new UpdateCommand({
+        TableName: TABLES.PROMPT_EXPERIMENTS,
+        Key: { category, experiment_id },
+        UpdateExpression: 'SET #status = :ended, ended_at = :now, ended_by = :ended_by, winner = :winner, promoted_version = :promoted',
+        ConditionExpression: '#status = :running',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':ended': 'ended',
+          ':running': 'running',
+          ':now': new Date().toISOString(),
+          ':ended_by': ended_by || null,
+          ':winner': winner || null,
+          ':promoted': promoted_version ?? null,
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      return result.Attributes;
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.log(`⚠️  Prompt experiment ${experiment_id} is not running`);
+        return null;
+      }
+      console.error('❌ Error ending prompt experiment:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PromptExperimentModel;
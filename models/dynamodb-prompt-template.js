@@ -0,0 +1,98 @@
+// Prompt template operations for DynamoDB
+// One item per published version: category (partition) + version (sort, 1, 2, 3...)
+const { PutCommand, GetCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+
+class PromptTemplateModel {
+  // Publish a new version of a category's template (versions are never overwritten)
+  static async create(templateData) {
+    try {
+      const latest = await this.findLatest(templateData.category);
+
+      const template = {
+        category: templateData.category,
+        version: (latest?.version || 0) + 1,
+        template: templateData.template,
+        notes: templateData.notes || null,
+        created_by: templateData.created_by || null,
+        created_at: new Date().toISOString(),
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.PROMPT_TEMPLATES,
+        Item: template,
+        ConditionExpression: 'attribute_not_exists(version)', // Someone else published this version first
+      }));
+
+      return template;
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.log(`⚠️  Prompt template version conflict for ${templateData.category}`);
+        return null;
+      }
+      console.error('❌ Error creating prompt template:', error);
+      throw error;
+    }
+  }
+
+  // Highest version of a category, or null if none was published
+  static async findLatest(category) {
+    try {
+      const result = await docClient.send(new QueryCommand({
+        TableName: TABLES.PROMPT_TEMPLATES,
+        KeyConditionExpression: 'category = :category',
+        ExpressionAttributeValues: {
+          ':category': category,
+        },
+        ScanIndexForward: false, // Highest version first
+        Limit: 1,
+      }));
+
+      return result.Items?.[0] || null;
+
+    } catch (error) {
+      console.error('❌ Error finding prompt template:', error);
+      throw error;
+    }
+  }
+
+  // One specific version
+  static async findVersion(category, version) {
+    try {
+      const result = await docClient.send(new GetCommand({
+        TableName: TABLES.PROMPT_TEMPLATES,
+        Key: { category, version },
+      }));
+
+      return result.Item || null;
+
+    } catch (error) {
+      console.error('❌ Error finding prompt template version:', error);
+      throw error;
+    }
+  }
+
+  // Every version of a category, newest first
+  static async findByCategory(category, limit = 50) {
+    try {
+      const result = await docClient.send(new QueryCommand({
+        TableName: TABLES.PROMPT_TEMPLATES,
+        KeyConditionExpression: 'category = :category',
+        ExpressionAttributeValues: {
+          ':category': category,
+        },
+        ScanIndexForward: false,
+        Limit: limit,
+      }));
+
+      return result.Items || [];
+
+    } catch (error) {
+      console.error('❌ Error listing prompt templates:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PromptTemplateModel;
@@ -1,6 +1,23 @@
 // Shop operations for DynamoDB
-const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, GetCommand, UpdateCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, TABLES } = require('../config/dynamodb');
+const { v4: uuidv4 } = require('uuid');
+const { getCycleStart, isResetDue } = require('../services/billing-cycle');
+const { checkStorefrontEligibility } = require('../services/storefront-eligibility');
+
+// A reservation not committed or released within this window is considered abandoned
+const CREDIT_RESERVATION_TTL_MS = parseInt(process.env.CREDIT_RESERVATION_TTL_MS, 10) || 10 * 60 * 1000;
+const MAX_RESERVE_ATTEMPTS = 3;
+
+// reset_history keeps the latest resets only (two years of monthly cycles)
+const MAX_RESET_HISTORY = 24;
+
+// Condition that the shop is still in the billing cycle a reservation was taken from
+function sameCycleCondition(cycle) {
+  return cycle
+    ? { expression: 'last_reset_at = :cycle', values: { ':cycle': cycle } }
+    : { expression: 'attribute_not_exists(last_reset_at)', values: {} };
+}
 
 class ShopModel {
   // Create new shop (for onboarding)
@@ -27,7 +44,8 @@ class ShopModel {
       const shop = await this.findOne(shop_domain);
       
       if (shop) {
-        return shop;
+        // Catch up on a monthly reset the scheduler hasn't applied yet
+        return await this.applyOverdueReset(shop, { trigger: 'lazy' });
       }
 
       // Create new shop with free tier
@@ -39,12 +57,15 @@ class ShopModel {
         images_limit: 15,
         is_active: true,
         app_status: 'disabled', // New field for activation status
-        product_category: null, // Single category (apparel, jewellery, footwear, accessories)
+        product_category: null, // Single category (see config/categories.js)
+        generation_provider: null, // Image provider override (gemini, stub), null = IMAGE_PROVIDER / gemini
         shop_settings: null, // Will be set when merchant customizes (defaults applied in frontend/theme)
+        credit_reservations: {}, // In-flight generations holding a credit (see reserveCredits)
         external_user_id: null,
         stripe_customer_id: null,
         stripe_subscription_id: null,
         last_reset_at: new Date().toISOString(),
+        reset_history: [],
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
       };
@@ -79,20 +100,44 @@ class ShopModel {
     }
   }
 
-  // Check if shop can generate images
+  // Get every shop (paginated scan) - used by background jobs
+  static async findAll() {
+    try {
+      const shops = [];
+      let lastKey;
+
+      do {
+        const result = await docClient.send(new ScanCommand({
+          TableName: TABLES.SHOPS,
+          ExclusiveStartKey: lastKey,
+        }));
+
+        shops.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+
+      return shops;
+
+    } catch (error) {
+      console.error('❌ Error scanning shops:', error);
+      throw error;
+    }
+  }
+
+  // Check if shop can generate images (storefront eligibility + remaining credits)
   static canGenerateImage(shop) {
-    return shop.is_active && shop.images_used < shop.images_limit;
+    return checkStorefrontEligibility(shop).eligible && shop.images_used < shop.images_limit;
   }
 
   // Increment usage
-  static async incrementUsage(shop_domain) {
+  static async incrementUsage(shop_domain, count = 1) {
     try {
       const result = await docClient.send(new UpdateCommand({
         TableName: TABLES.SHOPS,
         Key: { shop_domain },
         UpdateExpression: 'SET images_used = images_used + :inc, updated_at = :now',
         ExpressionAttributeValues: {
-          ':inc': 1,
+          ':inc': count,
           ':now': new Date().toISOString(),
         },
         ReturnValues: 'ALL_NEW',
@@ -106,6 +151,226 @@ class ShopModel {
     }
   }
 
+  /**
+   * Atomically reserve credits before calling the model.
+   * The reservation is counted in images_used right away, so concurrent requests
+   * can't go over images_limit. Settle it with commitReservation or releaseReservation.
+   *
+   * @param {Object} shop - Shop record (used for the current limit / billing cycle)
+   * @param {Number} count - Credits to reserve
+   * @returns {Object|null} - Reservation, or null if the limit would be exceeded
+   */
+  static async reserveCredits(shop, count = 1) {
+    try {
+      // The reclaimed credits are back in images_used: read the shop again so this request can use them
+      const reclaimed = await this.reclaimStaleReservations(shop);
+
+      let current = reclaimed > 0 ? (await this.findOne(shop.shop_domain)) || shop : shop;
+
+      for (let attempt = 1; attempt <= MAX_RESERVE_ATTEMPTS; attempt++) {
+        if (current.images_used + count > current.images_limit) {
+          return null;
+        }
+
+        if (!current.credit_reservations) {
+          await this.ensureReservationMap(current.shop_domain);
+        }
+
+        const now = new Date();
+        const reservation = {
+          reservation_id: uuidv4(),
+          count,
+          cycle: current.last_reset_at || null, // Billing cycle the credits were taken from
+          created_at: now.toISOString(),
+          expires_at: new Date(now.getTime() + CREDIT_RESERVATION_TTL_MS).toISOString(),
+        };
+
+        const sameCycle = sameCycleCondition(reservation.cycle);
+
+        try {
+          const result = await docClient.send(new UpdateCommand({
+            TableName: TABLES.SHOPS,
+            Key: { shop_domain: current.shop_domain },
+            UpdateExpression: 'SET images_used = images_used + :count, credit_reservations.#rid = :reservation, updated_at = :now',
+            ConditionExpression: `images_used <= :max_used AND images_limit = :limit AND ${sameCycle.expression}`,
+            ExpressionAttributeNames: {
+              '#rid': reservation.reservation_id,
+            },
+            ExpressionAttributeValues: {
+              ':count': count,
+              ':reservation': reservation,
+              ':max_used': current.images_limit - count,
+              ':limit': current.images_limit,
+              ':now': now.toISOString(),
+              ...sameCycle.values,
+            },
+            ReturnValues: 'ALL_NEW',
+          }));
+
+          console.log(`🎟️  Reserved ${count} credit(s) for ${current.shop_domain}: ${result.Attributes.images_used}/${result.Attributes.images_limit}`);
+
+          return {
+            ...reservation,
+            shop_domain: current.shop_domain,
+            images_used: result.Attributes.images_used,
+            images_limit: result.Attributes.images_limit,
+          };
+
+        } catch (error) {
+          if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+          }
+
+          // Usage, limit or cycle changed under us: re-read and try again
+          current = await this.findOne(current.shop_domain);
+          if (!current) {
+            return null;
+          }
+        }
+      }
+
+      console.log(`⚠️  Could not reserve credits for ${shop.shop_domain} after ${MAX_RESERVE_ATTEMPTS} attempts`);
+      return null;
+
+    } catch (error) {
+      console.error('❌ Error reserving credits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the reserved credits (generation succeeded)
+   * @returns {boolean} - false if the reservation was already released or reclaimed
+   */
+  static async commitReservation(reservation) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.SHOPS,
+        Key: { shop_domain: reservation.shop_domain },
+        UpdateExpression: 'REMOVE credit_reservations.#rid SET updated_at = :now',
+        ConditionExpression: 'attribute_exists(credit_reservations.#rid)',
+        ExpressionAttributeNames: {
+          '#rid': reservation.reservation_id,
+        },
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+        },
+      }));
+
+      return true;
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.log(`⚠️  Reservation ${reservation.reservation_id} no longer exists, cannot commit`);
+        return false;
+      }
+      console.error('❌ Error committing reservation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give the reserved credits back (generation failed, fell back or timed out).
+   * Safe to call more than once: only the first call returns credits.
+   * @returns {boolean} - true if credits were returned
+   */
+  static async releaseReservation(reservation) {
+    const names = { '#rid': reservation.reservation_id };
+    const sameCycle = sameCycleCondition(reservation.cycle);
+
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.SHOPS,
+        Key: { shop_domain: reservation.shop_domain },
+        UpdateExpression: 'SET images_used = images_used - :count, updated_at = :now REMOVE credit_reservations.#rid',
+        ConditionExpression: `attribute_exists(credit_reservations.#rid) AND images_used >= :count AND ${sameCycle.expression}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: {
+          ':count': reservation.count,
+          ':now': new Date().toISOString(),
+          ...sameCycle.values,
+        },
+      }));
+
+      console.log(`↩️  Released ${reservation.count} credit(s) for ${reservation.shop_domain}`);
+      return true;
+
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        console.error('❌ Error releasing reservation:', error);
+        throw error;
+      }
+    }
+
+    // Already settled, or usage was reset since: just drop the entry, don't touch images_used
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.SHOPS,
+        Key: { shop_domain: reservation.shop_domain },
+        UpdateExpression: 'REMOVE credit_reservations.#rid',
+        ConditionExpression: 'attribute_exists(credit_reservations.#rid)',
+        ExpressionAttributeNames: names,
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        console.error('❌ Error removing reservation:', error);
+        throw error;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Keep `usedCount` of the reserved credits and give the rest back
+   * (a multi-image try-on where only some images were generated).
+   * @returns {boolean} - false if the reservation no longer existed
+   */
+  static async settleReservation(reservation, usedCount) {
+    if (usedCount <= 0) {
+      return this.releaseReservation(reservation);
+    }
+
+    if (usedCount >= reservation.count) {
+      return this.commitReservation(reservation);
+    }
+
+    return this.releaseReservation({ ...reservation, count: reservation.count - usedCount });
+  }
+
+  // Release reservations whose holder never settled them (crashed worker, lost request)
+  static async reclaimStaleReservations(shop) {
+    const reservations = Object.values(shop.credit_reservations || {});
+    const now = new Date().toISOString();
+    const stale = reservations.filter(reservation => reservation.expires_at < now);
+
+    for (const reservation of stale) {
+      console.log(`🧹 Reclaiming stale reservation ${reservation.reservation_id} for ${shop.shop_domain}`);
+      await this.releaseReservation({ ...reservation, shop_domain: shop.shop_domain });
+    }
+
+    return stale.length;
+  }
+
+  // Shops created before reservations existed have no map to write into
+  static async ensureReservationMap(shop_domain) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.SHOPS,
+        Key: { shop_domain },
+        UpdateExpression: 'SET credit_reservations = :empty',
+        ConditionExpression: 'attribute_not_exists(credit_reservations)',
+        ExpressionAttributeValues: {
+          ':empty': {},
+        },
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  }
+
   // Update shop plan
   static async updatePlan(shop_domain, planData) {
     try {
@@ -120,6 +385,8 @@ class ShopModel {
               stripe_customer_id = :customer_id,
               stripe_subscription_id = :subscription_id,
               last_reset_at = :now,
+              billing_anchor_at = :now,
+              reset_history = list_append(if_not_exists(reset_history, :empty), :history),
               updated_at = :now
         `,
         ExpressionAttributeValues: {
@@ -130,11 +397,18 @@ class ShopModel {
           ':customer_id': planData.stripe_customer_id || null,
           ':subscription_id': planData.stripe_subscription_id || null,
           ':now': new Date().toISOString(),
+          ':empty': [],
+          ':history': [{
+            reset_at: new Date().toISOString(),
+            applied_at: new Date().toISOString(),
+            previous_images_used: null,
+            trigger: 'plan_change',
+          }],
         },
         ReturnValues: 'ALL_NEW',
       }));
 
-      return result.Attributes;
+      return await this.trimResetHistory(result.Attributes);
 
     } catch (error) {
       console.error('❌ Error updating plan:', error);
@@ -142,16 +416,84 @@ class ShopModel {
     }
   }
 
-  // Reset monthly usage
-  static async resetMonthlyUsage(shop_domain) {
+  /**
+   * Reset monthly usage and append the reset to reset_history.
+   * With expectedLastResetAt the reset only applies if nobody else reset the shop
+   * since it was read, so running it twice for the same cycle is harmless.
+   *
+   * @param {string} shop_domain
+   * @param {Object} options - { cycleStart, expectedLastResetAt, previousImagesUsed, trigger }
+   * @returns {Object|null} - Updated shop, or null if the shop was already reset
+   */
+  static async resetMonthlyUsage(shop_domain, options = {}) {
+    const now = new Date().toISOString();
+    const resetAt = options.cycleStart || now;
+
+    const params = {
+      TableName: TABLES.SHOPS,
+      Key: { shop_domain },
+      UpdateExpression: 'SET images_used = :zero, last_reset_at = :reset_at, updated_at = :now, reset_history = list_append(if_not_exists(reset_history, :empty), :history)',
+      ExpressionAttributeValues: {
+        ':zero': 0,
+        ':reset_at': resetAt,
+        ':now': now,
+        ':empty': [],
+        ':history': [{
+          reset_at: resetAt,
+          applied_at: now,
+          previous_images_used: options.previousImagesUsed ?? null,
+          trigger: options.trigger || 'manual', // manual, lazy, scheduler, cli
+        }],
+      },
+      ReturnValues: 'ALL_NEW',
+    };
+
+    if (options.expectedLastResetAt !== undefined) {
+      if (options.expectedLastResetAt) {
+        params.ConditionExpression = 'last_reset_at = :expected';
+        params.ExpressionAttributeValues[':expected'] = options.expectedLastResetAt;
+      } else {
+        params.ConditionExpression = 'attribute_not_exists(last_reset_at)';
+      }
+    }
+
+    try {
+      const result = await docClient.send(new UpdateCommand(params));
+      return await this.trimResetHistory(result.Attributes);
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        console.log(`⏭️  Usage already reset for ${shop_domain}`);
+        return null;
+      }
+      console.error('❌ Error resetting usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the oldest reset_history entries beyond MAX_RESET_HISTORY
+   * Conditional on the list's length, so an entry appended meanwhile is never dropped.
+   *
+   * @param {Object} shop - Shop record, as returned by the update that appended to reset_history
+   * @returns {Object} - Shop record
+   */
+  static async trimResetHistory(shop) {
+    const history = shop.reset_history || [];
+    const excess = history.length - MAX_RESET_HISTORY;
+
+    if (excess <= 0) {
+      return shop;
+    }
+
     try {
       const result = await docClient.send(new UpdateCommand({
         TableName: TABLES.SHOPS,
-        Key: { shop_domain },
-        UpdateExpression: 'SET images_used = :zero, last_reset_at = :now, updated_at = :now',
+        Key: { shop_domain: shop.shop_domain },
+        UpdateExpression: `REMOVE ${Array.from({ length: excess }, (_, i) => `reset_history[${i}]`).join(', ')}`,
+        ConditionExpression: 'size(reset_history) = :length',
         ExpressionAttributeValues: {
-          ':zero': 0,
-          ':now': new Date().toISOString(),
+          ':length': history.length,
         },
         ReturnValues: 'ALL_NEW',
       }));
@@ -159,9 +501,56 @@ class ShopModel {
       return result.Attributes;
 
     } catch (error) {
-      console.error('❌ Error resetting usage:', error);
-      throw error;
+      // The reset itself went through; the next one trims again
+      if (error.name !== 'ConditionalCheckFailedException') {
+        console.error('❌ Error trimming reset history:', error);
+      }
+      return shop;
+    }
+  }
+
+  /**
+   * Reset a shop into its current billing cycle, unless someone else reset it since it was read
+   * @param {Object} shop - Shop record whose reset is due (see isResetDue)
+   * @param {Object} options - { now, trigger }
+   * @returns {Object|null} - Updated shop, or null if the shop was already reset
+   */
+  static async resetDueCycle(shop, options = {}) {
+    const now = options.now || new Date();
+
+    // last_reset_at lands on the cycle boundary, not "now", so cycles don't drift
+    const cycleStart = getCycleStart(shop, now).toISOString();
+
+    const updated = await this.resetMonthlyUsage(shop.shop_domain, {
+      cycleStart,
+      expectedLastResetAt: shop.last_reset_at || null,
+      previousImagesUsed: shop.images_used,
+      trigger: options.trigger,
+    });
+
+    if (updated) {
+      console.log(`🔄 Monthly usage reset for ${shop.shop_domain} (cycle ${cycleStart}, was ${shop.images_used}/${shop.images_limit})`);
     }
+    return updated;
+  }
+
+  /**
+   * Apply the monthly reset if the shop's billing cycle rolled over since its last reset
+   * @param {Object} shop - Shop record
+   * @param {Object} options - { now, trigger }
+   * @returns {Object} - Shop record, reset if it was due
+   */
+  static async applyOverdueReset(shop, options = {}) {
+    const now = options.now || new Date();
+
+    if (!isResetDue(shop, now)) {
+      return shop;
+    }
+
+    const updated = await this.resetDueCycle(shop, { now, trigger: options.trigger });
+
+    // Someone else reset it first
+    return updated || await this.findOne(shop.shop_domain);
   }
 
   // Update app status (disabled/active)
@@ -187,6 +576,58 @@ class ShopModel {
     }
   }
 
+  // Suspend a shop (support action) - storefront requests are refused until unsuspended
+  static async suspend(shop_domain, { reason, suspended_by }) {
+    try {
+      const result = await docClient.send(new UpdateCommand({
+        TableName: TABLES.SHOPS,
+        Key: { shop_domain },
+        UpdateExpression: 'SET suspension = :suspension, updated_at = :now',
+        ConditionExpression: 'attribute_exists(shop_domain)',
+        ExpressionAttributeValues: {
+          ':suspension': {
+            reason,
+            suspended_by: suspended_by || null,
+            suspended_at: new Date().toISOString(),
+          },
+          ':now': new Date().toISOString(),
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      console.log(`⛔ Shop suspended: ${shop_domain} (${reason})`);
+      return result.Attributes;
+
+    } catch (error) {
+      console.error('❌ Error suspending shop:', error);
+      throw error;
+    }
+  }
+
+  // Lift a suspension
+  static async unsuspend(shop_domain) {
+    try {
+      const result = await docClient.send(new UpdateCommand({
+        TableName: TABLES.SHOPS,
+        Key: { shop_domain },
+        UpdateExpression: 'SET suspension = :none, updated_at = :now',
+        ConditionExpression: 'attribute_exists(shop_domain)',
+        ExpressionAttributeValues: {
+          ':none': null,
+          ':now': new Date().toISOString(),
+        },
+        ReturnValues: 'ALL_NEW',
+      }));
+
+      console.log(`✅ Shop unsuspended: ${shop_domain}`);
+      return result.Attributes;
+
+    } catch (error) {
+      console.error('❌ Error unsuspending shop:', error);
+      throw error;
+    }
+  }
+
   // Update order sync tracking
   static async updateOrderSync(shop_domain, syncData) {
     try {
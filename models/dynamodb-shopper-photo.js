@@ -0,0 +1,76 @@
+// Shopper photo operations for DynamoDB
+// The image itself lives in S3 (see services/shopper-photos.js), this is the token -> object index
+const { PutCommand, GetCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { docClient, TABLES } = require('../config/dynamodb');
+
+class ShopperPhotoModel {
+  // Store a photo record that expires after ttlSeconds
+  static async create(photoData, ttlSeconds) {
+    try {
+      const photo = {
+        photo_token: photoData.photo_token,
+        shop_domain: photoData.shop_domain,
+        session_id: photoData.session_id,
+        s3_key: photoData.s3_key,
+        mimetype: photoData.mimetype,
+        original_name: photoData.original_name || null,
+        size_bytes: photoData.size_bytes,
+        normalized: photoData.normalized === true, // Already passed through normalizeShopperPhoto
+        created_at: new Date().toISOString(),
+        expires_at: Math.floor(Date.now() / 1000) + ttlSeconds,
+      };
+
+      await docClient.send(new PutCommand({
+        TableName: TABLES.SHOPPER_PHOTOS,
+        Item: photo,
+      }));
+
+      return photo;
+
+    } catch (error) {
+      console.error('❌ Error creating shopper photo:', error);
+      throw error;
+    }
+  }
+
+  // Find a photo that hasn't expired yet
+  static async findByToken(photo_token) {
+    try {
+      const result = await docClient.send(new GetCommand({
+        TableName: TABLES.SHOPPER_PHOTOS,
+        Key: { photo_token },
+      }));
+
+      const photo = result.Item;
+
+      // DynamoDB TTL deletes lazily, so expired items can still be returned
+      if (!photo || photo.expires_at <= Math.floor(Date.now() / 1000)) {
+        return null;
+      }
+
+      return photo;
+
+    } catch (error) {
+      console.error('❌ Error finding shopper photo:', error);
+      throw error;
+    }
+  }
+
+  // Delete a photo record
+  static async delete(photo_token) {
+    try {
+      await docClient.send(new DeleteCommand({
+        TableName: TABLES.SHOPPER_PHOTOS,
+        Key: { photo_token },
+      }));
+
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error deleting shopper photo:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ShopperPhotoModel;
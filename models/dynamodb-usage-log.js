@@ -1,5 +1,5 @@
 // Usage log operations for DynamoDB
-const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, TABLES } = require('../config/dynamodb');
 const { v4: uuidv4 } = require('uuid');
 
@@ -16,9 +16,34 @@ class UsageLogModel {
         product_id: logData.product_id || null,
         product_name: logData.product_name || null,
         product_image_url: logData.product_image_url || null,
+        category: logData.category || null, // Try-on category the product resolved to (single-product try-ons)
+        placement: logData.placement || null, // ...and where the product goes within it (e.g. ring)
+        products: logData.products || null, // Outfit try-ons: [{ product_id, product_name, product_image_url, category }]
+        product_attributes: logData.product_attributes || null, // { name: value } used in the prompt
         user_image_url: logData.user_image_url || null,
-        generated_image_url: logData.generated_image_url || null,
+        generated_image_url: logData.generated_image_url || null, // Old logs only: public URL from before images were private
+        generated_image_key: logData.generated_image_key || null, // Stored image (private, see services/image-links.js)
         generation_time_ms: logData.generation_time_ms || null,
+        outcome: logData.outcome || null, // generated, fallback, failed (generation events only)
+        error_class: logData.error_class || null,
+        error_message: logData.error_message || null,
+        failed_stage: logData.failed_stage || null,
+        renditions: logData.renditions || null, // Old logs only: { webp, jpeg, thumbnail } public URLs
+        rendition_keys: logData.rendition_keys || null, // { webp, jpeg, thumbnail } keys of the stored image
+        image_id: logData.image_id || null, // Stored image (image manifest entry, also finds a watermarked image's original)
+        image_expired_at: null, // Set when the retention job deleted the image (services/image-retention.js)
+        cache_hit: logData.cache_hit ?? null, // true when served from the generation cache (not charged)
+        variations_requested: logData.variations_requested || null, // Multi-image try-ons only
+        variations_generated: logData.variations_generated ?? null,
+        credits_charged: logData.credits_charged ?? null,
+        prompt_version: logData.prompt_version || null, // Template used, e.g. "footwear:v3+shop.1a2b3c4d"
+        // Prompt experiment the session was part of: left out otherwise, it keys the sparse experiment index
+        ...(logData.experiment_id && { experiment_id: logData.experiment_id }),
+        prompt_variant: logData.prompt_variant || null, // ...and the variant it was assigned
+        photo_token: logData.photo_token || null, // Stored shopper photo, lets the try-on be regenerated
+        regenerated_from: logData.regenerated_from || null, // log_id of the try-on this one redoes
+        feedback: logData.feedback || null, // Regenerate: { codes, comment } the shopper gave about the original
+        moderation: logData.moderation || null, // moderation_rejected: { stage, labels, scores, strictness, checked_by }
         created_at: new Date().toISOString(),
       };
 
@@ -35,6 +60,108 @@ class UsageLogModel {
     }
   }
 
+  // Find a log by id
+  static async findById(log_id) {
+    try {
+      const result = await docClient.send(new GetCommand({
+        TableName: TABLES.USAGE_LOGS,
+        Key: { log_id },
+      }));
+
+      return result.Item || null;
+
+    } catch (error) {
+      console.error('❌ Error finding log:', error);
+      throw error;
+    }
+  }
+
+  // Record that the log's image was deleted by the retention job
+  static async markImageExpired(log_id, expired_at) {
+    try {
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.USAGE_LOGS,
+        Key: { log_id },
+        UpdateExpression: 'SET image_expired_at = :expired_at',
+        ConditionExpression: 'attribute_exists(log_id)',
+        ExpressionAttributeValues: {
+          ':expired_at': expired_at,
+        },
+      }));
+
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      console.error('❌ Error marking log image expired:', error);
+      throw error;
+    }
+  }
+
+  // Logs of a prompt experiment between two dates, across shops (experiment index, paginated Query)
+  static async findByExperiment(experiment_id, from, to) {
+    try {
+      const logs = [];
+      let lastKey;
+
+      do {
+        const result = await docClient.send(new QueryCommand({
+          TableName: TABLES.USAGE_LOGS,
+          IndexName: 'experiment_id-created_at-index', // Requires GSI (scripts/create-tables.js)
+          KeyConditionExpression: 'experiment_id = :experiment_id AND created_at BETWEEN :from AND :to',
+          ExpressionAttributeValues: {
+            ':experiment_id': experiment_id,
+            ':from': from,
+            ':to': to,
+          },
+          ExclusiveStartKey: lastKey,
+        }));
+
+        logs.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+
+      return logs;
+
+    } catch (error) {
+      console.error('❌ Error finding experiment logs:', error);
+      throw error;
+    }
+  }
+
+  // A shop's logs of one event type between two dates (paginated Query)
+  static async findByShopBetween(shop_domain, event_type, from, to) {
+    try {
+      const logs = [];
+      let lastKey;
+
+      do {
+        const result = await docClient.send(new QueryCommand({
+          TableName: TABLES.USAGE_LOGS,
+          IndexName: 'shop_domain-created_at-index',
+          KeyConditionExpression: 'shop_domain = :domain AND created_at BETWEEN :from AND :to',
+          FilterExpression: 'event_type = :event_type',
+          ExpressionAttributeValues: {
+            ':domain': shop_domain,
+            ':event_type': event_type,
+            ':from': from,
+            ':to': to,
+          },
+          ExclusiveStartKey: lastKey,
+        }));
+
+        logs.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+
+      return logs;
+
+    } catch (error) {
+      console.error('❌ Error finding logs:', error);
+      throw error;
+    }
+  }
+
   // Get logs for a shop
   static async findByShop(shop_domain, limit = 100) {
     try {
@@ -65,8 +192,10 @@ class UsageLogModel {
 
       const stats = {
         image_generated: 0,
+        generation_failed: 0,
         add_to_cart: 0,
         limit_reached: 0,
+        moderation_rejected: 0,
       };
 
       logs.forEach(log => {
@@ -81,8 +210,10 @@ class UsageLogModel {
       console.error('❌ Error getting stats:', error);
       return {
         image_generated: 0,
+        generation_failed: 0,
         add_to_cart: 0,
         limit_reached: 0,
+        moderation_rejected: 0,
       };
     }
   }
@@ -128,21 +259,26 @@ class UsageLogModel {
       const productMap = {};
       
       logs.forEach(log => {
-        const productName = log.product_name || 'Unknown Product';
+        // An outfit try-on counts for every product in it
+        const productNames = log.products
+          ? log.products.map(product => product.product_name)
+          : [log.product_name || 'Unknown Product'];
         
-        if (!productMap[productName]) {
-          productMap[productName] = {
-            product_name: productName,
-            try_on_count: 0,
-            add_to_cart_count: 0,
-          };
-        }
-        
-        if (log.event_type === 'image_generated') {
-          productMap[productName].try_on_count++;
-        } else if (log.event_type === 'add_to_cart') {
-          productMap[productName].add_to_cart_count++;
-        }
+        productNames.forEach(productName => {
+          if (!productMap[productName]) {
+            productMap[productName] = {
+              product_name: productName,
+              try_on_count: 0,
+              add_to_cart_count: 0,
+            };
+          }
+          
+          if (log.event_type === 'image_generated') {
+            productMap[productName].try_on_count++;
+          } else if (log.event_type === 'add_to_cart') {
+            productMap[productName].add_to_cart_count++;
+          }
+        });
       });
       
       // Convert to array and calculate conversion rate
@@ -2,12 +2,45 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { PutObjectCommand } = require('@aws-sdk/client-s3');
-const { s3Client, bucketName } = require('../config/s3');
 const ShopModel = require('../models/dynamodb-shop');
+const GenerationJobModel = require('../models/dynamodb-generation-job');
 const UsageLogModel = require('../models/dynamodb-usage-log');
-const { v4: uuidv4 } = require('uuid');
+const {
+  runTryOn,
+  serveCachedTryOn,
+  resignResult,
+  getProductCategory,
+  OUTFIT_MAX_PRODUCTS,
+  CATEGORY_OUTFIT_RULES,
+  FEEDBACK_INSTRUCTIONS,
+  FEEDBACK_COMMENT_MAX_LENGTH,
+} = require('../services/image-generation');
+const { buildCacheKey, getCacheTtlSeconds, findCachedResult } = require('../services/generation-cache');
+const { getProviderForShop } = require('../services/providers');
+const { saveShopperPhoto, loadShopperPhoto } = require('../services/shopper-photos');
+const { detectImageType, validateShopperPhoto } = require('../services/photo-validation');
+const { normalizeShopperPhoto, UnreadablePhotoError } = require('../services/image-processing');
+const { checkProductImageUrl } = require('../services/product-image-fetcher');
+const { parseProductAttributes, buildTryOnPrompt } = require('../services/prompt-templates');
+const { getPlan, getVariationCost } = require('../config/plans');
+const { isValidCategory } = require('../config/categories');
+const { parseProductDetails } = require('../services/category-rules');
+const { resolveTryOnCategory } = require('../services/category-detection');
+const { moderateImage, recordModerationRejection } = require('../services/moderation');
+const { signImageUrl, keyFromPublicUrl } = require('../services/image-links');
+const { isLegacyImageExpired } = require('../services/image-retention');
+const {
+  jobEvents,
+  enqueueGenerationJob,
+  isQueueFull,
+  isJobInProcess,
+  recoverAbandonedJob,
+} = require('../services/generation-worker');
+const { wantsEventStream, openEventStream } = require('../services/event-stream');
+const { checkStorefrontEligibility, sendEligibilityError } = require('../services/storefront-eligibility');
+
+// How often to re-read a job that is running on another server instance
+const JOB_EVENTS_POLL_INTERVAL_MS = 2000;
 
 // Configure multer for image upload (memory storage)
 const upload = multer({ 
@@ -15,23 +48,52 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Set PHOTO_VALIDATION=off to skip the photo check before generating (the /validate endpoint still works)
+const VALIDATE_BEFORE_GENERATION = process.env.PHOTO_VALIDATION !== 'off';
+
+// Clients opt into background processing with async=true or "Prefer: respond-async"
+function wantsAsyncResponse(req) {
+  return req.body.async === 'true' || /respond-async/i.test(req.get('Prefer') || '');
+}
 
 router.post('/', upload.single('userImage'), async (req, res) => {
   const startTime = Date.now();
+  let reservation = null;
   
   try {
-    const { shop_domain, product_name, product_image_url, session_id } = req.body;
-    const userImage = req.file;
+    const { shop_domain, product_id, product_name, product_image_url, session_id, photo_token } = req.body;
+    const variations = req.body.variations === undefined ? 1 : Number(req.body.variations);
 
     // Validation
     if (!shop_domain) {
       return res.status(400).json({ error: 'shop_domain is required' });
     }
 
+    if (!Number.isInteger(variations) || variations < 1) {
+      return res.status(400).json({ error: 'variations must be a positive integer' });
+    }
+
+    // Outfit mode: several products (e.g. shirt, shoes and bag) in one try-on
+    const outfit = req.body.products !== undefined ? parseOutfitProducts(req.body.products) : null;
+    if (outfit?.error) {
+      return res.status(400).json({ error: outfit.error });
+    }
+
+    // Product type, tags and collections pick the category through the shop's category rules
+    const productDetails = parseProductDetails(req.body);
+    if (productDetails.error) {
+      return res.status(400).json({ error: productDetails.error });
+    }
+
+    // Product details for the prompt template, e.g. { "color": "navy", "material": "linen" }
+    const attributes = req.body.product_attributes !== undefined ? parseProductAttributes(req.body.product_attributes) : null;
+    if (attributes?.error) {
+      return res.status(400).json({ error: attributes.error });
+    }
+
+    const userImage = await getUserImage(req, res);
     if (!userImage) {
-      return res.status(400).json({ error: 'User image is required' });
+      return; // Response already sent
     }
 
     console.log(`🎨 Generating image for ${shop_domain}...`);
@@ -42,8 +104,124 @@ router.post('/', upload.single('userImage'), async (req, res) => {
     // Get shop data first
     const shop = await ShopModel.findOrCreate(shop_domain);
 
-    // Check usage limit
-    if (shop.images_used >= shop.images_limit) {
+    // Refuse disabled, suspended and uninstalled shops
+    const eligibility = checkStorefrontEligibility(shop);
+    if (!eligibility.eligible) {
+      console.log(`⛔ Generation refused for ${shop_domain}: ${eligibility.error}`);
+      return sendEligibilityError(res, eligibility);
+    }
+
+    // Paid plans can ask for several alternative renders
+    const maxVariations = getPlan(shop.plan_type).max_variations;
+    if (variations > maxVariations) {
+      return res.status(400).json({
+        error: 'variations_not_available',
+        message: `Your plan allows up to ${maxVariations} variation(s) per try-on`,
+        max_variations: maxVariations,
+      });
+    }
+
+    // Products without their own category go through the shop's category rules (or get detected)
+    let products = null;
+    if (outfit) {
+      products = [];
+      for (const { details, ...product } of outfit.products) {
+        const category = product.category
+          || (await resolveTryOnCategory(shop, details, product)).category;
+        products.push({ ...product, category });
+      }
+    }
+    const resolved = products ? null : await resolveTryOnCategory(shop, productDetails.details, { product_name, product_image_url });
+    if (resolved) {
+      console.log(`🏷️  Category: ${resolved.category}${resolved.placement ? ` / ${resolved.placement}` : ''} (${resolved.source})`);
+    }
+
+    // Home decor is a room photo, it can't be combined with products worn by a person
+    const notOutfitCategory = products?.find(product => !CATEGORY_OUTFIT_RULES[product.category]);
+    if (notOutfitCategory) {
+      return res.status(400).json({ error: `${notOutfitCategory.category} products can't be part of an outfit` });
+    }
+
+    // Refuse product image URLs we would never fetch, before a credit is involved
+    const productImageUrls = products
+      ? products.map(product => product.product_image_url).filter(Boolean)
+      : [product_image_url].filter(Boolean);
+    for (const url of productImageUrls) {
+      try {
+        checkProductImageUrl(url, shop);
+      } catch (error) {
+        console.log(`⛔ Product image URL refused for ${shop_domain}: ${error.message}`);
+        return res.status(400).json({
+          error: 'invalid_product_image_url',
+          code: error.code,
+          message: error.message
+        });
+      }
+    }
+
+    const input = {
+      userImage,
+      photo_token: req.file ? null : photo_token,
+      product_id: products ? null : productDetails.details.product_id,
+      product_name: products ? products.map(product => product.product_name).join(' + ') : product_name,
+      product_image_url: products ? null : product_image_url,
+      category: resolved?.category || null,
+      placement: resolved?.placement || null,
+      products,
+      product_attributes: attributes?.attributes || null,
+      session_id,
+      variations,
+    };
+
+    // Same photo + product seen recently: return the stored image without charging
+    const { cacheKey, cached, experiment } = await lookupGenerationCache(shop, input);
+
+    if (cached) {
+      input.photo_token = await keepShopperPhoto(shop, input);
+      const { image_keys: imageKeys, ...result } = await serveCachedTryOn(shop, input, cached, {
+        startTime,
+        experiment,
+        includeImageKeys: true,
+      });
+      return sendImmediateResult(req, res, shop_domain, input, result, imageKeys);
+    }
+
+    // Turn away photos that would only waste a credit
+    if (VALIDATE_BEFORE_GENERATION) {
+      const validation = await validateShopperPhoto(userImage, {
+        category: products ? [...new Set(products.map(product => product.category))] : input.category,
+        provider: getProviderForShop(shop),
+      });
+
+      if (!validation.valid) {
+        return res.status(422).json({
+          error: 'invalid_photo',
+          message: 'This photo is not suitable for a try-on',
+          issues: validation.issues,
+        });
+      }
+    }
+
+    // Block photos we must not process, before a credit is involved (the photo is not kept)
+    const moderation = await moderateImage(shop, { buffer: input.userImage.buffer, mimeType: input.userImage.mimetype }, {
+      stage: 'upload',
+      categories: products ? products.map(product => product.category) : [input.category],
+    });
+
+    if (!moderation.allowed) {
+      const flag = await recordModerationRejection(shop, input, moderation);
+      return res.status(422).json({
+        error: 'moderation_rejected',
+        message: 'This photo can\'t be used for a try-on. Please upload a different photo.',
+        generation_id: flag?.log_id || null,
+      });
+    }
+
+    // Reserve credits up front (atomic), so concurrent shoppers can't exceed the limit
+    // Variations reserve the cost of all images; whatever isn't generated is given back
+    reservation = await ShopModel.reserveCredits(shop, getVariationCost(shop.plan_type, variations));
+
+    if (!reservation) {
       console.log(`⚠️  Usage limit reached: ${shop.images_used}/${shop.images_limit}`);
       return res.status(429).json({
         error: 'limit_reached',
@@ -56,421 +234,743 @@ router.post('/', upload.single('userImage'), async (req, res) => {
       });
     }
 
-    // Call Gemini API with both user image and product image
-    // Pass product category for category-specific prompts
-    const productCategory = shop.product_category || 'apparel'; // Default to apparel
-    console.log(`🏷️  Product category: ${productCategory}`);
-    
-    const aiResult = await generateImageWithGemini(
-      userImage,
-      product_name,
-      product_image_url,
-      productCategory
-    );
+    // Keep the photo so the shopper can ask for a regenerate
+    input.photo_token = await keepShopperPhoto(shop, input);
 
-    // Extract image URL and AI description
-    const generatedImageUrl = aiResult.imageUrl;
-    const aiDescription = aiResult.aiDescription;
+    await dispatchTryOn(req, res, shop, input, { reservation, cacheKey, startTime });
 
-    // Increment usage
-    await ShopModel.incrementUsage(shop_domain);
+  } catch (error) {
+    console.error('❌ Error generating image:', error);
 
-    // Log the event
-    const generationTime = Date.now() - startTime;
-    await UsageLogModel.create({
-      shop_domain,
-      shop_id: shop.shop_id,
-      event_type: 'image_generated',
-      session_id: session_id || null,  // Add session ID for unique user tracking
-      product_name,
-      product_image_url,
-      generated_image_url: generatedImageUrl,
-      generation_time_ms: generationTime,
+    // The photo couldn't be normalized (it is never used unprocessed), nothing was reserved yet
+    if (error instanceof UnreadablePhotoError) {
+      return res.status(422).json({
+        error: 'invalid_photo',
+        message: 'This photo is not suitable for a try-on',
+        issues: [{ code: error.code, severity: 'error', message: error.message }],
+      });
+    }
+
+    // No-op if the credit was already committed or released
+    if (reservation) {
+      await ShopModel.releaseReservation(reservation).catch(releaseError => {
+        console.error('⚠️  Could not release reservation:', releaseError.message);
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to generate image',
+      message: error.message 
     });
+  }
+});
+
+// Redo a try-on from its original inputs, with the shopper's feedback on what went wrong
+router.post('/regenerate', upload.none(), async (req, res) => {
+  const startTime = Date.now();
+  let reservation = null;
+
+  try {
+    const { shop_domain, session_id, generation_id } = req.body;
+
+    if (!shop_domain || !generation_id) {
+      return res.status(400).json({ error: 'shop_domain and generation_id are required' });
+    }
+
+    const parsed = parseFeedback(req.body.feedback, req.body.comment);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    // Only the shop and session that made the try-on may regenerate it
+    const original = await UsageLogModel.findById(generation_id);
+    if (!original
+      || !['image_generated', 'generation_failed'].includes(original.event_type)
+      || original.shop_domain !== shop_domain
+      || (original.session_id || null) !== (session_id || null)) {
+      return res.status(404).json({ error: 'generation_not_found', message: 'Generation not found' });
+    }
+
+    const userImage = original.photo_token
+      ? await loadShopperPhoto(original.photo_token, { shop_domain, session_id })
+      : null;
+    if (!userImage) {
+      return res.status(404).json({
+        error: 'photo_not_found',
+        message: 'The photo of this try-on has expired, please start a new try-on'
+      });
+    }
+
+    console.log(`🔁 Regenerating ${generation_id} for ${shop_domain}...`);
+    console.log(`   Product: ${original.product_name}`);
+    console.log(`   Feedback: ${parsed.feedback.codes.join(', ') || 'none'}${parsed.feedback.comment ? ' + comment' : ''}`);
+
+    const shop = await ShopModel.findOrCreate(shop_domain);
+
+    // Refuse disabled, suspended and uninstalled shops
+    const eligibility = checkStorefrontEligibility(shop);
+    if (!eligibility.eligible) {
+      console.log(`⛔ Regenerate refused for ${shop_domain}: ${eligibility.error}`);
+      return sendEligibilityError(res, eligibility);
+    }
+
+    // Same inputs as the original, one image, never answered from the cache
+    const input = {
+      userImage: await normalizeShopperPhoto(userImage),
+      photo_token: original.photo_token,
+      product_id: original.product_id || null,
+      product_name: original.product_name,
+      product_image_url: original.product_image_url,
+      category: original.category || null,
+      placement: original.placement || null,
+      products: original.products || null,
+      product_attributes: original.product_attributes || null,
+      session_id,
+      variations: 1,
+      regenerated_from: original.log_id,
+      feedback: parsed.feedback,
+    };
 
-    console.log(`✅ Image generated successfully (${generationTime}ms)`);
-    console.log(`   Usage: ${shop.images_used + 1}/${shop.images_limit}`);
-    console.log(`   Session ID stored: ${session_id || 'none'}`);
+    // A regenerate is a new try-on and costs a credit like one
+    reservation = await ShopModel.reserveCredits(shop, getVariationCost(shop.plan_type, 1));
+
+    if (!reservation) {
+      console.log(`⚠️  Usage limit reached: ${shop.images_used}/${shop.images_limit}`);
+      return res.status(429).json({
+        error: 'limit_reached',
+        message: 'You have reached your image generation limit for this month',
+        usage: {
+          used: shop.images_used,
+          limit: shop.images_limit,
+          plan: shop.plan_type
+        }
+      });
+    }
+
+    await dispatchTryOn(req, res, shop, input, { reservation, cacheKey: null, startTime });
+
+  } catch (error) {
+    console.error('❌ Error regenerating image:', error);
+
+    // The photo couldn't be normalized (it is never used unprocessed), nothing was reserved yet
+    if (error instanceof UnreadablePhotoError) {
+      return res.status(422).json({
+        error: 'invalid_photo',
+        message: 'This photo is not suitable for a try-on',
+        issues: [{ code: error.code, severity: 'error', message: error.message }],
+      });
+    }
+
+    // No-op if the credit was already committed or released
+    if (reservation) {
+      await ShopModel.releaseReservation(reservation).catch(releaseError => {
+        console.error('⚠️  Could not release reservation:', releaseError.message);
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to regenerate image',
+      message: error.message 
+    });
+  }
+});
+
+// Check a shopper photo without generating anything (no credit used)
+router.post('/validate', upload.single('userImage'), async (req, res) => {
+  try {
+    const { shop_domain } = req.body;
+
+    if (!shop_domain) {
+      return res.status(400).json({ error: 'shop_domain is required' });
+    }
+
+    const userImage = await getUserImage(req, res);
+    if (!userImage) {
+      return; // Response already sent
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+
+    // Refuse unknown, disabled, suspended and uninstalled shops
+    const eligibility = checkStorefrontEligibility(shop);
+    if (!eligibility.eligible) {
+      console.log(`⛔ Photo validation refused for ${shop_domain}: ${eligibility.error}`);
+      return sendEligibilityError(res, eligibility);
+    }
+
+    // The product's category when the storefront sends it, else the shop's
+    const productDetails = parseProductDetails(req.body);
+    if (productDetails.error) {
+      return res.status(400).json({ error: productDetails.error });
+    }
+
+    const { category } = await resolveTryOnCategory(shop, productDetails.details, {
+      product_name: req.body.product_name,
+      product_image_url: req.body.product_image_url,
+    });
+    const validation = await validateShopperPhoto(userImage, {
+      category,
+      provider: getProviderForShop(shop),
+    });
 
-    // Return success response with AI description
     res.json({
       success: true,
-      generated_image_url: generatedImageUrl,
-      ai_description: aiDescription,
-      usage: {
-        used: shop.images_used + 1,
-        limit: shop.images_limit,
-        plan: shop.plan_type
-      },
-      generation_time_ms: generationTime
+      category,
+      ...validation,
     });
 
   } catch (error) {
-    console.error('❌ Error generating image:', error);
+    console.error('❌ Error validating photo:', error);
+
+    if (error instanceof UnreadablePhotoError) {
+      return res.status(422).json({
+        error: 'invalid_photo',
+        message: 'This photo is not suitable for a try-on',
+        issues: [{ code: error.code, severity: 'error', message: error.message }],
+      });
+    }
+
     res.status(500).json({ 
-      error: 'Failed to generate image',
+      error: 'Failed to validate photo',
       message: error.message 
     });
   }
 });
 
-// Category-specific prompts for different product types
-const CATEGORY_PROMPTS = {
-  apparel: (productName) => `You are a professional virtual try-on AI. I am providing you with TWO images:
-
-IMAGE 1: A photo of a PERSON (the customer)
-IMAGE 2: A photo of a CLOTHING PRODUCT (${productName})
-
-YOUR TASK:
-Generate a realistic photo showing the SAME PERSON from Image 1 wearing the CLOTHING from Image 2.
-
-CRITICAL REQUIREMENTS:
-1. PRESERVE the person's face, facial features, and identity from Image 1
-2. PRESERVE the person's body shape, skin tone, and hair from Image 1
-3. PRESERVE the person's pose and stance from Image 1
-4. REPLACE only the clothing with the product from Image 2
-5. Keep the same background and lighting from Image 1
-6. Make the clothing fit naturally on the person's body
-7. Ensure realistic shadows, wrinkles, and fabric draping
-8. The final image should look like a professional product photo of THIS SPECIFIC PERSON wearing THIS SPECIFIC PRODUCT
-
-DO NOT:
-- Change the person's face or identity
-- Create a different person
-- Just show the product alone
-- Change the background significantly
-
-Generate the image now showing the person from Image 1 wearing the clothing from Image 2.`,
-
-  jewellery: (productName) => `You are a professional virtual try-on AI for JEWELRY. I am providing you with TWO images:
-
-IMAGE 1: A photo of a PERSON (the customer)
-IMAGE 2: A photo of a JEWELRY PRODUCT (${productName})
-
-YOUR TASK:
-Generate a realistic photo showing the SAME PERSON from Image 1 wearing the JEWELRY from Image 2.
-
-CRITICAL REQUIREMENTS:
-1. PRESERVE the person's face, facial features, and identity from Image 1
-2. PRESERVE the person's body shape, skin tone, and hair from Image 1
-3. PRESERVE the person's pose and stance from Image 1
-4. PLACE the jewelry naturally on the person:
-   - Necklace: On the neck/chest area
-   - Earrings: On the ears
-   - Ring: On the finger
-   - Bracelet: On the wrist
-   - Pendant: Hanging from neck
-5. Keep the same background and lighting from Image 1
-6. Make the jewelry clearly VISIBLE and prominent
-7. Ensure realistic reflections and shine on the jewelry
-8. The jewelry should look natural and properly sized for the person
-
-
-DO NOT:
-- Change the person's face or identity
-- Make the jewelry too small or invisible
-- Create a different person
-- Just show the jewelry alone
-- Change the background significantly
-
-Generate the image now showing the person from Image 1 wearing the jewelry from Image 2.`,
-
-  footwear: (productName) => `You are a professional virtual try-on AI for FOOTWEAR. I am providing you with TWO images:
-
-IMAGE 1: A photo of a PERSON (the customer)
-IMAGE 2: A photo of SHOES/FOOTWEAR (${productName})
-
-YOUR TASK:
-Generate a realistic photo showing the SAME PERSON from Image 1 wearing the FOOTWEAR from Image 2.
-
-CRITICAL REQUIREMENTS:
-1. PRESERVE the person's face, facial features, and identity from Image 1
-2. PRESERVE the person's body shape, skin tone, and hair from Image 1
-3. PRESERVE the person's pose and stance from Image 1
-4. REPLACE only the footwear/shoes with the product from Image 2
-5. Show FULL BODY or at least from waist down so the shoes are clearly visible
-6. Make the shoes fit naturally on the person's feet
-7. Ensure realistic shadows and proper foot positioning
-8. Keep the same background and lighting from Image 1
-9. The shoes should look properly sized and natural on the person
-
-DO NOT:
-- Change the person's face or identity
-- Hide the shoes or make them too small
-- Create a different person
-- Just show the shoes alone
-- Crop out the feet
-- Change the background significantly
-
-Generate the image now showing the person from Image 1 wearing the footwear from Image 2.`,
-
-  accessories: (productName) => `You are a professional virtual try-on AI for ACCESSORIES. I am providing you with TWO images:
-
-IMAGE 1: A photo of a PERSON (the customer)
-IMAGE 2: A photo of an ACCESSORY PRODUCT (${productName})
-
-YOUR TASK:
-Generate a realistic photo showing the SAME PERSON from Image 1 using/wearing the ACCESSORY from Image 2.
-
-CRITICAL REQUIREMENTS:
-1. PRESERVE the person's face, facial features, and identity from Image 1
-2. PRESERVE the person's body shape, skin tone, and hair from Image 1
-3. PRESERVE the person's pose and stance from Image 1
-4. PLACE the accessory naturally on the person:
-   - Bag/Purse: In hand or on shoulder
-   - Watch: On wrist
-   - Sunglasses: On face or held in hand
-   - Hat/Cap: On head
-   - Scarf: Around neck
-   - Belt: Around waist
-5. Keep the same background and lighting from Image 1
-6. Make the accessory clearly VISIBLE and prominent
-7. Ensure realistic positioning and natural interaction with the accessory
-8. The accessory should look properly sized for the person
-
-DO NOT:
-- Change the person's face or identity
-- Make the accessory too small or invisible
-- Create a different person
-- Just show the accessory alone
-- Change the background significantly
-
-Generate the image now showing the person from Image 1 using/wearing the accessory from Image 2.`
-};
-
-// Function to generate image with Gemini 2.5 Flash Image (Virtual Try-On)
-async function generateImageWithGemini(userImage, productName, productImageUrl, productCategory = 'apparel') {
+// Redirect to a fresh link to a try-on image (the links in responses expire)
+// Query: shop_domain, session_id (as sent with the try-on), rendition (webp, jpeg or thumbnail; default webp)
+router.get('/:generation_id/image', async (req, res) => {
   try {
-    console.log('🎨 Starting AI virtual try-on generation...');
-    console.log('   Product:', productName);
-    console.log('   Category:', productCategory);
-    console.log('   User image size:', userImage.size, 'bytes');
-    console.log('   Product image URL:', productImageUrl);
-    
-    const userImageBase64 = userImage.buffer.toString('base64');
-    const userImageMimeType = userImage.mimetype;
-    
-    // Step 1: Download product image if URL is provided
-    let productImageBase64 = null;
-    let productImageMimeType = 'image/jpeg';
-    
-    if (productImageUrl) {
-      console.log('📥 Step 1: Downloading product image...');
-      console.log('   URL:', productImageUrl);
-      try {
-        const productResponse = await fetch(productImageUrl);
-        
-        if (!productResponse.ok) {
-          throw new Error(`HTTP ${productResponse.status}: ${productResponse.statusText}`);
-        }
-        
-        const productBuffer = Buffer.from(await productResponse.arrayBuffer());
-        productImageBase64 = productBuffer.toString('base64');
-        
-        // Detect mime type from URL or response
-        const contentType = productResponse.headers.get('content-type');
-        if (contentType) {
-          productImageMimeType = contentType;
-        }
-        
-        console.log('✅ Product image downloaded');
-        console.log('   Size:', productBuffer.length, 'bytes');
-        console.log('   Type:', productImageMimeType);
-      } catch (error) {
-        console.error('❌ Could not download product image:', error.message);
-        console.log('   Continuing WITHOUT product image...');
-        console.log('   ⚠️  This will result in poor quality output!');
-      }
-    } else {
-      console.warn('⚠️  No product image URL provided!');
-      console.log('   Product name only:', productName);
-    }
-    
-    // Step 2: Generate virtual try-on image with Gemini 2.5 Flash Image
-    console.log('🎨 Step 2: Generating virtual try-on with Gemini 2.5 Flash Image...');
-    const imageModel = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-image' });
-    
-    // Get category-specific prompt
-    const promptFunction = CATEGORY_PROMPTS[productCategory] || CATEGORY_PROMPTS.apparel;
-    const virtualTryOnPrompt = promptFunction(productName);
-    
-    console.log(`📝 Using ${productCategory} prompt`);
-    console.log(`   Prompt length: ${virtualTryOnPrompt.length} characters`);
-
-    // Build content array for Gemini
-    const contentParts = [
-      { text: virtualTryOnPrompt },
-      {
-        inlineData: {
-          mimeType: userImageMimeType,
-          data: userImageBase64,
-        },
+    const { generation_id } = req.params;
+    const { shop_domain, session_id, rendition = 'webp' } = req.query;
+
+    if (!shop_domain) {
+      return res.status(400).json({ error: 'shop_domain is required' });
+    }
+
+    // Only the shop and session that made the try-on may see it
+    const log = await UsageLogModel.findById(generation_id);
+    if (!log
+      || !['image_generated', 'generation_failed'].includes(log.event_type)
+      || log.shop_domain !== shop_domain
+      || (log.session_id || null) !== (session_id || null)) {
+      return res.status(404).json({ error: 'generation_not_found', message: 'Generation not found' });
+    }
+
+    // Deleted by the retention job (services/image-retention.js)
+    if (log.image_expired_at) {
+      return res.status(410).json({ error: 'image_expired', message: 'This try-on image is no longer stored', expired_at: log.image_expired_at });
+    }
+
+    // Logs from before images were private have public URLs instead of keys
+    const key = log.rendition_keys?.[rendition]
+      || (log.renditions?.[rendition] && keyFromPublicUrl(log.renditions[rendition]))
+      || (rendition === 'webp' && (log.generated_image_key || keyFromPublicUrl(log.generated_image_url)))
+      || null;
+    if (!key) {
+      return res.status(404).json({ error: 'image_not_found', message: 'This try-on has no such image' });
+    }
+
+    // Images from before shop prefixes have no manifest entry, they are swept by age
+    if (isLegacyImageExpired(key, log.created_at)) {
+      return res.status(410).json({ error: 'image_expired', message: 'This try-on image is no longer stored' });
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+    if (!shop) {
+      return res.status(404).json({ error: 'shop_not_found' });
+    }
+
+    // The link itself expires, never let it be cached longer
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, await signImageUrl(shop, key));
+
+  } catch (error) {
+    console.error('❌ Error linking try-on image:', error);
+    res.status(500).json({
+      error: 'Failed to link image',
+      message: error.message
+    });
+  }
+});
+
+// Only the shop and session that started a job may see it (same query as the try-on image link)
+async function findOwnedJob(job_id, { shop_domain, session_id }) {
+  const job = await GenerationJobModel.findById(job_id);
+
+  if (!job || job.shop_domain !== shop_domain || (job.session_id || null) !== (session_id || null)) {
+    return null;
+  }
+
+  return job;
+}
+
+// The job as served: failed if it was lost in a restart, and the result's links signed afresh
+async function getCurrentJob(job) {
+  const current = await recoverAbandonedJob(job);
+
+  if (current.status !== 'succeeded' || !current.image_keys) {
+    return current;
+  }
+
+  const shop = await ShopModel.findOne(current.shop_domain);
+  return shop ? { ...current, result: await resignResult(shop, current.result, current.image_keys) } : current;
+}
+
+// Where to poll a job (the owner query is required there)
+function getJobStatusUrl(req, job) {
+  const query = new URLSearchParams({ shop_domain: job.shop_domain });
+  if (job.session_id) {
+    query.set('session_id', job.session_id);
+  }
+
+  return `${req.baseUrl}/jobs/${job.job_id}?${query}`;
+}
+
+// Poll the status of an asynchronous generation job
+// Query: shop_domain, session_id (as sent with the try-on)
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    if (!req.query.shop_domain) {
+      return res.status(400).json({ error: 'shop_domain is required' });
+    }
+
+    const owned = await findOwnedJob(req.params.id, req.query);
+
+    if (!owned) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await getCurrentJob(owned);
+
+    res.json({
+      success: true,
+      job: {
+        job_id: job.job_id,
+        status: job.status,
+        current_step: job.current_step,
+        steps: job.steps || [],
+        result: job.result,
+        error: job.error,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        completed_at: job.completed_at,
       },
-    ];
-    
-    // Add product image if available
-    if (productImageBase64) {
-      contentParts.push({
-        inlineData: {
-          mimeType: productImageMimeType,
-          data: productImageBase64,
-        },
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching generation job:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch generation job',
+      message: error.message 
+    });
+  }
+});
+
+// Stream progress of an asynchronous generation job as Server-Sent Events
+// Query: shop_domain, session_id (as sent with the try-on)
+router.get('/jobs/:id/events', async (req, res) => {
+  const job_id = req.params.id;
+  let stream = null;
+  let pollTimer = null;
+  let lastStepCount = 0;
+  let replaying = true;
+  const bufferedEvents = [];
+
+  const finish = () => {
+    jobEvents.removeListener(`job:${job_id}`, onJobEvent);
+    clearInterval(pollTimer);
+    if (stream) stream.close();
+  };
+
+  // Forward one job event; returns true once the job reached a final state
+  const forward = (event) => {
+    if (event.type === 'stage') {
+      lastStepCount++;
+      stream.send(event.stage, toStageEvent(event));
+      return false;
+    }
+
+    if (event.type === 'status') {
+      stream.send('status', { status: event.status, timestamp: event.at });
+      return false;
+    }
+
+    if (event.type === 'complete') {
+      stream.send('complete', { ...event.result, timestamp: event.at });
+    } else {
+      stream.send('error', {
+        error: 'Failed to generate image',
+        message: event.error?.message,
+        ...(event.result || {}),
+        timestamp: event.at,
       });
-      console.log('✅ Product image added to request');
+    }
+    finish();
+    return true;
+  };
+
+  function onJobEvent(event) {
+    if (replaying) {
+      bufferedEvents.push(event);
     } else {
-      console.warn('⚠️  WARNING: No product image in request!');
-      console.log('   This will likely produce poor results.');
-      console.log('   Make sure product_image_url is being sent from frontend.');
-    }
-    
-    console.log('📊 Total images in request:', contentParts.filter(p => p.inlineData).length);
-    console.log('⏳ Generating image (this may take 10-30 seconds)...');
-    const imageResult = await imageModel.generateContent(contentParts);
-    const imageResponse = imageResult.response;
-    
-    console.log('📥 Response received from Gemini');
-    
-    // Step 3: Extract generated image
-    console.log('🔍 Step 3: Extracting generated image...');
-    let generatedImageBuffer = null;
-    
-    if (imageResponse.candidates && imageResponse.candidates[0]) {
-      const candidate = imageResponse.candidates[0];
-      
-      console.log('   Candidate found, checking for image data...');
-      
-      if (candidate.content && candidate.content.parts) {
-        console.log('   Parts found:', candidate.content.parts.length);
-        
-        for (let i = 0; i < candidate.content.parts.length; i++) {
-          const part = candidate.content.parts[i];
-          
-          if (part.inlineData && part.inlineData.data) {
-            // Found generated image!
-            console.log(`✅ Generated image found in part ${i}`);
-            console.log('   Mime type:', part.inlineData.mimeType);
-            generatedImageBuffer = Buffer.from(part.inlineData.data, 'base64');
-            console.log('   Image size:', generatedImageBuffer.length, 'bytes');
-            break;
-          } else if (part.text) {
-            console.log(`   Part ${i} contains text:`, part.text.substring(0, 100));
+      forward(event);
+    }
+  }
+
+  // Replay the stored job record, returns true if the job already finished
+  const replayJob = (job, fromStep) => {
+    const steps = job.steps || [];
+    for (const step of steps.slice(fromStep)) {
+      forward({ type: 'stage', ...step });
+    }
+
+    if (job.status === 'succeeded') {
+      return forward({ type: 'complete', result: job.result, at: job.completed_at });
+    }
+    if (job.status === 'failed') {
+      return forward({ type: 'error', error: job.error, result: job.result, at: job.completed_at });
+    }
+    return false;
+  };
+
+  try {
+    if (!req.query.shop_domain) {
+      return res.status(400).json({ error: 'shop_domain is required' });
+    }
+
+    // Subscribe before reading so no live event is lost in between
+    jobEvents.on(`job:${job_id}`, onJobEvent);
+
+    const owned = await findOwnedJob(job_id, req.query);
+
+    if (!owned) {
+      jobEvents.removeListener(`job:${job_id}`, onJobEvent);
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await getCurrentJob(owned);
+
+    stream = openEventStream(res);
+    res.on('close', finish);
+    stream.send('status', { status: job.status, timestamp: job.updated_at });
+
+    if (replayJob(job, 0)) {
+      return;
+    }
+
+    // Live events that arrived while reading may repeat stored steps
+    const storedSteps = (job.steps || []).length;
+    replaying = false;
+    let skipped = 0;
+    for (const event of bufferedEvents) {
+      if (event.type === 'stage' && skipped < storedSteps) {
+        skipped++;
+        continue;
+      }
+      if (forward(event)) return;
+    }
+
+    // Job handled by another instance: fall back to polling the job record
+    if (!isJobInProcess(job_id)) {
+      pollTimer = setInterval(async () => {
+        try {
+          const latest = await GenerationJobModel.findById(job_id);
+          if (latest && !stream.isClosed()) {
+            replayJob(await getCurrentJob(latest), lastStepCount);
           }
+        } catch (error) {
+          console.error('⚠️  Error polling generation job:', error.message);
         }
-      }
+      }, JOB_EVENTS_POLL_INTERVAL_MS);
     }
-    
-    if (!generatedImageBuffer) {
-      console.error('❌ No image generated in response');
-      console.log('   Response structure:', JSON.stringify(imageResponse, null, 2).substring(0, 500));
-      throw new Error('No image generated in response');
-    }
-    
-    // Create file object for S3 upload
-    const generatedImageFile = {
-      buffer: generatedImageBuffer,
-      originalname: `gemini-tryon-${productName}.png`,
-      mimetype: 'image/png',
-    };
-    
-    // Step 4: Generate styling advice with Gemini
-    console.log('💬 Step 4: Generating styling advice...');
-    const adviceModel = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    const advicePrompt = `Based on this person and the product "${productName}", give personalized styling advice in 2-3 sentences. Be encouraging and specific.`;
-    
-    const adviceResult = await adviceModel.generateContent([
-      advicePrompt,
-      {
-        inlineData: {
-          data: userImageBase64,
-          mimeType: userImageMimeType,
-        },
-      },
-    ]);
-    
-    const aiDescription = adviceResult.response.text();
-    console.log('✅ Styling advice generated');
-    
-    // Step 5: Upload to S3
-    console.log('📤 Step 5: Uploading to S3...');
-    const s3Url = await uploadImageToS3(generatedImageFile, aiDescription, productName);
-    
-    console.log('✅ Complete! Virtual try-on image uploaded to S3');
-    
-    return {
-      imageUrl: s3Url,
-      aiDescription,
-    };
-    
+
   } catch (error) {
-    console.error('❌ AI generation error:', error.message);
-    console.error('   Full error:', error);
-    
-    // Fallback: Upload original image
-    console.log('⚠️  Falling back to original image');
-    const fallbackDescription = `Thank you for trying "${productName}"! This product would look great on you!`;
-    
-    try {
-      const imageUrl = await uploadImageToS3(userImage, fallbackDescription, productName);
-      return {
-        imageUrl,
-        aiDescription: fallbackDescription,
-      };
-    } catch (uploadError) {
-      throw new Error('Failed to process image: ' + uploadError.message);
+    console.error('❌ Error streaming generation job:', error);
+    if (stream) {
+      stream.send('error', { error: 'Failed to stream generation job', message: error.message });
+      return finish();
     }
+    jobEvents.removeListener(`job:${job_id}`, onJobEvent);
+    res.status(500).json({ 
+      error: 'Failed to stream generation job',
+      message: error.message 
+    });
+  }
+});
+
+// The uploaded file, or the photo stored under photo_token, normalized; sends the error response and returns null
+// if neither is usable (throws UnreadablePhotoError when the photo can't be decoded)
+async function getUserImage(req, res) {
+  const { shop_domain, session_id, photo_token } = req.body;
+
+  if (req.file) {
+    // Judge the file by its magic bytes, not by the mimetype the browser claimed
+    if (!detectImageType(req.file.buffer)) {
+      const message = 'Please upload a JPEG, PNG, WebP or HEIC photo.';
+      res.status(400).json({
+        error: 'unsupported_file_type',
+        message,
+        issues: [{ code: 'unsupported_file_type', severity: 'error', message }],
+      });
+      return null;
+    }
+
+    // Auto-orient, strip EXIF/GPS and downsize before the photo goes anywhere else (validation included)
+    return await normalizeShopperPhoto(req.file);
+  }
+
+  if (!photo_token) {
+    res.status(400).json({ error: 'User image or photo_token is required' });
+    return null;
+  }
+
+  // Photo uploaded earlier via /api/shopper-photos
+  const photo = await loadShopperPhoto(photo_token, { shop_domain, session_id });
+
+  if (!photo) {
+    res.status(404).json({
+      error: 'photo_not_found',
+      message: 'Photo has expired or does not exist, please upload it again'
+    });
+    return null;
   }
+
+  // Photos stored before normalization existed
+  return await normalizeShopperPhoto(photo);
 }
 
-// Function to upload image to S3
-async function uploadImageToS3(imageFile, aiDescription, productName) {
+// Store the try-on photo as a shopper photo (unless it already is one) and return its token
+// Stored photos belong to a session, so without session_id there is nothing to regenerate from
+async function keepShopperPhoto(shop, input) {
+  if (input.photo_token || !input.session_id) {
+    return input.photo_token || null;
+  }
+
   try {
-    console.log('📤 Uploading image to S3...');
-    
-    // Generate unique filename
-    const fileExtension = imageFile.originalname.split('.').pop();
-    const fileName = `generated/${uuidv4()}.${fileExtension}`;
-    
-    // Clean AI description for S3 metadata (remove newlines, special chars)
-    const cleanDescription = aiDescription
-      .replace(/[\r\n]+/g, ' ')  // Replace newlines with space
-      .replace(/[^\x20-\x7E]/g, '') // Remove non-ASCII characters
-      .substring(0, 2000); // S3 metadata limit
-    
-    const cleanProductName = (productName || 'Unknown')
-      .replace(/[\r\n]+/g, ' ')
-      .replace(/[^\x20-\x7E]/g, '')
-      .substring(0, 200);
-    
-    // Prepare S3 upload parameters
-    const uploadParams = {
-      Bucket: bucketName,
-      Key: fileName,
-      Body: imageFile.buffer,
-      ContentType: imageFile.mimetype,
-      Metadata: {
-        'ai-description': cleanDescription,
-        'product-name': cleanProductName,
-        'original-name': imageFile.originalname,
-        'upload-date': new Date().toISOString(),
-      },
-    };
-    
-    // Upload to S3
-    await s3Client.send(new PutObjectCommand(uploadParams));
-    
-    // Generate public URL
-    const region = process.env.S3_REGION || process.env.AWS_REGION;
-    const imageUrl = `https://${bucketName}.s3.${region}.amazonaws.com/${fileName}`;
-    
-    console.log('✅ Image uploaded successfully');
-    console.log('🔗 URL:', imageUrl);
-    
-    return imageUrl;
-    
+    const photo = await saveShopperPhoto(shop, input.userImage, input.session_id);
+    return photo.photo_token;
+  } catch (error) {
+    // The try-on itself doesn't need it
+    console.error('⚠️  Could not keep shopper photo for regenerate:', error.message);
+    return null;
+  }
+}
+
+// Parse the outfit `products` field (JSON array of { product_id, product_name, product_image_url, category },
+// plus product_type / product_tags / product_collections for the category rules)
+function parseOutfitProducts(raw) {
+  let products;
+  try {
+    products = typeof raw === 'string' ? JSON.parse(raw) : raw;
   } catch (error) {
-    console.error('❌ S3 upload error:', error);
-    throw new Error('Failed to upload image to S3: ' + error.message);
+    return { error: 'products must be a JSON array' };
+  }
+
+  if (!Array.isArray(products) || products.length < 2 || products.length > OUTFIT_MAX_PRODUCTS) {
+    return { error: `products must be an array of 2 to ${OUTFIT_MAX_PRODUCTS} products` };
+  }
+
+  const parsed = [];
+  for (const product of products) {
+    if (!product || typeof product.product_name !== 'string' || product.product_name.length === 0) {
+      return { error: 'every product needs a product_name' };
+    }
+    if (product.category && !isValidCategory(product.category)) {
+      return { error: `unknown product category: ${product.category}` };
+    }
+
+    // details (type, tags, collections) only pick the category, they aren't kept
+    const productDetails = parseProductDetails(product);
+    if (productDetails.error) {
+      return { error: `${product.product_name}: ${productDetails.error}` };
+    }
+
+    parsed.push({
+      product_id: product.product_id ? String(product.product_id) : null,
+      product_name: product.product_name,
+      product_image_url: product.product_image_url || null,
+      category: product.category || null,
+      details: productDetails.details,
+    });
+  }
+
+  return { products: parsed };
+}
+
+// Parse regenerate feedback: `feedback` codes (JSON array or a single code) and an optional free-text `comment`
+function parseFeedback(rawCodes, comment) {
+  let codes = [];
+  if (rawCodes !== undefined && rawCodes !== '') {
+    try {
+      codes = typeof rawCodes === 'string' && rawCodes.trim().startsWith('[') ? JSON.parse(rawCodes) : [].concat(rawCodes);
+    } catch (error) {
+      return { error: 'feedback must be a JSON array of codes' };
+    }
+  }
+
+  if (!Array.isArray(codes) || codes.some(code => !Object.hasOwn(FEEDBACK_INSTRUCTIONS, code))) {
+    return { error: `feedback codes must be among: ${Object.keys(FEEDBACK_INSTRUCTIONS).join(', ')}` };
+  }
+
+  if (comment !== undefined && typeof comment !== 'string') {
+    return { error: 'comment must be a string' };
+  }
+
+  if (comment && comment.length > FEEDBACK_COMMENT_MAX_LENGTH) {
+    return { error: `comment must be at most ${FEEDBACK_COMMENT_MAX_LENGTH} characters` };
   }
+
+  if (codes.length === 0 && !comment?.trim()) {
+    return { error: 'feedback or comment is required' };
+  }
+
+  return {
+    feedback: {
+      codes: [...new Set(codes)],
+      comment: comment?.trim() || null,
+    },
+  };
+}
+
+// Compute the cache key for this request and look it up
+// (no key when the shop disabled caching, or for multi-image and outfit requests)
+async function lookupGenerationCache(shop, input) {
+  if (getCacheTtlSeconds(shop) === 0 || input.variations > 1 || input.products) {
+    return { cacheKey: null, cached: null, experiment: null };
+  }
+
+  // The prompt this session would get (experiment variant included)
+  const category = input.category || getProductCategory(shop);
+  const { prompt, experiment } = await buildTryOnPrompt(shop, {
+    category,
+    productName: input.product_name,
+    productAttributes: input.product_attributes,
+    sessionId: input.session_id,
+    placement: input.placement,
+  });
+
+  const cacheKey = await buildCacheKey({
+    shop,
+    userImage: input.userImage,
+    productImageUrl: input.product_image_url,
+    category,
+    prompt,
+    providerName: getProviderForShop(shop).name,
+  });
+
+  return { cacheKey, cached: await findCachedResult(cacheKey), experiment };
+}
+
+// Deliver an already finished result in whichever mode the client asked for
+// (imageKeys: the keys behind its links, kept on the job so they can be signed again)
+async function sendImmediateResult(req, res, shop_domain, input, result, imageKeys = null) {
+  if (wantsAsyncResponse(req)) {
+    // Queued jobs hold their photo in memory, turn new ones away rather than pile them up
+    if (isQueueFull()) {
+      await ShopModel.releaseReservation(reservation);
+      res.set('Retry-After', '30');
+      return res.status(503).json({
+        error: 'queue_full',
+        message: 'Too many try-ons are waiting, please try again in a moment',
+      });
+    }
+
+    const job = await GenerationJobModel.create({
+      shop_domain,
+      session_id: input.session_id,
+      product_name: input.product_name,
+      product_image_url: input.product_image_url,
+    });
+    await GenerationJobModel.markSucceeded(job.job_id, result, imageKeys);
+
+    return res.status(202).json({
+      success: true,
+      job_id: job.job_id,
+      status: 'succeeded',
+      status_url: getJobStatusUrl(req, job),
+    });
+  }
+
+  if (wantsEventStream(req)) {
+    const stream = openEventStream(res);
+    stream.send('complete', { ...result, timestamp: new Date().toISOString() });
+    return stream.close();
+  }
+
+  res.json(result);
+}
+
+// Run a try-on (credits already reserved) and respond in whichever mode the client asked for
+async function dispatchTryOn(req, res, shop, input, { reservation, cacheKey, startTime }) {
+  // Async mode: persist a job and let the worker do the slow part
+  if (wantsAsyncResponse(req)) {
+    // Queued jobs hold their photo in memory, turn new ones away rather than pile them up
+    if (isQueueFull()) {
+      await ShopModel.releaseReservation(reservation);
+      res.set('Retry-After', '30');
+      return res.status(503).json({
+        error: 'queue_full',
+        message: 'Too many try-ons are waiting, please try again in a moment',
+      });
+    }
+
+    const job = await GenerationJobModel.create({
+      shop_domain: shop.shop_domain,
+      session_id: input.session_id,
+      product_name: input.product_name,
+      product_image_url: input.product_image_url,
+    });
+
+    enqueueGenerationJob(job, shop, input, { reservation, cacheKey });
+
+    return res.status(202).json({
+      success: true,
+      job_id: job.job_id,
+      status: job.status,
+      status_url: getJobStatusUrl(req, job),
+    });
+  }
+
+  // Streaming mode: same generation, but push each stage as an SSE event
+  if (wantsEventStream(req)) {
+    const stream = openEventStream(res);
+    const onProgress = (stage, status, details) => {
+      stream.send(stage, toStageEvent({ stage, status, details }));
+    };
+
+    try {
+      const result = await runTryOn(shop, input, { reservation, cacheKey, startTime, onProgress });
+      stream.send(result.success ? 'complete' : 'error', { ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error('❌ Error generating image (stream):', error);
+      await ShopModel.releaseReservation(reservation).catch(() => {});
+      stream.send('error', {
+        error: 'Failed to generate image',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return stream.close();
+  }
+
+  // Sync mode: hold the connection open until the image is ready
+  const result = await runTryOn(shop, input, { reservation, cacheKey, startTime });
+
+  // Return response with AI description (502 when nothing usable was produced, 422 when it was blocked)
+  const failureStatus = result.error === 'moderation_rejected' ? 422 : 502;
+  res.status(result.success ? 200 : failureStatus).json(result);
+}
+
+// Shape a progress step as an SSE payload
+function toStageEvent({ stage, status, details, at }) {
+  return {
+    stage,
+    status,
+    details: details || null,
+    timestamp: at || new Date().toISOString(),
+  };
 }
 
 module.exports = router;
@@ -0,0 +1,36 @@
+// Local storage route - serves the files of the local storage driver (STORAGE_DRIVER=local, development only)
+// Plays the part of S3 presigned URLs: only links signed by services/storage/local-storage.js are served
+const express = require('express');
+const router = express.Router();
+const { getStorage } = require('../services/storage');
+
+// GET /local-storage/<key>?expires=&signature=
+router.get('/*key', async (req, res) => {
+  try {
+    const key = req.params.key.join('/');
+    const { expires, signature } = req.query;
+    const storage = getStorage();
+
+    if (!storage.verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({ error: 'invalid_signature', message: 'This link is invalid or has expired' });
+    }
+
+    const object = await storage.get(key);
+    if (!object) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    res.set('Content-Type', object.contentType);
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(object.buffer);
+
+  } catch (error) {
+    console.error('❌ Error serving local file:', error);
+    res.status(500).json({
+      error: 'Failed to serve file',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -107,6 +107,7 @@ router.post('/', async (req, res) => {
       images_used: 0,
       images_limit: 15,
       is_active: true,
+      credit_reservations: {}, // In-flight generations holding a credit
       
       // App Status
       app_status: 'disabled', // Will be 'active' after theme extension added
@@ -119,6 +120,7 @@ router.post('/', async (req, res) => {
       // Integration
       integration_status: 'inactive', // Will be active after theme setup
       theme_extension_enabled: false,
+      generation_provider: null, // Image provider override, null = IMAGE_PROVIDER / gemini
       
       // Settings (default values)
       shop_settings: {
@@ -151,6 +153,7 @@ router.post('/', async (req, res) => {
       
       // Timestamps
       last_reset_at: new Date().toISOString(),
+      reset_history: [],
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     };
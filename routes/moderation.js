@@ -0,0 +1,116 @@
+/**
+ * ============================================
+ * MODERATION ROUTE
+ * ============================================
+ *
+ * The merchant's queue of shopper photos and generated images that
+ * moderation blocked (services/moderation.js). Only the verdict is
+ * kept: the merchant confirms it or marks it a false positive, which
+ * helps them choose the shop's strictness.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ShopModel = require('../models/dynamodb-shop');
+const ModerationFlagModel = require('../models/dynamodb-moderation-flag');
+const { getModerationStrictness } = require('../services/moderation');
+
+const REVIEW_DECISIONS = ['confirmed', 'false_positive'];
+
+// The shape the admin UI shows
+function toModerationFlag(flag) {
+  return {
+    flag_id: flag.flag_id,
+    stage: flag.stage,
+    labels: flag.labels,
+    scores: flag.scores,
+    strictness: flag.strictness,
+    product_id: flag.product_id,
+    product_name: flag.product_name,
+    category: flag.category,
+    generation_id: flag.log_id,
+    status: flag.status,
+    review_decision: flag.review_decision,
+    reviewed_by: flag.reviewed_by,
+    reviewed_at: flag.reviewed_at,
+    created_at: flag.created_at,
+  };
+}
+
+/**
+ * GET /api/merchant/moderation/:shop_domain/queue
+ *
+ * Blocked images, newest first
+ * Query: ?status=pending|reviewed
+ */
+router.get('/:shop_domain/queue', async (req, res) => {
+  try {
+    const { shop_domain } = req.params;
+    const { status } = req.query;
+
+    if (status !== undefined && !['pending', 'reviewed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending or reviewed' });
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+
+    if (!shop) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const flags = await ModerationFlagModel.findByShop(shop_domain, status || null);
+
+    res.json({
+      success: true,
+      strictness: getModerationStrictness(shop),
+      count: flags.length,
+      flags: flags.map(toModerationFlag),
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing moderation queue:', error);
+    res.status(500).json({
+      error: 'Failed to list moderation queue',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/merchant/moderation/:shop_domain/queue/:flag_id/review
+ *
+ * Record the merchant's decision on a flag
+ * Body: { decision: confirmed|false_positive, reviewed_by }
+ */
+router.post('/:shop_domain/queue/:flag_id/review', async (req, res) => {
+  try {
+    const { shop_domain, flag_id } = req.params;
+    const { decision, reviewed_by } = req.body;
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `decision must be one of: ${REVIEW_DECISIONS.join(', ')}` });
+    }
+
+    const flag = await ModerationFlagModel.review(shop_domain, flag_id, { decision, reviewed_by });
+
+    if (!flag) {
+      return res.status(404).json({ error: 'Flag not found or already reviewed' });
+    }
+
+    console.log(`✅ Moderation flag ${flag_id} reviewed for ${shop_domain}: ${decision}`);
+
+    res.json({
+      success: true,
+      flag: toModerationFlag(flag),
+    });
+
+  } catch (error) {
+    console.error('❌ Error reviewing moderation flag:', error);
+    res.status(500).json({
+      error: 'Failed to review moderation flag',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
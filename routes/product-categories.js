@@ -0,0 +1,209 @@
+/**
+ * ============================================
+ * PRODUCT CATEGORIES ROUTE
+ * ============================================
+ *
+ * Lets the merchant review the try-on category detected for each product
+ * (services/category-detection.js), detect a batch of products up front
+ * and correct the ones that came out wrong.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ShopModel = require('../models/dynamodb-shop');
+const ProductCategoryModel = require('../models/dynamodb-product-category');
+const { CATEGORY_NAMES, isValidCategory } = require('../config/categories');
+const { MIN_DETECTION_CONFIDENCE, isValidPlacement, detectProductCategory } = require('../services/category-detection');
+const { normalizeProductId } = require('../services/category-rules');
+const { checkProductImageUrl } = require('../services/product-image-fetcher');
+
+// Each detection is a model call, keep one request well within a storefront timeout
+const MAX_DETECT_BATCH = 20;
+const MAX_REVIEW_BATCH = 100;
+
+// The shape the admin UI shows: what was detected and what the merchant chose
+function toProductCategory(item) {
+  return {
+    product_id: item.product_id,
+    product_name: item.product_name || null,
+    detected_category: item.detected_category || null,
+    detected_placement: item.detected_placement || null,
+    confidence: item.confidence ?? null,
+    confident: (item.confidence ?? 0) >= MIN_DETECTION_CONFIDENCE, // Low-confidence detections aren't used for try-ons
+    detected_at: item.detected_at || null,
+    category: item.category || null,
+    placement: item.placement || null,
+    reviewed_at: item.reviewed_at || null,
+  };
+}
+
+/**
+ * GET /api/merchant/product-categories/:shop_domain
+ *
+ * Every product with a detected or reviewed category
+ * Query: ?status=unreviewed|reviewed
+ */
+router.get('/:shop_domain', async (req, res) => {
+  try {
+    const { shop_domain } = req.params;
+    const { status } = req.query;
+
+    if (status !== undefined && !['unreviewed', 'reviewed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be unreviewed or reviewed' });
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+
+    if (!shop) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const products = (await ProductCategoryModel.findByShop(shop_domain))
+      .filter(item => !status || (status === 'reviewed') === Boolean(item.category))
+      .map(toProductCategory);
+
+    res.json({
+      success: true,
+      shop_category: shop.product_category || null,
+      count: products.length,
+      products,
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing product categories:', error);
+    res.status(500).json({
+      error: 'Failed to list product categories',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/merchant/product-categories/:shop_domain/detect
+ *
+ * Detect the category of a batch of products
+ * Body: { products: [{ product_id, product_name, product_image_url }], force }
+ * force: classify again even when a detection for the same image is stored
+ */
+router.post('/:shop_domain/detect', async (req, res) => {
+  try {
+    const { shop_domain } = req.params;
+    const { products, force } = req.body;
+
+    if (!Array.isArray(products) || products.length === 0 || products.length > MAX_DETECT_BATCH) {
+      return res.status(400).json({ error: `products must be an array of 1 to ${MAX_DETECT_BATCH} products` });
+    }
+
+    for (const product of products) {
+      if (!product?.product_id || !product.product_image_url) {
+        return res.status(400).json({ error: 'every product needs a product_id and a product_image_url' });
+      }
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+
+    if (!shop) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    console.log(`🔍 Detecting categories of ${products.length} product(s) for ${shop_domain}...`);
+
+    // One at a time: the provider is rate limited and so is the product image host
+    const results = [];
+    for (const product of products) {
+      const product_id = normalizeProductId(product.product_id);
+
+      try {
+        checkProductImageUrl(product.product_image_url, shop);
+
+        const detection = await detectProductCategory(shop, {
+          product_id,
+          product_name: product.product_name || null,
+          product_image_url: product.product_image_url,
+        }, { force: force === true });
+
+        results.push(detection
+          ? { product_id, detected_category: detection.category, detected_placement: detection.placement, confidence: detection.confidence }
+          : { product_id, error: 'detection_unavailable' });
+      } catch (error) {
+        console.error(`⚠️  Category detection failed for product ${product_id}:`, error.message);
+        results.push({ product_id, error: error.code || 'detection_failed', message: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      products: results,
+    });
+
+  } catch (error) {
+    console.error('❌ Error detecting product categories:', error);
+    res.status(500).json({
+      error: 'Failed to detect product categories',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/merchant/product-categories/:shop_domain
+ *
+ * Save the merchant's category for products (wins over the detection)
+ * Body: { products: [{ product_id, category, placement }], reviewed_by }
+ * category null: forget the correction, the detected category applies again
+ */
+router.post('/:shop_domain', async (req, res) => {
+  try {
+    const { shop_domain } = req.params;
+    const { products, reviewed_by } = req.body;
+
+    if (!Array.isArray(products) || products.length === 0 || products.length > MAX_REVIEW_BATCH) {
+      return res.status(400).json({ error: `products must be an array of 1 to ${MAX_REVIEW_BATCH} products` });
+    }
+
+    for (const product of products) {
+      if (!product?.product_id) {
+        return res.status(400).json({ error: 'every product needs a product_id' });
+      }
+      if (product.category !== null && !isValidCategory(product.category)) {
+        return res.status(400).json({
+          error: `Invalid category for product ${product.product_id}. Must be one of: ${CATEGORY_NAMES.join(', ')} (or null)`
+        });
+      }
+      if (product.placement && !isValidPlacement(product.category, product.placement)) {
+        return res.status(400).json({ error: `Invalid placement for product ${product.product_id}` });
+      }
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+
+    if (!shop) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const saved = [];
+    for (const product of products) {
+      saved.push(await ProductCategoryModel.saveReview(shop_domain, normalizeProductId(product.product_id), {
+        category: product.category,
+        placement: product.placement,
+        reviewed_by,
+      }));
+    }
+
+    console.log(`✅ ${saved.length} product categor${saved.length === 1 ? 'y' : 'ies'} reviewed for ${shop_domain}`);
+
+    res.json({
+      success: true,
+      products: saved.map(toProductCategory),
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving product categories:', error);
+    res.status(500).json({
+      error: 'Failed to save product categories',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,7 @@
 const express = require('express');
 const router = express.Router();
 const ShopModel = require('../models/dynamodb-shop');
+const { CATEGORY_NAMES, isValidCategory } = require('../config/categories');
 
 /**
  * POST /api/merchant/save-categories
@@ -37,11 +38,10 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Validate category value (only 4 allowed)
-    const validCategories = ['apparel', 'jewellery', 'footwear', 'accessories'];
-    if (!validCategories.includes(category)) {
+    // Validate category value (see config/categories.js)
+    if (!isValidCategory(category)) {
       return res.status(400).json({ 
-        error: 'Invalid category. Must be one of: apparel, jewellery, footwear, accessories' 
+        error: `Invalid category. Must be one of: ${CATEGORY_NAMES.join(', ')}` 
       });
     }
 
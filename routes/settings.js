@@ -11,6 +11,25 @@ const router = express.Router();
 const ShopModel = require('../models/dynamodb-shop');
 const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { docClient, TABLES } = require('../config/dynamodb');
+const {
+  TEMPLATE_VARIABLES,
+  validatePromptSettings,
+  parseProductAttributes,
+  buildTryOnPrompt,
+} = require('../services/prompt-templates');
+const { CATEGORY_NAMES, isValidCategory } = require('../config/categories');
+const { validateCategoryRules, parseProductDetails } = require('../services/category-rules');
+const { resolveTryOnCategory, isValidPlacement } = require('../services/category-detection');
+const { validateModerationSettings } = require('../services/moderation');
+const { validateWatermarkSettings } = require('../services/watermark');
+const { rerenderTryOnImage } = require('../services/image-generation');
+const { validateImageLinkSettings, signImageUrl } = require('../services/image-links');
+const { validateRetentionSettings } = require('../services/image-retention');
+const UsageLogModel = require('../models/dynamodb-usage-log');
+
+// Each image is downloaded, watermarked and uploaded again, keep one request short
+const MAX_RERENDER_BATCH = 50;
+const RERENDER_RECENT_LOGS = 100;
 
 /**
  * GET /api/settings/:shop_domain
@@ -116,6 +135,148 @@ router.post('/:shop_domain', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/settings/:shop_domain/prompt-preview
+ * 
+ * Show the prompt a try-on would use, with the saved or draft shop instructions.
+ * Body: { category, product_name, product_attributes, prompts } (prompts: draft settings.prompts, optional)
+ * Without a category: product_id, product_type, product_tags, product_collections pick it through the category rules
+ * (placement, with an explicit category: preview the hint for e.g. a ring)
+ */
+router.post('/:shop_domain/prompt-preview', async (req, res) => {
+  try {
+    const { shop_domain } = req.params;
+    const { product_name, prompts } = req.body;
+
+    const shop = await ShopModel.findOne(shop_domain);
+    
+    if (!shop) {
+      return res.status(404).json({ 
+        error: 'Shop not found' 
+      });
+    }
+
+    // An explicit category, else the one the shop's category rules give the product
+    const productDetails = parseProductDetails(req.body);
+    if (productDetails.error) {
+      return res.status(400).json({ error: productDetails.error });
+    }
+
+    // Previews never classify product images, stored detections still apply
+    const resolved = req.body.category
+      ? { category: req.body.category, placement: req.body.placement || null }
+      : await resolveTryOnCategory(shop, productDetails.details, {}, { detect: false });
+    const { category } = resolved;
+    if (!isValidCategory(category)) {
+      return res.status(400).json({ 
+        error: `Invalid category. Must be one of: ${CATEGORY_NAMES.join(', ')}` 
+      });
+    }
+
+    if (resolved.placement && !isValidPlacement(category, resolved.placement)) {
+      return res.status(400).json({ error: `Invalid placement for ${category}` });
+    }
+
+    if (prompts !== undefined) {
+      const promptsError = validatePromptSettings(prompts);
+      if (promptsError) {
+        return res.status(400).json({ error: promptsError });
+      }
+    }
+
+    const attributes = parseProductAttributes(req.body.product_attributes || {});
+    if (attributes.error) {
+      return res.status(400).json({ error: attributes.error });
+    }
+
+    const preview = await buildTryOnPrompt(shop, {
+      category,
+      productName: product_name || 'Sample Product',
+      productAttributes: attributes.attributes,
+      placement: resolved.placement,
+      prompts,
+    });
+
+    res.json({
+      success: true,
+      category,
+      placement: resolved.placement,
+      prompt: preview.prompt,
+      prompt_version: preview.promptVersion,
+      template_version: preview.templateVersion,
+      variables: TEMPLATE_VARIABLES,
+    });
+
+  } catch (error) {
+    console.error('❌ Error previewing prompt:', error);
+    res.status(500).json({ 
+      error: 'Failed to preview prompt',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/settings/:shop_domain/watermark-rerender
+ *
+ * Render try-on images again with the shop's current watermark (none when it is turned off).
+ * Body: { generation_ids } (up to 50), else the images of the shop's latest 100 usage events.
+ * Only images stored while a watermark was on can be re-rendered (their original was kept).
+ */
+router.post('/:shop_domain/watermark-rerender', async (req, res) => {
+  try {
+    const { shop_domain } = req.params;
+    const { generation_ids } = req.body;
+
+    if (generation_ids !== undefined && (!Array.isArray(generation_ids) || generation_ids.length === 0
+      || generation_ids.length > MAX_RERENDER_BATCH || !generation_ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: `generation_ids must be an array of 1 to ${MAX_RERENDER_BATCH} ids` });
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+
+    if (!shop) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const logs = generation_ids
+      ? (await Promise.all(generation_ids.map(id => UsageLogModel.findById(id))))
+        .filter(log => log?.shop_domain === shop_domain)
+      : await UsageLogModel.findByShop(shop_domain, RERENDER_RECENT_LOGS);
+
+    // Cache hits share the image of the try-on they reused
+    const imageIds = [...new Set(logs.map(log => log.image_id).filter(Boolean))];
+
+    console.log(`🖌️  Re-rendering ${imageIds.length} image(s) for ${shop_domain}...`);
+
+    const images = [];
+    for (const imageId of imageIds) {
+      try {
+        const result = await rerenderTryOnImage(shop, imageId);
+        images.push(result
+          ? { image_id: imageId, generated_image_url: await signImageUrl(shop, result.imageKey), watermarked: result.watermarked }
+          : { image_id: imageId, error: 'original_not_found' });
+      } catch (error) {
+        console.error(`⚠️  Could not re-render image ${imageId}:`, error.message);
+        images.push({ image_id: imageId, error: 'rerender_failed', message: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      count: images.length,
+      images,
+    });
+
+  } catch (error) {
+    console.error('❌ Error re-rendering watermarks:', error);
+    res.status(500).json({
+      error: 'Failed to re-render images',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Get default settings
  */
@@ -227,6 +388,63 @@ function validateSettings(settings) {
     }
   }
 
+  // Check generation settings (optional)
+  if (settings.generation) {
+    const ttl = settings.generation.cache_ttl_hours;
+    if (ttl !== undefined && (typeof ttl !== 'number' || ttl < 0 || ttl > 720)) {
+      return 'generation.cache_ttl_hours must be a number between 0 and 720';
+    }
+  }
+
+  // Check product_images settings (optional)
+  if (settings.product_images) {
+    const hosts = settings.product_images.allowed_hosts;
+    if (hosts !== undefined && (!Array.isArray(hosts) || !hosts.every(isValidHost))) {
+      return 'product_images.allowed_hosts must be a list of host names (e.g. "images.mystore.com" or "*.mystore.com")';
+    }
+  }
+
+  // Check category rules (optional)
+  if (settings.category_rules !== undefined) {
+    const rulesError = validateCategoryRules(settings.category_rules);
+    if (rulesError) {
+      return rulesError;
+    }
+  }
+
+  // Check moderation strictness (optional)
+  if (settings.moderation !== undefined) {
+    const moderationError = validateModerationSettings(settings.moderation);
+    if (moderationError) {
+      return moderationError;
+    }
+  }
+
+  // Check image link lifetime and retention (optional)
+  if (settings.generated_images !== undefined) {
+    const imagesError = validateImageLinkSettings(settings.generated_images)
+      || validateRetentionSettings(settings.generated_images);
+    if (imagesError) {
+      return imagesError;
+    }
+  }
+
+  // Check watermark (optional)
+  if (settings.watermark !== undefined) {
+    const watermarkError = validateWatermarkSettings(settings.watermark);
+    if (watermarkError) {
+      return watermarkError;
+    }
+  }
+
+  // Check prompt instructions (optional)
+  if (settings.prompts) {
+    const promptsError = validatePromptSettings(settings.prompts);
+    if (promptsError) {
+      return promptsError;
+    }
+  }
+
   return null; // No errors
 }
 
@@ -237,4 +455,11 @@ function isValidColor(color) {
   return /^#[0-9A-F]{6}$/i.test(color);
 }
 
+/**
+ * Validate a host name, optionally with a leading "*." wildcard
+ */
+function isValidHost(host) {
+  return typeof host === 'string' && /^(\*\.)?([a-z0-9-]+\.)+[a-z]{2,}$/i.test(host);
+}
+
 module.exports = router;
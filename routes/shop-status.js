@@ -4,6 +4,8 @@ const router = express.Router();
 const ShopModel = require('../models/dynamodb-shop');
 const UsageLogModel = require('../models/dynamodb-usage-log');
 const OrderModel = require('../models/dynamodb-order');
+const { getResetCycle, getNextResetAt } = require('../services/billing-cycle');
+const { checkStorefrontEligibility } = require('../services/storefront-eligibility');
 
 // Get shop status and usage
 router.get('/:shop_domain', async (req, res) => {
@@ -40,6 +42,9 @@ router.get('/:shop_domain', async (req, res) => {
     // Get revenue stats
     const revenueStats = await OrderModel.getRevenueStats(shop_domain);
 
+    // Can shoppers use the widget right now, and if not, why
+    const eligibility = checkStorefrontEligibility(shop);
+
     // Calculate metrics
     const tryOnGenerated = stats.image_generated || 0;
     const addToCartCount = stats.add_to_cart || 0;
@@ -80,18 +85,26 @@ router.get('/:shop_domain', async (req, res) => {
         domain: shop.shop_domain,
         plan: shop.plan_type,
         is_active: shop.is_active,
-        app_status: shop.app_status || 'disabled' // Add app_status field
+        app_status: shop.app_status || 'disabled', // Add app_status field
+        suspension: shop.suspension || null, // { reason, suspended_by, suspended_at } when suspended by support
+        storefront_enabled: eligibility.eligible,
+        storefront_error: eligibility.eligible ? null : eligibility.error
       },
       shopStatus: shop, // Return full shop object for order_sync info
       usage: {
         used: shop.images_used,
         limit: shop.images_limit,
-        remaining: shop.images_limit - shop.images_used
+        remaining: shop.images_limit - shop.images_used,
+        reset_cycle: getResetCycle(shop),
+        last_reset_at: shop.last_reset_at,
+        next_reset_at: getNextResetAt(shop).toISOString()
       },
       stats: {
         total_images_generated: stats.image_generated || 0,
         total_add_to_cart: stats.add_to_cart || 0,
-        total_limit_reached: stats.limit_reached || 0
+        total_limit_reached: stats.limit_reached || 0,
+        total_generation_failed: stats.generation_failed || 0,
+        total_moderation_rejected: stats.moderation_rejected || 0
       },
       metrics: {
         try_on_generated: tryOnGenerated,
@@ -0,0 +1,104 @@
+// Shopper photos route - upload a photo once, reuse it for many try-ons
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const ShopModel = require('../models/dynamodb-shop');
+const { saveShopperPhoto, deleteShopperPhoto } = require('../services/shopper-photos');
+const { checkStorefrontEligibility, sendEligibilityError } = require('../services/storefront-eligibility');
+const { UnreadablePhotoError } = require('../services/image-processing');
+const { detectImageType } = require('../services/photo-validation');
+
+// Same limits as /api/generate-image
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+// Upload a photo, returns the token to send to /api/generate-image as photo_token
+router.post('/', upload.single('userImage'), async (req, res) => {
+  try {
+    const { shop_domain, session_id } = req.body;
+    const userImage = req.file;
+
+    // Validation
+    if (!shop_domain || !session_id) {
+      return res.status(400).json({ error: 'shop_domain and session_id are required' });
+    }
+
+    if (!userImage) {
+      return res.status(400).json({ error: 'User image is required' });
+    }
+
+    // Judge the file by its magic bytes, not by the mimetype the browser claimed
+    if (!detectImageType(userImage.buffer)) {
+      return res.status(400).json({
+        error: 'unsupported_file_type',
+        message: 'Please upload a JPEG, PNG, WebP or HEIC photo.'
+      });
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+
+    // Refuse unknown, disabled, suspended and uninstalled shops
+    const eligibility = checkStorefrontEligibility(shop);
+    if (!eligibility.eligible) {
+      console.log(`⛔ Photo upload refused for ${shop_domain}: ${eligibility.error}`);
+      return sendEligibilityError(res, eligibility);
+    }
+
+    const photo = await saveShopperPhoto(shop, userImage, session_id);
+
+    res.status(201).json({
+      success: true,
+      photo_token: photo.photo_token,
+      expires_at: new Date(photo.expires_at * 1000).toISOString(),
+    });
+
+  } catch (error) {
+    if (error instanceof UnreadablePhotoError) {
+      return res.status(422).json({
+        error: 'invalid_photo',
+        message: 'This photo can\'t be used for a try-on',
+        issues: [{ code: error.code, severity: 'error', message: error.message }],
+      });
+    }
+
+    console.error('❌ Error uploading shopper photo:', error);
+    res.status(500).json({
+      error: 'Failed to upload photo',
+      message: error.message
+    });
+  }
+});
+
+// Delete a photo before it expires (shop_domain and session_id in the query string or body)
+router.delete('/:photo_token', async (req, res) => {
+  try {
+    const shop_domain = req.query.shop_domain || req.body?.shop_domain;
+    const session_id = req.query.session_id || req.body?.session_id;
+
+    if (!shop_domain || !session_id) {
+      return res.status(400).json({ error: 'shop_domain and session_id are required' });
+    }
+
+    const deleted = await deleteShopperPhoto(req.params.photo_token, { shop_domain, session_id });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Photo deleted successfully',
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting shopper photo:', error);
+    res.status(500).json({
+      error: 'Failed to delete photo',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,553 @@
+/**
+ * ============================================
+ * SUPPORT ROUTE
+ * ============================================
+ * 
+ * Internal endpoints for the support team (not called by the Shopify app).
+ * Every request needs "Authorization: Bearer <SUPPORT_API_KEY>".
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const ShopModel = require('../models/dynamodb-shop');
+const PromptTemplateModel = require('../models/dynamodb-prompt-template');
+const PromptExperimentModel = require('../models/dynamodb-prompt-experiment');
+const {
+  BUILTIN_TEMPLATES,
+  TEMPLATE_VARIABLES,
+  validateTemplate,
+  parseProductAttributes,
+  buildTryOnPrompt,
+  getActiveTemplate,
+  getTemplateVersion,
+  clearTemplateCache,
+} = require('../services/prompt-templates');
+const { buildExperimentReport, clearExperimentCache } = require('../services/prompt-experiments');
+const { isValidCategory } = require('../config/categories');
+
+// Most variants one prompt experiment may compare
+const MAX_EXPERIMENT_VARIANTS = 5;
+
+/**
+ * Require the support API key on every support endpoint
+ */
+function requireSupportKey(req, res, next) {
+  const expected = process.env.SUPPORT_API_KEY;
+
+  if (!expected) {
+    console.log('⚠️  SUPPORT_API_KEY is not set, support endpoints are disabled');
+    return res.status(503).json({ error: 'Support endpoints are not configured' });
+  }
+
+  const provided = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+
+  // Constant-time comparison
+  if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+    console.log('❌ Invalid support API key');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+router.use(requireSupportKey);
+
+/**
+ * POST /api/support/shops/:shop_domain/suspend
+ * 
+ * Suspend a shop. Body: { reason, suspended_by }
+ */
+router.post('/shops/:shop_domain/suspend', async (req, res) => {
+  try {
+    const { shop_domain } = req.params;
+    const { reason, suspended_by } = req.body;
+
+    console.log('⛔ Suspending shop...');
+    console.log('   Shop domain:', shop_domain);
+    console.log('   Reason:', reason);
+
+    // Validation
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ 
+        error: 'reason is required and must be a string' 
+      });
+    }
+
+    const shop = await ShopModel.findOne(shop_domain);
+    
+    if (!shop) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const updatedShop = await ShopModel.suspend(shop_domain, {
+      reason: reason.trim().substring(0, 500),
+      suspended_by,
+    });
+
+    res.json({
+      success: true,
+      message: 'Shop suspended',
+      shop: {
+        shop_domain: updatedShop.shop_domain,
+        suspension: updatedShop.suspension,
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Error suspending shop:', error);
+    res.status(500).json({ 
+      error: 'Failed to suspend shop',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/support/shops/:shop_domain/unsuspend
+ * 
+ * Lift a suspension
+ */
+router.post('/shops/:shop_domain/unsuspend', async (req, res) => {
+  try {
+    const { shop_domain } = req.params;
+
+    console.log('🔓 Unsuspending shop:', shop_domain);
+
+    const shop = await ShopModel.findOne(shop_domain);
+    
+    if (!shop) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const updatedShop = await ShopModel.unsuspend(shop_domain);
+
+    res.json({
+      success: true,
+      message: 'Shop unsuspended',
+      shop: {
+        shop_domain: updatedShop.shop_domain,
+        suspension: updatedShop.suspension,
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Error unsuspending shop:', error);
+    res.status(500).json({ 
+      error: 'Failed to unsuspend shop',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/support/prompt-templates/:category
+ * 
+ * Published versions of a category's try-on prompt (newest first) and the built-in default
+ */
+router.get('/prompt-templates/:category', async (req, res) => {
+  try {
+    const { category } = req.params;
+
+    if (!isValidCategory(category)) {
+      return res.status(404).json({ error: 'Unknown category' });
+    }
+
+    const versions = await PromptTemplateModel.findByCategory(category);
+
+    res.json({
+      success: true,
+      category,
+      active_version: versions[0]?.version || 0,
+      versions,
+      builtin: BUILTIN_TEMPLATES[category],
+      variables: TEMPLATE_VARIABLES,
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing prompt templates:', error);
+    res.status(500).json({ 
+      error: 'Failed to list prompt templates',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/support/prompt-templates/:category
+ * 
+ * Publish a new version, used by every shop right away. Body: { template, notes, created_by }
+ * To roll back, send { from_version } instead of template: that version is re-published as the newest.
+ */
+router.post('/prompt-templates/:category', async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { notes, created_by, from_version } = req.body;
+    let { template } = req.body;
+
+    if (!isValidCategory(category)) {
+      return res.status(404).json({ error: 'Unknown category' });
+    }
+
+    if (from_version !== undefined) {
+      if (!Number.isInteger(Number(from_version)) || Number(from_version) < 0) {
+        return res.status(400).json({ error: 'from_version must be a version number' });
+      }
+
+      const source = Number(from_version) === 0
+        ? { template: BUILTIN_TEMPLATES[category] }
+        : await PromptTemplateModel.findVersion(category, Number(from_version));
+
+      if (!source) {
+        return res.status(404).json({ error: `Version ${from_version} not found` });
+      }
+      template = source.template;
+    }
+
+    const validationError = validateTemplate(template);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    console.log(`📝 Publishing ${category} prompt template...`);
+    console.log('   Notes:', notes || 'none');
+
+    const published = await PromptTemplateModel.create({
+      category,
+      template,
+      notes: notes || (from_version !== undefined ? `Rollback to version ${from_version}` : null),
+      created_by,
+    });
+
+    if (!published) {
+      return res.status(409).json({ error: 'Another version was published at the same time, please retry' });
+    }
+
+    // Other instances pick it up within PROMPT_TEMPLATE_CACHE_MS
+    clearTemplateCache(category);
+
+    console.log(`✅ ${category} prompt template v${published.version} published`);
+
+    res.status(201).json({
+      success: true,
+      template: published,
+    });
+
+  } catch (error) {
+    console.error('❌ Error publishing prompt template:', error);
+    res.status(500).json({ 
+      error: 'Failed to publish prompt template',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/support/prompt-templates/:category/preview
+ * 
+ * Render a draft template without publishing it. Body: { template, product_name, product_attributes }
+ */
+router.post('/prompt-templates/:category/preview', async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { template, product_name } = req.body;
+
+    if (!isValidCategory(category)) {
+      return res.status(404).json({ error: 'Unknown category' });
+    }
+
+    const validationError = validateTemplate(template);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const attributes = parseProductAttributes(req.body.product_attributes || {});
+    if (attributes.error) {
+      return res.status(400).json({ error: attributes.error });
+    }
+
+    // No shop: global templates are previewed without shop instructions
+    const preview = await buildTryOnPrompt(null, {
+      category,
+      productName: product_name || 'Sample Product',
+      productAttributes: attributes.attributes,
+      template,
+    });
+
+    res.json({
+      success: true,
+      category,
+      prompt: preview.prompt,
+    });
+
+  } catch (error) {
+    console.error('❌ Error previewing prompt template:', error);
+    res.status(500).json({ 
+      error: 'Failed to preview prompt template',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/support/prompt-experiments/:category
+ * 
+ * Experiments of a category, newest first
+ */
+router.get('/prompt-experiments/:category', async (req, res) => {
+  try {
+    const { category } = req.params;
+
+    if (!isValidCategory(category)) {
+      return res.status(404).json({ error: 'Unknown category' });
+    }
+
+    const experiments = await PromptExperimentModel.findByCategory(category);
+
+    res.json({
+      success: true,
+      category,
+      experiments,
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing prompt experiments:', error);
+    res.status(500).json({ 
+      error: 'Failed to list prompt experiments',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/support/prompt-experiments/:category
+ * 
+ * Start an experiment. Body: { name, created_by, variants: [{ name, weight, template_version | template }] }
+ * A variant without template_version or template is the control: the version active right now.
+ */
+router.post('/prompt-experiments/:category', async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { name, created_by } = req.body;
+
+    if (!isValidCategory(category)) {
+      return res.status(404).json({ error: 'Unknown category' });
+    }
+
+    const parsed = await parseVariants(category, req.body.variants);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const running = await PromptExperimentModel.findRunning(category);
+    if (running) {
+      return res.status(409).json({
+        error: 'An experiment is already running for this category',
+        experiment_id: running.experiment_id,
+      });
+    }
+
+    console.log(`🧪 Starting ${category} prompt experiment...`);
+    console.log('   Variants:', parsed.variants.map(variant => `${variant.name} (${variant.weight})`).join(', '));
+
+    const experiment = await PromptExperimentModel.create({
+      category,
+      name,
+      variants: parsed.variants,
+      created_by,
+    });
+
+    clearExperimentCache(category);
+
+    res.status(201).json({
+      success: true,
+      experiment,
+    });
+
+  } catch (error) {
+    console.error('❌ Error starting prompt experiment:', error);
+    res.status(500).json({ 
+      error: 'Failed to start prompt experiment',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/support/prompt-experiments/:category/:experiment_id
+ * 
+ * An experiment and its conversion report per variant
+ */
+router.get('/prompt-experiments/:category/:experiment_id', async (req, res) => {
+  try {
+    const { category, experiment_id } = req.params;
+
+    const experiment = await PromptExperimentModel.findById(category, experiment_id);
+    
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    const report = await buildExperimentReport(experiment);
+
+    res.json({
+      success: true,
+      experiment,
+      report,
+    });
+
+  } catch (error) {
+    console.error('❌ Error building experiment report:', error);
+    res.status(500).json({ 
+      error: 'Failed to build experiment report',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/support/prompt-experiments/:category/:experiment_id/end
+ * 
+ * End an experiment. Body: { winner, promote, ended_by }
+ * With promote: true the winner's template is published as the category's newest version.
+ */
+router.post('/prompt-experiments/:category/:experiment_id/end', async (req, res) => {
+  try {
+    const { category, experiment_id } = req.params;
+    const { winner, promote, ended_by } = req.body;
+
+    const experiment = await PromptExperimentModel.findById(category, experiment_id);
+    
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    if (experiment.status !== 'running') {
+      return res.status(409).json({ error: 'Experiment already ended' });
+    }
+
+    const winningVariant = winner ? experiment.variants.find(variant => variant.name === winner) : null;
+    if (winner && !winningVariant) {
+      return res.status(400).json({ error: `Unknown variant: ${winner}` });
+    }
+
+    if (promote && !winningVariant) {
+      return res.status(400).json({ error: 'winner is required to promote' });
+    }
+
+    console.log(`🏁 Ending ${category} prompt experiment ${experiment_id}...`);
+    console.log('   Winner:', winner || 'none');
+
+    // Publish the winner, unless it already is the active version
+    let promotedVersion = null;
+    if (promote) {
+      const active = await getActiveTemplate(category);
+
+      if (winningVariant.template_version !== undefined && winningVariant.template_version === active.version) {
+        promotedVersion = active.version;
+      } else {
+        const template = winningVariant.template_version !== undefined
+          ? (await getTemplateVersion(category, winningVariant.template_version)).template
+          : winningVariant.template;
+
+        const published = await PromptTemplateModel.create({
+          category,
+          template,
+          notes: `Winner of experiment ${experiment.name || experiment_id} (variant ${winner})`,
+          created_by: ended_by,
+        });
+
+        if (!published) {
+          return res.status(409).json({ error: 'Another version was published at the same time, please retry' });
+        }
+
+        promotedVersion = published.version;
+        clearTemplateCache(category);
+        console.log(`✅ ${category} prompt template v${promotedVersion} published from variant ${winner}`);
+      }
+    }
+
+    const ended = await PromptExperimentModel.end(category, experiment_id, {
+      winner,
+      ended_by,
+      promoted_version: promotedVersion,
+    });
+
+    if (!ended) {
+      return res.status(409).json({ error: 'Experiment already ended' });
+    }
+
+    clearExperimentCache(category);
+
+    res.json({
+      success: true,
+      experiment: ended,
+      report: await buildExperimentReport(ended),
+    });
+
+  } catch (error) {
+    console.error('❌ Error ending prompt experiment:', error);
+    res.status(500).json({ 
+      error: 'Failed to end prompt experiment',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * Check experiment variants; the control (no template) is pinned to the version active now
+ * @returns {Object} - { variants } or { error }
+ */
+async function parseVariants(category, variants) {
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_EXPERIMENT_VARIANTS) {
+    return { error: `variants must be an array of 2 to ${MAX_EXPERIMENT_VARIANTS} variants` };
+  }
+
+  const names = new Set();
+  const parsed = [];
+
+  for (const variant of variants) {
+    if (!variant || typeof variant.name !== 'string' || !/^[a-z0-9_-]{1,40}$/i.test(variant.name)) {
+      return { error: 'every variant needs a name (letters, digits, "-" and "_")' };
+    }
+
+    if (names.has(variant.name)) {
+      return { error: `duplicate variant name: ${variant.name}` };
+    }
+    names.add(variant.name);
+
+    const weight = variant.weight === undefined ? 1 : variant.weight;
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) {
+      return { error: `variant ${variant.name}: weight must be an integer between 1 and 100` };
+    }
+
+    if (variant.template !== undefined && variant.template_version !== undefined) {
+      return { error: `variant ${variant.name}: use template or template_version, not both` };
+    }
+
+    if (variant.template !== undefined) {
+      const templateError = validateTemplate(variant.template);
+      if (templateError) {
+        return { error: `variant ${variant.name}: ${templateError}` };
+      }
+      parsed.push({ name: variant.name, weight, template: variant.template });
+      continue;
+    }
+
+    const version = variant.template_version !== undefined
+      ? variant.template_version
+      : (await getActiveTemplate(category)).version;
+
+    if (!Number.isInteger(version) || !(await getTemplateVersion(category, version))) {
+      return { error: `variant ${variant.name}: template version ${version} not found` };
+    }
+
+    parsed.push({ name: variant.name, weight, template_version: version });
+  }
+
+  return { variants: parsed };
+}
+
+module.exports = router;
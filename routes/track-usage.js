@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const UsageLogModel = require('../models/dynamodb-usage-log');
 const ShopModel = require('../models/dynamodb-shop');
+const { checkStorefrontEligibility, sendEligibilityError } = require('../services/storefront-eligibility');
 
 router.post('/', async (req, res) => {
   try {
@@ -10,7 +11,8 @@ router.post('/', async (req, res) => {
       shop_domain, 
       event_type, 
       product_id, 
-      product_name 
+      product_name,
+      session_id
     } = req.body;
 
     // Validation
@@ -23,8 +25,11 @@ router.post('/', async (req, res) => {
     // Find shop
     const shop = await ShopModel.findOne(shop_domain);
     
-    if (!shop) {
-      return res.status(404).json({ error: 'Shop not found' });
+    // Refuse unknown, disabled, suspended and uninstalled shops
+    const eligibility = checkStorefrontEligibility(shop);
+    if (!eligibility.eligible) {
+      console.log(`⛔ Event refused for ${shop_domain}: ${eligibility.error}`);
+      return sendEligibilityError(res, eligibility);
     }
 
     // Create usage log
@@ -32,6 +37,7 @@ router.post('/', async (req, res) => {
       shop_domain,
       shop_id: shop.shop_id,
       event_type,
+      session_id, // Ties add-to-cart to the session's try-ons (experiment reports)
       product_id,
       product_name,
     });
@@ -14,7 +14,7 @@ const ShopModel = require('../models/dynamodb-shop');
 /**
  * POST /api/merchant/update-app-status
  * 
- * Update app status (disabled → active)
+ * Update app status (disabled → active, or uninstalled when the app is removed)
  */
 router.post('/', async (req, res) => {
   try {
@@ -31,9 +31,9 @@ router.post('/', async (req, res) => {
       });
     }
 
-    if (!status || !['disabled', 'active'].includes(status)) {
+    if (!status || !['disabled', 'active', 'uninstalled'].includes(status)) {
       return res.status(400).json({ 
-        error: 'status must be either "disabled" or "active"' 
+        error: 'status must be one of "disabled", "active" or "uninstalled"' 
       });
     }
 
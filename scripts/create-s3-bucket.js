@@ -5,7 +5,7 @@
 // Run this once: npm run create-bucket
 
 require('dotenv').config();
-const { S3Client, CreateBucketCommand, PutBucketCorsCommand, PutPublicAccessBlockCommand, PutBucketPolicyCommand } = require('@aws-sdk/client-s3');
+const { S3Client, CreateBucketCommand, PutBucketCorsCommand, PutPublicAccessBlockCommand } = require('@aws-sdk/client-s3');
 
 const bucketName = process.env.S3_BUCKET_NAME || 'see-before-buy-images';
 const region = process.env.S3_REGION || process.env.AWS_REGION;
@@ -69,39 +69,19 @@ async function createS3Bucket() {
     }));
     console.log('✅ CORS configured\n');
 
-    // Step 3: Configure public access (allow public read)
-    console.log('🔧 Configuring public access...');
+    // Step 3: Block all public access - images are served through expiring presigned URLs
+    // (services/image-links.js), shopper likenesses must never be world-readable
+    console.log('🔧 Blocking public access...');
     await s3Client.send(new PutPublicAccessBlockCommand({
       Bucket: bucketName,
       PublicAccessBlockConfiguration: {
-        BlockPublicAcls: false,
-        IgnorePublicAcls: false,
-        BlockPublicPolicy: false,
-        RestrictPublicBuckets: false,
+        BlockPublicAcls: true,
+        IgnorePublicAcls: true,
+        BlockPublicPolicy: true,
+        RestrictPublicBuckets: true,
       },
     }));
-    console.log('✅ Public access configured\n');
-
-    // Step 4: Add bucket policy (allow public read)
-    console.log('🔧 Adding bucket policy...');
-    const bucketPolicy = {
-      Version: '2012-10-17',
-      Statement: [
-        {
-          Sid: 'PublicReadGetObject',
-          Effect: 'Allow',
-          Principal: '*',
-          Action: 's3:GetObject',
-          Resource: `arn:aws:s3:::${bucketName}/*`,
-        },
-      ],
-    };
-
-    await s3Client.send(new PutBucketPolicyCommand({
-      Bucket: bucketName,
-      Policy: JSON.stringify(bucketPolicy),
-    }));
-    console.log('✅ Bucket policy added\n');
+    console.log('✅ Public access blocked\n');
 
     // Success!
     console.log('==================================================');
@@ -109,7 +89,7 @@ async function createS3Bucket() {
     console.log('==================================================\n');
     console.log('📦 Bucket Name:', bucketName);
     console.log('🌍 Region:', region);
-    console.log('🔗 URL Format:', `https://${bucketName}.s3.${region}.amazonaws.com/`);
+    console.log('🔒 Private: images are served through expiring presigned URLs');
     console.log('\n💡 Your generated images will be stored here!\n');
 
   } catch (error) {
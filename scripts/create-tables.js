@@ -1,6 +1,13 @@
 // Script to create DynamoDB tables
 require('dotenv').config();
-const { DynamoDBClient, CreateTableCommand, ListTablesCommand } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBClient,
+  CreateTableCommand,
+  DescribeTableCommand,
+  ListTablesCommand,
+  UpdateTableCommand,
+  UpdateTimeToLiveCommand,
+} = require('@aws-sdk/client-dynamodb');
 
 const client = new DynamoDBClient({
   region: process.env.AWS_REGION || 'us-east-1',
@@ -12,6 +19,26 @@ const client = new DynamoDBClient({
 
 const SHOPS_TABLE = process.env.DYNAMODB_SHOPS_TABLE || 'see-before-buy-shops';
 const USAGE_LOGS_TABLE = process.env.DYNAMODB_USAGE_LOGS_TABLE || 'see-before-buy-usage-logs';
+const GENERATION_JOBS_TABLE = process.env.DYNAMODB_GENERATION_JOBS_TABLE || 'see-before-buy-generation-jobs';
+const GENERATION_CACHE_TABLE = process.env.DYNAMODB_GENERATION_CACHE_TABLE || 'see-before-buy-generation-cache';
+const SHOPPER_PHOTOS_TABLE = process.env.DYNAMODB_SHOPPER_PHOTOS_TABLE || 'see-before-buy-shopper-photos';
+const PROMPT_TEMPLATES_TABLE = process.env.DYNAMODB_PROMPT_TEMPLATES_TABLE || 'see-before-buy-prompt-templates';
+const PROMPT_EXPERIMENTS_TABLE = process.env.DYNAMODB_PROMPT_EXPERIMENTS_TABLE || 'see-before-buy-prompt-experiments';
+const PRODUCT_CATEGORIES_TABLE = process.env.DYNAMODB_PRODUCT_CATEGORIES_TABLE || 'see-before-buy-product-categories';
+const MODERATION_FLAGS_TABLE = process.env.DYNAMODB_MODERATION_FLAGS_TABLE || 'see-before-buy-moderation-flags';
+const IMAGE_MANIFEST_TABLE = process.env.DYNAMODB_IMAGE_MANIFEST_TABLE || 'see-before-buy-image-manifest';
+
+// Prompt experiment reports (sparse: only logs of sessions in an experiment have experiment_id)
+const EXPERIMENT_INDEX = {
+  IndexName: 'experiment_id-created_at-index',
+  KeySchema: [
+    { AttributeName: 'experiment_id', KeyType: 'HASH' },
+    { AttributeName: 'created_at', KeyType: 'RANGE' },
+  ],
+  Projection: {
+    ProjectionType: 'ALL',
+  },
+};
 
 async function createShopsTable() {
   try {
@@ -48,6 +75,7 @@ async function createUsageLogsTable() {
         { AttributeName: 'log_id', AttributeType: 'S' },
         { AttributeName: 'shop_domain', AttributeType: 'S' },
         { AttributeName: 'created_at', AttributeType: 'S' },
+        { AttributeName: 'experiment_id', AttributeType: 'S' },
       ],
       GlobalSecondaryIndexes: [
         {
@@ -60,6 +88,7 @@ async function createUsageLogsTable() {
             ProjectionType: 'ALL',
           },
         },
+        EXPERIMENT_INDEX,
       ],
       BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
     });
@@ -75,6 +104,251 @@ async function createUsageLogsTable() {
   }
 }
 
+// Usage logs tables created before prompt experiments don't have the experiment index yet
+async function addExperimentIndex() {
+  try {
+    const { Table } = await client.send(new DescribeTableCommand({ TableName: USAGE_LOGS_TABLE }));
+    if ((Table.GlobalSecondaryIndexes || []).some(index => index.IndexName === EXPERIMENT_INDEX.IndexName)) {
+      console.log(`ℹ️  Index already exists: ${EXPERIMENT_INDEX.IndexName}`);
+      return;
+    }
+
+    await client.send(new UpdateTableCommand({
+      TableName: USAGE_LOGS_TABLE,
+      AttributeDefinitions: [
+        { AttributeName: 'experiment_id', AttributeType: 'S' },
+        { AttributeName: 'created_at', AttributeType: 'S' },
+      ],
+      GlobalSecondaryIndexUpdates: [{ Create: EXPERIMENT_INDEX }],
+    }));
+    console.log(`✅ Index created: ${EXPERIMENT_INDEX.IndexName} (backfills in the background)`);
+  } catch (error) {
+    console.error(`❌ Error adding ${EXPERIMENT_INDEX.IndexName}:`, error.message);
+  }
+}
+
+async function createGenerationJobsTable() {
+  try {
+    const command = new CreateTableCommand({
+      TableName: GENERATION_JOBS_TABLE,
+      KeySchema: [
+        { AttributeName: 'job_id', KeyType: 'HASH' }, // Partition key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'job_id', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
+    });
+
+    await client.send(command);
+    console.log(`✅ Table created: ${GENERATION_JOBS_TABLE}`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`ℹ️  Table already exists: ${GENERATION_JOBS_TABLE}`);
+    } else {
+      console.error(`❌ Error creating ${GENERATION_JOBS_TABLE}:`, error.message);
+    }
+  }
+}
+
+async function createGenerationCacheTable() {
+  try {
+    const command = new CreateTableCommand({
+      TableName: GENERATION_CACHE_TABLE,
+      KeySchema: [
+        { AttributeName: 'cache_key', KeyType: 'HASH' }, // Partition key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'cache_key', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
+    });
+
+    await client.send(command);
+    console.log(`✅ Table created: ${GENERATION_CACHE_TABLE}`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`ℹ️  Table already exists: ${GENERATION_CACHE_TABLE}`);
+    } else {
+      console.error(`❌ Error creating ${GENERATION_CACHE_TABLE}:`, error.message);
+    }
+  }
+}
+
+async function createShopperPhotosTable() {
+  try {
+    const command = new CreateTableCommand({
+      TableName: SHOPPER_PHOTOS_TABLE,
+      KeySchema: [
+        { AttributeName: 'photo_token', KeyType: 'HASH' }, // Partition key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'photo_token', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
+    });
+
+    await client.send(command);
+    console.log(`✅ Table created: ${SHOPPER_PHOTOS_TABLE}`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`ℹ️  Table already exists: ${SHOPPER_PHOTOS_TABLE}`);
+    } else {
+      console.error(`❌ Error creating ${SHOPPER_PHOTOS_TABLE}:`, error.message);
+    }
+  }
+}
+
+async function createPromptTemplatesTable() {
+  try {
+    const command = new CreateTableCommand({
+      TableName: PROMPT_TEMPLATES_TABLE,
+      KeySchema: [
+        { AttributeName: 'category', KeyType: 'HASH' }, // Partition key
+        { AttributeName: 'version', KeyType: 'RANGE' }, // Sort key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'category', AttributeType: 'S' },
+        { AttributeName: 'version', AttributeType: 'N' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
+    });
+
+    await client.send(command);
+    console.log(`✅ Table created: ${PROMPT_TEMPLATES_TABLE}`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`ℹ️  Table already exists: ${PROMPT_TEMPLATES_TABLE}`);
+    } else {
+      console.error(`❌ Error creating ${PROMPT_TEMPLATES_TABLE}:`, error.message);
+    }
+  }
+}
+
+async function createPromptExperimentsTable() {
+  try {
+    const command = new CreateTableCommand({
+      TableName: PROMPT_EXPERIMENTS_TABLE,
+      KeySchema: [
+        { AttributeName: 'category', KeyType: 'HASH' }, // Partition key
+        { AttributeName: 'experiment_id', KeyType: 'RANGE' }, // Sort key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'category', AttributeType: 'S' },
+        { AttributeName: 'experiment_id', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
+    });
+
+    await client.send(command);
+    console.log(`✅ Table created: ${PROMPT_EXPERIMENTS_TABLE}`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`ℹ️  Table already exists: ${PROMPT_EXPERIMENTS_TABLE}`);
+    } else {
+      console.error(`❌ Error creating ${PROMPT_EXPERIMENTS_TABLE}:`, error.message);
+    }
+  }
+}
+
+async function createProductCategoriesTable() {
+  try {
+    const command = new CreateTableCommand({
+      TableName: PRODUCT_CATEGORIES_TABLE,
+      KeySchema: [
+        { AttributeName: 'shop_domain', KeyType: 'HASH' }, // Partition key
+        { AttributeName: 'product_id', KeyType: 'RANGE' }, // Sort key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'shop_domain', AttributeType: 'S' },
+        { AttributeName: 'product_id', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
+    });
+
+    await client.send(command);
+    console.log(`✅ Table created: ${PRODUCT_CATEGORIES_TABLE}`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`ℹ️  Table already exists: ${PRODUCT_CATEGORIES_TABLE}`);
+    } else {
+      console.error(`❌ Error creating ${PRODUCT_CATEGORIES_TABLE}:`, error.message);
+    }
+  }
+}
+
+async function createModerationFlagsTable() {
+  try {
+    const command = new CreateTableCommand({
+      TableName: MODERATION_FLAGS_TABLE,
+      KeySchema: [
+        { AttributeName: 'shop_domain', KeyType: 'HASH' }, // Partition key
+        { AttributeName: 'flag_id', KeyType: 'RANGE' }, // Sort key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'shop_domain', AttributeType: 'S' },
+        { AttributeName: 'flag_id', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
+    });
+
+    await client.send(command);
+    console.log(`✅ Table created: ${MODERATION_FLAGS_TABLE}`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`ℹ️  Table already exists: ${MODERATION_FLAGS_TABLE}`);
+    } else {
+      console.error(`❌ Error creating ${MODERATION_FLAGS_TABLE}:`, error.message);
+    }
+  }
+}
+
+async function createImageManifestTable() {
+  try {
+    const command = new CreateTableCommand({
+      TableName: IMAGE_MANIFEST_TABLE,
+      KeySchema: [
+        { AttributeName: 'shop_domain', KeyType: 'HASH' }, // Partition key
+        { AttributeName: 'image_id', KeyType: 'RANGE' }, // Sort key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'shop_domain', AttributeType: 'S' },
+        { AttributeName: 'image_id', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST', // On-demand pricing
+    });
+
+    await client.send(command);
+    console.log(`✅ Table created: ${IMAGE_MANIFEST_TABLE}`);
+  } catch (error) {
+    if (error.name === 'ResourceInUseException') {
+      console.log(`ℹ️  Table already exists: ${IMAGE_MANIFEST_TABLE}`);
+    } else {
+      console.error(`❌ Error creating ${IMAGE_MANIFEST_TABLE}:`, error.message);
+    }
+  }
+}
+
+// Let DynamoDB delete expired items on its own (expects epoch seconds)
+async function enableTimeToLive(tableName, attributeName) {
+  try {
+    await client.send(new UpdateTimeToLiveCommand({
+      TableName: tableName,
+      TimeToLiveSpecification: {
+        AttributeName: attributeName,
+        Enabled: true,
+      },
+    }));
+    console.log(`✅ TTL enabled on ${tableName}.${attributeName}`);
+  } catch (error) {
+    if (error.name === 'ValidationException' && error.message.includes('already enabled')) {
+      console.log(`ℹ️  TTL already enabled: ${tableName}`);
+    } else {
+      console.error(`❌ Error enabling TTL on ${tableName}:`, error.message);
+    }
+  }
+}
+
 async function listTables() {
   try {
     const command = new ListTablesCommand({});
@@ -91,10 +365,23 @@ async function main() {
   
   await createShopsTable();
   await createUsageLogsTable();
+  await createGenerationJobsTable();
+  await createGenerationCacheTable();
+  await createShopperPhotosTable();
+  await createPromptTemplatesTable();
+  await createPromptExperimentsTable();
+  await createProductCategoriesTable();
+  await createModerationFlagsTable();
+  await createImageManifestTable();
   
   console.log('\n⏳ Waiting for tables to be active...');
   await new Promise(resolve => setTimeout(resolve, 5000));
   
+  await addExperimentIndex();
+  await enableTimeToLive(GENERATION_JOBS_TABLE, 'expires_at');
+  await enableTimeToLive(GENERATION_CACHE_TABLE, 'expires_at');
+  await enableTimeToLive(SHOPPER_PHOTOS_TABLE, 'expires_at');
+  
   await listTables();
   
   console.log('\n✅ Setup complete!');
@@ -0,0 +1,103 @@
+/**
+ * Make an existing image bucket private
+ * Usage: node scripts/make-bucket-private.js [--dry-run]
+ *
+ * Buckets created before images were served through presigned URLs have a public-read bucket
+ * policy. This removes its public statements and blocks public access, after which the old public
+ * URLs stop working.
+ * Nothing is moved: old usage logs keep their public URL, and
+ * GET /api/generate-image/:generation_id/image turns it into a fresh presigned link.
+ */
+
+require('dotenv').config();
+const {
+  ListObjectsV2Command,
+  GetBucketPolicyCommand,
+  DeleteBucketPolicyCommand,
+  PutBucketPolicyCommand,
+  PutPublicAccessBlockCommand,
+} = require('@aws-sdk/client-s3');
+const { s3Client, bucketName } = require('../config/s3');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Objects that were world-readable (paginated, 1000 per page)
+async function countObjects(prefix) {
+  let count = 0;
+  let bytes = 0;
+  let token;
+
+  do {
+    const result = await s3Client.send(new ListObjectsV2Command({
+      Bucket: bucketName,
+      Prefix: prefix,
+      ContinuationToken: token,
+    }));
+
+    for (const object of result.Contents || []) {
+      count++;
+      bytes += object.Size || 0;
+    }
+    token = result.IsTruncated ? result.NextContinuationToken : undefined;
+  } while (token);
+
+  return { count, bytes };
+}
+
+async function makeBucketPrivate() {
+  console.log(`🔒 Making ${bucketName} private${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  let policy = null;
+  try {
+    policy = (await s3Client.send(new GetBucketPolicyCommand({ Bucket: bucketName }))).Policy;
+  } catch (error) {
+    if (error.name !== 'NoSuchBucketPolicy') {
+      throw error;
+    }
+  }
+  console.log(policy ? `   Bucket policy: ${policy}` : '   No bucket policy');
+
+  const generated = await countObjects('generated/');
+  console.log(`   ${generated.count} generated image object(s), ${(generated.bytes / 1024 / 1024).toFixed(1)} MB`);
+
+  if (DRY_RUN) {
+    console.log('ℹ️  Dry run: nothing changed');
+    return;
+  }
+
+  // Keep whatever else the policy grants, drop the statements open to everyone
+  if (policy) {
+    const document = JSON.parse(policy);
+    const statements = (document.Statement || []).filter(statement =>
+      statement.Principal !== '*' && statement.Principal?.AWS !== '*');
+
+    if (statements.length === 0) {
+      await s3Client.send(new DeleteBucketPolicyCommand({ Bucket: bucketName }));
+      console.log('✅ Bucket policy removed');
+    } else {
+      await s3Client.send(new PutBucketPolicyCommand({
+        Bucket: bucketName,
+        Policy: JSON.stringify({ ...document, Statement: statements }),
+      }));
+      console.log(`✅ Public statements removed from the bucket policy (${statements.length} kept)`);
+    }
+  }
+
+  await s3Client.send(new PutPublicAccessBlockCommand({
+    Bucket: bucketName,
+    PublicAccessBlockConfiguration: {
+      BlockPublicAcls: true,
+      IgnorePublicAcls: true,
+      BlockPublicPolicy: true,
+      RestrictPublicBuckets: true,
+    },
+  }));
+  console.log('✅ Public access blocked');
+}
+
+makeBucketPrivate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Could not make the bucket private:', error.message);
+    process.exit(1);
+  });
@@ -4,29 +4,30 @@
  */
 
 require('dotenv').config();
-const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
-const { docClient, TABLES } = require('../config/dynamodb');
+const ShopModel = require('../models/dynamodb-shop');
 
 async function resetUsage(shopDomain) {
   try {
     console.log('🔄 Resetting usage for:', shopDomain);
     
-    const result = await docClient.send(new UpdateCommand({
-      TableName: TABLES.SHOPS,
-      Key: { shop_domain: shopDomain },
-      UpdateExpression: 'SET images_used = :zero, updated_at = :now',
-      ExpressionAttributeValues: {
-        ':zero': 0,
-        ':now': new Date().toISOString(),
-      },
-      ReturnValues: 'ALL_NEW',
-    }));
+    const shop = await ShopModel.findOne(shopDomain);
+    
+    if (!shop) {
+      console.error('❌ Shop not found:', shopDomain);
+      return;
+    }
+    
+    // Recorded in the shop's reset_history like scheduled resets
+    const result = await ShopModel.resetMonthlyUsage(shopDomain, {
+      previousImagesUsed: shop.images_used,
+      trigger: 'manual',
+    });
     
     console.log('✅ Usage reset successfully!');
-    console.log('   Shop:', result.Attributes.shop_domain);
-    console.log('   Plan:', result.Attributes.plan_type);
-    console.log('   Used:', result.Attributes.images_used);
-    console.log('   Limit:', result.Attributes.images_limit);
+    console.log('   Shop:', result.shop_domain);
+    console.log('   Plan:', result.plan_type);
+    console.log('   Used:', result.images_used);
+    console.log('   Limit:', result.images_limit);
     
   } catch (error) {
     console.error('❌ Error resetting usage:', error.message);
@@ -0,0 +1,21 @@
+/**
+ * Delete generated images that are past their shop's retention (plus expired shopper photos, and images from
+ * before shop prefixes once older than any retention)
+ * Usage: node scripts/run-image-retention.js [--dry-run]
+ *
+ * Run it daily (cron). Safe to run while the server is up, and again after an interrupted run.
+ * --dry-run only reports what would be deleted.
+ */
+
+require('dotenv').config();
+const { runImageRetention } = require('../services/image-retention');
+
+runImageRetention({ dryRun: process.argv.includes('--dry-run') })
+  .then((summary) => {
+    console.log('📊 Summary:', JSON.stringify(summary, null, 2));
+    process.exit(summary.errors > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error('❌ Image retention run failed:', error.message);
+    process.exit(1);
+  });
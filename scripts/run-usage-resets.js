@@ -0,0 +1,19 @@
+/**
+ * Apply all due monthly usage resets once
+ * Usage: node scripts/run-usage-resets.js
+ *
+ * Same logic as the in-process scheduler - safe to run while the server is up.
+ */
+
+require('dotenv').config();
+const { runDueResets } = require('../services/usage-reset-scheduler');
+
+runDueResets({ trigger: 'cli' })
+  .then((summary) => {
+    console.log('📊 Summary:', summary);
+    process.exit(summary.errors > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error('❌ Usage reset run failed:', error.message);
+    process.exit(1);
+  });
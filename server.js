@@ -140,6 +140,12 @@ console.log('✅ Merchant onboarding route loaded');
 const saveCategoriesRoute = require('./routes/save-categories');
 console.log('✅ Save categories route loaded');
 
+const productCategoriesRoute = require('./routes/product-categories');
+console.log('✅ Product categories route loaded');
+
+const moderationRoute = require('./routes/moderation');
+console.log('✅ Moderation route loaded');
+
 const updateAppStatusRoute = require('./routes/update-app-status');
 console.log('✅ Update app status route loaded');
 
@@ -152,6 +158,17 @@ console.log('✅ Settings route loaded');
 const gdprWebhooksRoute = require('./routes/webhooks-gdpr');
 console.log('✅ GDPR webhooks route loaded');
 
+const supportRoute = require('./routes/support');
+console.log('✅ Support route loaded');
+
+const shopperPhotosRoute = require('./routes/shopper-photos');
+console.log('✅ Shopper photos route loaded');
+
+// Image storage (STORAGE_DRIVER: s3 or local)
+const { getStorage } = require('./services/storage');
+const storage = getStorage();
+console.log(`✅ Storage driver: ${storage.name}`);
+
 // ============================================
 // 6. REGISTER ROUTES
 // ============================================
@@ -161,6 +178,15 @@ console.log('✅ GDPR webhooks route loaded');
 
 app.use('/api/generate-image', generateImageRoute);
 console.log('✅ Route registered: POST /api/generate-image');
+console.log('✅ Route registered: POST /api/generate-image/validate');
+console.log('✅ Route registered: POST /api/generate-image/regenerate');
+console.log('✅ Route registered: GET /api/generate-image/jobs/:id');
+console.log('✅ Route registered: GET /api/generate-image/jobs/:id/events');
+console.log('✅ Route registered: GET /api/generate-image/:generation_id/image');
+
+app.use('/api/shopper-photos', shopperPhotosRoute);
+console.log('✅ Route registered: POST /api/shopper-photos');
+console.log('✅ Route registered: DELETE /api/shopper-photos/:photo_token');
 
 app.use('/api/track-usage', trackUsageRoute);
 console.log('✅ Route registered: POST /api/track-usage');
@@ -175,6 +201,15 @@ console.log('✅ Route registered: POST /api/merchant/onboard');
 app.use('/api/merchant/save-categories', saveCategoriesRoute);
 console.log('✅ Route registered: POST /api/merchant/save-categories');
 
+app.use('/api/merchant/product-categories', productCategoriesRoute);
+console.log('✅ Route registered: GET /api/merchant/product-categories/:shop_domain');
+console.log('✅ Route registered: POST /api/merchant/product-categories/:shop_domain');
+console.log('✅ Route registered: POST /api/merchant/product-categories/:shop_domain/detect');
+
+app.use('/api/merchant/moderation', moderationRoute);
+console.log('✅ Route registered: GET /api/merchant/moderation/:shop_domain/queue');
+console.log('✅ Route registered: POST /api/merchant/moderation/:shop_domain/queue/:flag_id/review');
+
 app.use('/api/merchant/update-app-status', updateAppStatusRoute);
 console.log('✅ Route registered: POST /api/merchant/update-app-status');
 
@@ -184,6 +219,25 @@ console.log('✅ Route registered: POST /api/sync-orders');
 app.use('/api/settings', settingsRoute);
 console.log('✅ Route registered: GET /api/settings/:shop_domain');
 console.log('✅ Route registered: POST /api/settings/:shop_domain');
+console.log('✅ Route registered: POST /api/settings/:shop_domain/prompt-preview');
+console.log('✅ Route registered: POST /api/settings/:shop_domain/watermark-rerender');
+
+app.use('/api/support', supportRoute);
+console.log('✅ Route registered: POST /api/support/shops/:shop_domain/suspend');
+console.log('✅ Route registered: POST /api/support/shops/:shop_domain/unsuspend');
+console.log('✅ Route registered: GET /api/support/prompt-templates/:category');
+console.log('✅ Route registered: POST /api/support/prompt-templates/:category');
+console.log('✅ Route registered: POST /api/support/prompt-templates/:category/preview');
+console.log('✅ Route registered: GET /api/support/prompt-experiments/:category');
+console.log('✅ Route registered: POST /api/support/prompt-experiments/:category');
+console.log('✅ Route registered: GET /api/support/prompt-experiments/:category/:experiment_id');
+console.log('✅ Route registered: POST /api/support/prompt-experiments/:category/:experiment_id/end');
+
+// Local storage files are served by the app itself (signed links, like S3 presigned URLs)
+if (storage.name === 'local') {
+  app.use('/local-storage', require('./routes/local-storage'));
+  console.log('✅ Route registered: GET /local-storage/*key');
+}
 
 app.use('/webhooks', gdprWebhooksRoute);
 console.log('✅ Route registered: POST /webhooks/customers/data_request');
@@ -238,6 +292,9 @@ console.log('✅ Error handling middleware configured');
 // Get port from environment or use 5000
 const PORT = process.env.PORT || 5000;
 
+// Monthly usage resets (set USAGE_RESET_SCHEDULER=off when resets run from cron instead)
+const { startUsageResetScheduler } = require('./services/usage-reset-scheduler');
+
 // Start listening for requests
 app.listen(PORT, () => {
   console.log('\n' + '='.repeat(50));
@@ -246,21 +303,47 @@ app.listen(PORT, () => {
   console.log(`📍 Server running on: http://localhost:${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`💾 Database: AWS DynamoDB`);
+  console.log(`🗄️  Storage: ${storage.name}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log('='.repeat(50) + '\n');
   console.log('📝 Available endpoints:');
   console.log('   POST   /api/generate-image');
+  console.log('   POST   /api/generate-image/validate');
+  console.log('   POST   /api/generate-image/regenerate');
+  console.log('   GET    /api/generate-image/jobs/:id');
+  console.log('   GET    /api/generate-image/jobs/:id/events');
+  console.log('   GET    /api/generate-image/:generation_id/image');
+  console.log('   POST   /api/shopper-photos');
+  console.log('   DELETE /api/shopper-photos/:photo_token');
   console.log('   POST   /api/track-usage');
   console.log('   GET    /api/shop-status/:shop_domain');
   console.log('   POST   /api/shop-status/upgrade-plan');
   console.log('   POST   /api/merchant/onboard');
   console.log('   POST   /api/merchant/save-categories');
+  console.log('   GET    /api/merchant/product-categories/:shop_domain');
+  console.log('   POST   /api/merchant/product-categories/:shop_domain');
+  console.log('   POST   /api/merchant/product-categories/:shop_domain/detect');
+  console.log('   GET    /api/merchant/moderation/:shop_domain/queue');
+  console.log('   POST   /api/merchant/moderation/:shop_domain/queue/:flag_id/review');
   console.log('   POST   /api/merchant/update-app-status');
   console.log('   POST   /api/sync-orders');
+  console.log('   POST   /api/support/shops/:shop_domain/suspend');
+  console.log('   POST   /api/support/shops/:shop_domain/unsuspend');
+  console.log('   GET    /api/support/prompt-templates/:category');
+  console.log('   POST   /api/support/prompt-templates/:category');
+  console.log('   POST   /api/support/prompt-templates/:category/preview');
+  console.log('   GET    /api/support/prompt-experiments/:category');
+  console.log('   POST   /api/support/prompt-experiments/:category');
+  console.log('   GET    /api/support/prompt-experiments/:category/:experiment_id');
+  console.log('   POST   /api/support/prompt-experiments/:category/:experiment_id/end');
   console.log('   GET    /health');
   console.log('\n' + '='.repeat(50));
   console.log('✅ Ready to accept requests!');
   console.log('='.repeat(50) + '\n');
+
+  if (process.env.USAGE_RESET_SCHEDULER !== 'off') {
+    startUsageResetScheduler();
+  }
 });
 
 /**
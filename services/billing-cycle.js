@@ -0,0 +1,96 @@
+// Billing cycle calculations for monthly usage resets
+// Pure date math - no database access, so models can use it too
+
+const { getPlan } = require('../config/plans');
+
+const RESET_CYCLES = {
+  ANNIVERSARY: 'anniversary',
+  CALENDAR_MONTH: 'calendar_month',
+};
+
+/**
+ * Get the reset cycle for a shop's plan
+ * @param {Object} shop - Shop record
+ * @returns {string} - 'anniversary' or 'calendar_month'
+ */
+function getResetCycle(shop) {
+  return getPlan(shop.plan_type).reset_cycle || RESET_CYCLES.ANNIVERSARY;
+}
+
+// The date the anniversary cycle is anchored to (upgrade date, else install date)
+function getBillingAnchor(shop) {
+  return new Date(shop.billing_anchor_at || shop.created_at || shop.last_reset_at);
+}
+
+// Anchor's day-of-month and time in the given month, clamped to the month's last day
+// (an anchor on the 31st resets on Feb 28/29, Apr 30, ...)
+function anniversaryInMonth(anchor, year, month) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(anchor.getUTCDate(), daysInMonth),
+    anchor.getUTCHours(),
+    anchor.getUTCMinutes(),
+    anchor.getUTCSeconds(),
+    anchor.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Start of the billing cycle that contains `now`
+ * @param {Object} shop - Shop record
+ * @param {Date} now
+ * @returns {Date}
+ */
+function getCycleStart(shop, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (getResetCycle(shop) === RESET_CYCLES.CALENDAR_MONTH) {
+    return new Date(Date.UTC(year, month, 1));
+  }
+
+  const anchor = getBillingAnchor(shop);
+  const thisMonth = anniversaryInMonth(anchor, year, month);
+  return thisMonth <= now ? thisMonth : anniversaryInMonth(anchor, year, month - 1);
+}
+
+/**
+ * When the shop's usage resets next
+ * @param {Object} shop - Shop record
+ * @param {Date} now
+ * @returns {Date}
+ */
+function getNextResetAt(shop, now = new Date()) {
+  const cycleStart = getCycleStart(shop, now);
+  const year = cycleStart.getUTCFullYear();
+  const month = cycleStart.getUTCMonth();
+
+  if (getResetCycle(shop) === RESET_CYCLES.CALENDAR_MONTH) {
+    return new Date(Date.UTC(year, month + 1, 1));
+  }
+
+  return anniversaryInMonth(getBillingAnchor(shop), year, month + 1);
+}
+
+/**
+ * A reset is due when the last one happened before the current cycle started
+ * @param {Object} shop - Shop record
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isResetDue(shop, now = new Date()) {
+  if (!shop.last_reset_at) {
+    return true;
+  }
+  return new Date(shop.last_reset_at) < getCycleStart(shop, now);
+}
+
+module.exports = {
+  RESET_CYCLES,
+  getResetCycle,
+  getCycleStart,
+  getNextResetAt,
+  isResetDue,
+};
@@ -0,0 +1,191 @@
+// Product category detection
+// Works out a product's try-on category (and placement, e.g. ring vs necklace) from its image through the
+// provider's optional classifyProduct, for shops that never picked a category. Results are kept per product
+// (ProductCategoryModel) so each product is classified once, and merchants can review and correct them.
+
+const ProductCategoryModel = require('../models/dynamodb-product-category');
+const { CATEGORIES, DEFAULT_CATEGORY, isValidCategory, getCategory } = require('../config/categories');
+const { getProviderForShop } = require('./providers');
+const { fetchProductImage } = require('./product-image-fetcher');
+const { resolveProductCategory } = require('./category-rules');
+
+// Set CATEGORY_DETECTION=off to use the default category instead of classifying product images
+const DETECTION_ENABLED = process.env.CATEGORY_DETECTION !== 'off';
+
+// Detections below this confidence are stored for review but not used for try-ons
+const MIN_DETECTION_CONFIDENCE = parseFloat(process.env.CATEGORY_DETECTION_MIN_CONFIDENCE || '0.5');
+
+// The classification is a model call in front of the try-on, don't let it hold it up
+const DETECTION_TIMEOUT_MS = parseInt(process.env.CATEGORY_DETECTION_TIMEOUT_MS, 10) || 15000;
+
+// Products sent without a product_id can't be stored, remember them by image URL instead
+const UNSTORED_CACHE_MAX_ENTRIES = 500;
+const unstoredDetections = new Map();
+
+// What the classifier chooses from
+const CLASSIFIER_CATEGORIES = Object.entries(CATEGORIES).map(([name, category]) => ({
+  name,
+  label: category.label,
+  placements: Object.keys(category.placements),
+}));
+
+// Resolve with the promise, or reject after timeoutMs
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Category detection timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether a placement exists in a category
+ * @param {string} category
+ * @param {string} placement
+ * @returns {boolean}
+ */
+function isValidPlacement(category, placement) {
+  return isValidCategory(category) && Object.hasOwn(getCategory(category).placements, placement);
+}
+
+/**
+ * Classify a product image (stored detections are reused while the product image stays the same)
+ * @param {Object} shop - Shop record
+ * @param {Object} product - { product_id, product_name, product_image_url }
+ * @param {Object} options - { force } force: classify again even when a detection is stored
+ * @returns {Object|null} - { category, placement, confidence, detected_by } or null when the provider can't classify
+ * @throws when the product image can't be loaded or the classification fails
+ */
+async function detectProductCategory(shop, product, options = {}) {
+  const { product_id, product_name, product_image_url } = product;
+
+  if (!product_image_url) {
+    return null;
+  }
+
+  if (!options.force) {
+    const stored = product_id
+      ? await ProductCategoryModel.findOne(shop.shop_domain, product_id)
+      : unstoredDetections.get(`${shop.shop_domain}:${product_image_url}`);
+
+    if (stored?.detected_category && stored.detected_from === product_image_url) {
+      return {
+        category: stored.detected_category,
+        placement: stored.detected_placement || null,
+        confidence: stored.confidence ?? null,
+        detected_by: stored.detected_by || null,
+      };
+    }
+  }
+
+  const provider = getProviderForShop(shop);
+  if (typeof provider.classifyProduct !== 'function') {
+    return null;
+  }
+
+  const image = await fetchProductImage(product_image_url, shop);
+  const classification = await withTimeout(provider.classifyProduct({
+    productImage: { buffer: image.buffer, mimeType: image.mimeType },
+    productName: product_name,
+    categories: CLASSIFIER_CATEGORIES,
+  }), DETECTION_TIMEOUT_MS);
+
+  // Anything outside the registry counts as "don't know"
+  const category = isValidCategory(classification.category) ? classification.category : DEFAULT_CATEGORY;
+  const detection = {
+    category,
+    placement: isValidPlacement(category, classification.placement) ? classification.placement : null,
+    confidence: category === classification.category ? classification.confidence : 0,
+    detected_by: provider.name,
+  };
+
+  console.log(`🔍 Detected category for ${product_name || product_image_url}: ${detection.category}`
+    + `${detection.placement ? ` / ${detection.placement}` : ''} (${detection.confidence})`);
+
+  if (product_id) {
+    await ProductCategoryModel.saveDetection(shop.shop_domain, product_id, { ...detection, product_name, product_image_url });
+  } else {
+    // Map keeps insertion order, so the first key is the oldest
+    unstoredDetections.set(`${shop.shop_domain}:${product_image_url}`, {
+      detected_category: detection.category,
+      detected_placement: detection.placement,
+      confidence: detection.confidence,
+      detected_by: detection.detected_by,
+      detected_from: product_image_url,
+    });
+    while (unstoredDetections.size > UNSTORED_CACHE_MAX_ENTRIES) {
+      unstoredDetections.delete(unstoredDetections.keys().next().value);
+    }
+  }
+
+  return detection;
+}
+
+/**
+ * The try-on category and placement of a product, in order of precedence:
+ * category rules, the merchant's reviewed category, the shop's category, the detected category, apparel
+ * Never throws: lookups and detection that fail fall through to the next step.
+ *
+ * @param {Object} shop - Shop record
+ * @param {Object} details - From parseProductDetails (product_id, product_type, tags, collections)
+ * @param {Object} product - { product_name, product_image_url }
+ * @param {Object} options - { detect } detect: false skips classifying (previews)
+ * @returns {Object} - { category, placement, source } source: product_id, collection, product_type, tag,
+ *                     reviewed, shop_default, detected or default
+ */
+async function resolveTryOnCategory(shop, details, product = {}, options = {}) {
+  let stored = null;
+  if (details.product_id) {
+    try {
+      stored = await ProductCategoryModel.findOne(shop.shop_domain, details.product_id);
+    } catch (error) {
+      console.error('⚠️  Could not load product category:', error.message);
+    }
+  }
+
+  // Placement from the review, or from the detection when it agrees on the category
+  const placementFor = (category) => {
+    if (stored?.category === category) {
+      return stored.placement || null;
+    }
+    return stored?.detected_category === category ? stored.detected_placement || null : null;
+  };
+
+  const byRule = resolveProductCategory(shop, details);
+  if (byRule.source !== 'shop_default') {
+    return { ...byRule, placement: placementFor(byRule.category) };
+  }
+
+  if (isValidCategory(stored?.category)) {
+    return { category: stored.category, placement: stored.placement || null, source: 'reviewed' };
+  }
+
+  if (shop.product_category) {
+    return { category: byRule.category, placement: placementFor(byRule.category), source: 'shop_default' };
+  }
+
+  if (DETECTION_ENABLED && options.detect !== false) {
+    try {
+      const detection = await detectProductCategory(shop, {
+        product_id: details.product_id,
+        product_name: product.product_name,
+        product_image_url: product.product_image_url,
+      });
+
+      if (detection && detection.confidence >= MIN_DETECTION_CONFIDENCE) {
+        return { category: detection.category, placement: detection.placement, source: 'detected' };
+      }
+    } catch (error) {
+      console.error('⚠️  Category detection failed, using the default:', error.message);
+    }
+  }
+
+  return { category: DEFAULT_CATEGORY, placement: null, source: 'default' };
+}
+
+module.exports = {
+  MIN_DETECTION_CONFIDENCE,
+  isValidPlacement,
+  detectProductCategory,
+  resolveTryOnCategory,
+};
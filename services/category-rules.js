@@ -0,0 +1,167 @@
+// Category rules
+// Map a shop's products to try-on categories (shop_settings.category_rules), so a store selling both
+// dresses and earrings gets the right prompt for each. Products no rule matches use the shop's category.
+
+const { CATEGORY_NAMES, isValidCategory } = require('../config/categories');
+const { getProductCategory } = require('./image-generation');
+
+// What a rule can match on. Product id rules always win, the others apply in the order they are listed
+const RULE_MATCHES = ['product_id', 'collection', 'product_type', 'tag'];
+
+// Rules live on the shop record, keep them well under the item size limit
+const MAX_CATEGORY_RULES = 500;
+const MAX_RULE_VALUE_LENGTH = 255;
+
+// Most tags / collections the storefront may send for one product
+const MAX_PRODUCT_LIST_ENTRIES = 100;
+
+/**
+ * Product ids may be numeric ("123") or GraphQL ids ("gid://shopify/Product/123"), keep the number
+ * @param {string|number} product_id
+ * @returns {string}
+ */
+function normalizeProductId(product_id) {
+  return String(product_id).trim().replace(/^gid:\/\/shopify\/Product\//i, '');
+}
+
+// Rule values: product ids by number, the rest case-insensitive
+function normalizeValue(match, value) {
+  if (match === 'product_id') {
+    return normalizeProductId(value);
+  }
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Check the shop_settings.category_rules section
+ * @param {Array} rules - [{ match, value, category }], match one of RULE_MATCHES
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateCategoryRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'category_rules must be an array';
+  }
+
+  if (rules.length > MAX_CATEGORY_RULES) {
+    return `category_rules can have at most ${MAX_CATEGORY_RULES} rules`;
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    const field = `category_rules[${index}]`;
+
+    if (typeof rule !== 'object' || rule === null) {
+      return `${field} must be an object`;
+    }
+    if (!RULE_MATCHES.includes(rule.match)) {
+      return `${field}.match must be one of: ${RULE_MATCHES.join(', ')}`;
+    }
+    if (!['string', 'number'].includes(typeof rule.value) || String(rule.value).trim().length === 0
+      || String(rule.value).length > MAX_RULE_VALUE_LENGTH) {
+      return `${field}.value must be a non-empty string of at most ${MAX_RULE_VALUE_LENGTH} characters`;
+    }
+    if (rule.match === 'product_id' && !/^\d+$/.test(normalizeValue('product_id', rule.value))) {
+      return `${field}.value must be a Shopify product id`;
+    }
+    if (!isValidCategory(rule.category)) {
+      return `${field}.category must be one of: ${CATEGORY_NAMES.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// JSON array or comma separated list of strings
+function parseList(raw, field) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { list: [] };
+  }
+
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = raw.trim().startsWith('[') ? JSON.parse(raw) : raw.split(',');
+    } catch (error) {
+      return { error: `${field} must be a JSON array or a comma separated list` };
+    }
+  }
+
+  if (!Array.isArray(list) || !list.every(entry => ['string', 'number'].includes(typeof entry))) {
+    return { error: `${field} must be a list of strings` };
+  }
+
+  if (list.length > MAX_PRODUCT_LIST_ENTRIES) {
+    return { error: `${field} can have at most ${MAX_PRODUCT_LIST_ENTRIES} entries` };
+  }
+
+  return { list: list.map(entry => String(entry).trim()).filter(Boolean) };
+}
+
+/**
+ * Read what the storefront tells us about a product, for matching category rules
+ * @param {Object} source - Request body or outfit product:
+ *                          { product_id, product_type, product_tags, product_collections }
+ *                          (tags and collections: JSON array or comma separated; collections by id or handle)
+ * @returns {Object} - { details: { product_id, product_type, tags, collections } } or { error }
+ */
+function parseProductDetails(source) {
+  if (source.product_type !== undefined && typeof source.product_type !== 'string') {
+    return { error: 'product_type must be a string' };
+  }
+
+  const tags = parseList(source.product_tags, 'product_tags');
+  if (tags.error) {
+    return { error: tags.error };
+  }
+
+  const collections = parseList(source.product_collections, 'product_collections');
+  if (collections.error) {
+    return { error: collections.error };
+  }
+
+  return {
+    details: {
+      product_id: source.product_id ? normalizeProductId(source.product_id) : null,
+      product_type: source.product_type || null,
+      tags: tags.list,
+      collections: collections.list,
+    },
+  };
+}
+
+/**
+ * The try-on category of a product: a product id rule, else the first matching collection / product type /
+ * tag rule, else the shop's category
+ * @param {Object} shop - Shop record (shop_settings.category_rules, product_category)
+ * @param {Object} details - From parseProductDetails
+ * @returns {Object} - { category, source } source: product_id, collection, product_type, tag or shop_default
+ */
+function resolveProductCategory(shop, details = {}) {
+  const rules = shop?.shop_settings?.category_rules || [];
+
+  const productId = details.product_id ? normalizeValue('product_id', details.product_id) : null;
+  const byId = productId && rules.find(rule => rule.match === 'product_id' && normalizeValue('product_id', rule.value) === productId);
+  if (byId) {
+    return { category: byId.category, source: 'product_id' };
+  }
+
+  const productValues = {
+    collection: new Set((details.collections || []).map(value => normalizeValue('collection', value))),
+    product_type: new Set(details.product_type ? [normalizeValue('product_type', details.product_type)] : []),
+    tag: new Set((details.tags || []).map(value => normalizeValue('tag', value))),
+  };
+  const rule = rules.find(candidate => productValues[candidate.match]?.has(normalizeValue(candidate.match, candidate.value)));
+  if (rule) {
+    return { category: rule.category, source: rule.match };
+  }
+
+  return { category: getProductCategory(shop), source: 'shop_default' };
+}
+
+module.exports = {
+  RULE_MATCHES,
+  MAX_CATEGORY_RULES,
+  normalizeProductId,
+  validateCategoryRules,
+  parseProductDetails,
+  resolveProductCategory,
+};
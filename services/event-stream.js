@@ -0,0 +1,66 @@
+// Server-Sent Events helper
+// Wraps an Express response so routes can push typed events to the browser
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Check whether the client asked for an event stream
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Switch the response into SSE mode
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(type, data), close(), isClosed() }
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx buffering
+  });
+  res.flushHeaders();
+
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': keep-alive\n\n');
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // Fires when the client disconnects or we end the response
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(type, data) {
+      if (closed) return;
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    },
+    isClosed() {
+      return closed;
+    },
+  };
+}
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+};
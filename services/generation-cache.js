@@ -0,0 +1,114 @@
+// Generation result cache
+// Repeated "Generate Preview" clicks with the same photo and product return the stored
+// image instead of calling the model (and charging a credit) again.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const GenerationCacheModel = require('../models/dynamodb-generation-cache');
+const { getRetentionDays } = require('./image-retention');
+
+// Default lifetime of a cached result; shops override it with shop_settings.generation.cache_ttl_hours
+const DEFAULT_CACHE_TTL_HOURS = parseFloat(process.env.GENERATION_CACHE_TTL_HOURS || '24');
+
+// Images are compared after decoding to a small, auto-oriented, metadata-free bitmap,
+// so the same photo re-encoded or with different EXIF still hits the cache
+const FINGERPRINT_SIZE = 256;
+
+/**
+ * Hash of the image content (not the file bytes)
+ * @param {Buffer} buffer - Image file
+ * @returns {string} - sha256 hex
+ */
+async function fingerprintImage(buffer) {
+  try {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .resize(FINGERPRINT_SIZE, FINGERPRINT_SIZE, { fit: 'inside' })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+    return crypto.createHash('sha256').update(pixels).digest('hex');
+  } catch (error) {
+    // Not decodable: fall back to the raw bytes
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+}
+
+/**
+ * Cache TTL for a shop in seconds (0 = caching disabled)
+ * @param {Object} shop - Shop record
+ * @returns {Number}
+ */
+function getCacheTtlSeconds(shop) {
+  const hours = shop.shop_settings?.generation?.cache_ttl_hours;
+  const ttlHours = typeof hours === 'number' ? hours : DEFAULT_CACHE_TTL_HOURS;
+  return Math.max(0, Math.round(ttlHours * 3600));
+}
+
+/**
+ * Build the content-addressed cache key
+ * @param {Object} params - { shop, userImage, productImageUrl, category, prompt, providerName }
+ *                          prompt - the rendered prompt: a new template version or shop instructions change the key
+ * @returns {string}
+ */
+async function buildCacheKey({ shop, userImage, productImageUrl, category, prompt, providerName }) {
+  const userImageHash = await fingerprintImage(userImage.buffer);
+
+  const parts = [
+    shop.shop_domain, // Never share results between shops
+    userImageHash,
+    (productImageUrl || '').trim(),
+    category,
+    crypto.createHash('sha256').update(prompt).digest('hex'),
+    providerName,
+  ];
+
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+}
+
+/**
+ * Look up a cached result
+ * @returns {Object|null} - Cache entry
+ */
+async function findCachedResult(cacheKey) {
+  const entry = await GenerationCacheModel.findByKey(cacheKey);
+
+  // Entries from before images were private only have a public URL, let them expire
+  if (entry && !entry.generated_image_key) {
+    return null;
+  }
+
+  if (entry) {
+    console.log(`♻️  Generation cache hit: ${cacheKey.substring(0, 12)}...`);
+  }
+
+  return entry;
+}
+
+/**
+ * Remember a generated result (errors are logged, never thrown)
+ * @param {Object} shop - Shop record
+ * @param {Object} entryData - { cache_key, product_name, product_image_url, category, prompt_version, generated_image_key, renditions, ai_description }
+ */
+async function storeResult(shop, entryData) {
+  // Never point at an image after the retention job deleted it
+  const ttlSeconds = Math.min(getCacheTtlSeconds(shop), getRetentionDays(shop) * 24 * 3600);
+
+  if (!entryData.cache_key || ttlSeconds === 0) {
+    return null;
+  }
+
+  try {
+    return await GenerationCacheModel.create({ ...entryData, shop_domain: shop.shop_domain }, ttlSeconds);
+  } catch (error) {
+    console.error('⚠️  Could not cache generation result:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  buildCacheKey,
+  getCacheTtlSeconds,
+  findCachedResult,
+  storeResult,
+};
@@ -0,0 +1,201 @@
+// Background worker for asynchronous try-on generation jobs
+// Jobs run in-process: the upload stays in memory until the worker picks it up, so the queue is capped and a
+// restart loses the jobs queued or running at the time. Their records are failed once they go quiet (recoverAbandonedJob)
+// and their credit reservations are reclaimed when they expire (ShopModel.reclaimStaleReservations).
+
+const { EventEmitter } = require('events');
+const GenerationJobModel = require('../models/dynamodb-generation-job');
+const ShopModel = require('../models/dynamodb-shop');
+const { runTryOn } = require('./image-generation');
+
+// How many generations may run at the same time
+const MAX_CONCURRENT_JOBS = parseInt(process.env.GENERATION_WORKER_CONCURRENCY, 10) || 2;
+
+// How many jobs may wait for a slot; each one holds its photo in memory
+const MAX_QUEUED_JOBS = parseInt(process.env.GENERATION_QUEUE_LIMIT, 10) || 20;
+
+// A queued / running job whose record wasn't updated for this long is not handled by any process any more
+// (running jobs record every stage; must stay above GENERATION_TIMEOUT_MS)
+const JOB_STALE_MS = parseInt(process.env.GENERATION_JOB_STALE_MS, 10) || 15 * 60 * 1000;
+
+// Queued jobs record nothing while they wait, so their updated_at is refreshed this often
+const QUEUE_HEARTBEAT_MS = Math.floor(JOB_STALE_MS / 3);
+
+const pendingJobs = [];
+const jobsInProcess = new Set();
+let activeJobs = 0;
+let heartbeatTimer = null;
+
+// Live progress for jobs handled by this process, one event name per job: `job:<job_id>`
+// Payloads: { type: 'status' | 'stage' | 'complete' | 'error', ... }
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // Any number of SSE subscribers
+
+function emitJobEvent(job_id, event) {
+  jobEvents.emit(`job:${job_id}`, event);
+}
+
+/**
+ * Whether this process is queuing or running the job (live events available)
+ * @param {string} job_id
+ * @returns {boolean}
+ */
+function isJobInProcess(job_id) {
+  return jobsInProcess.has(job_id);
+}
+
+/**
+ * Whether enqueueGenerationJob would turn a job away (answer 503 before creating one)
+ * @returns {boolean}
+ */
+function isQueueFull() {
+  return pendingJobs.length >= MAX_QUEUED_JOBS;
+}
+
+/**
+ * Fail a job that was lost with the process handling it (server restart)
+ * @param {Object} job - Job record
+ * @returns {Object} - The job record as it is now
+ */
+async function recoverAbandonedJob(job) {
+  if (!['queued', 'running'].includes(job.status) || isJobInProcess(job.job_id)) {
+    return job;
+  }
+
+  const staleBefore = new Date(Date.now() - JOB_STALE_MS).toISOString();
+  if (job.updated_at >= staleBefore) {
+    return job;
+  }
+
+  const failed = await GenerationJobModel.markInterrupted(job.job_id, staleBefore);
+  if (!failed) {
+    return (await GenerationJobModel.findById(job.job_id)) || job;
+  }
+
+  console.log(`🪦 Job ${job.job_id} was abandoned (no update since ${job.updated_at}), marked failed`);
+  return failed;
+}
+
+/**
+ * Queue a generation job for background processing
+ * @param {Object} job - Job record (from GenerationJobModel.create)
+ * @param {Object} shop - Shop record the usage is charged to
+ * @param {Object} input - { userImage, product_name, product_image_url, session_id }
+ * @param {Object} options - { reservation, cacheKey } credits reserved for this job, generation cache key
+ * @throws {Error} - When the queue is full (check isQueueFull first)
+ */
+function enqueueGenerationJob(job, shop, input, options = {}) {
+  if (isQueueFull()) {
+    throw new Error(`Generation queue is full (${MAX_QUEUED_JOBS} jobs waiting)`);
+  }
+
+  pendingJobs.push({ job, shop, input, reservation: options.reservation, cacheKey: options.cacheKey, queuedAt: Date.now() });
+  jobsInProcess.add(job.job_id);
+  console.log(`📥 Job queued: ${job.job_id} (pending: ${pendingJobs.length}, active: ${activeJobs})`);
+  startQueueHeartbeat();
+  processNextJob();
+}
+
+// Keep the records of waiting jobs fresh, so other processes don't fail them as abandoned (recoverAbandonedJob)
+function startQueueHeartbeat() {
+  if (heartbeatTimer) {
+    return;
+  }
+
+  heartbeatTimer = setInterval(async () => {
+    if (pendingJobs.length === 0) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+      return;
+    }
+
+    for (const { job } of [...pendingJobs]) {
+      await GenerationJobModel.touchQueued(job.job_id).catch(error => {
+        console.error(`⚠️  Could not refresh queued job ${job.job_id}:`, error.message);
+      });
+    }
+  }, QUEUE_HEARTBEAT_MS);
+  heartbeatTimer.unref(); // Don't keep the process alive just for this
+}
+
+// Start the next job if a worker slot is free
+function processNextJob() {
+  if (activeJobs >= MAX_CONCURRENT_JOBS || pendingJobs.length === 0) {
+    return;
+  }
+
+  const next = pendingJobs.shift();
+  activeJobs++;
+
+  runJob(next)
+    .catch(error => {
+      console.error(`❌ Unexpected worker error for job ${next.job.job_id}:`, error);
+    })
+    .finally(() => {
+      jobsInProcess.delete(next.job.job_id);
+      activeJobs--;
+      processNextJob();
+    });
+}
+
+// Run one job and record its progress and outcome
+async function runJob({ job, shop, input, reservation, cacheKey, queuedAt }) {
+  const { job_id } = job;
+  console.log(`⚙️  Job started: ${job_id}`);
+
+  // Progress recording must never break the generation itself
+  const onProgress = async (stage, status, details) => {
+    const at = new Date().toISOString();
+    emitJobEvent(job_id, { type: 'stage', stage, status, details: details || null, at });
+
+    try {
+      await GenerationJobModel.recordStep(job_id, { stage, status, details, at });
+    } catch (error) {
+      console.error(`⚠️  Could not record step ${stage}/${status} for job ${job_id}:`, error.message);
+    }
+  };
+
+  try {
+    await GenerationJobModel.markRunning(job_id);
+    emitJobEvent(job_id, { type: 'status', status: 'running', at: new Date().toISOString() });
+
+    // The stored result's links expire, its image keys let them be signed again when it is served
+    const { image_keys: imageKeys = null, ...result } = await runTryOn(shop, input, {
+      reservation,
+      cacheKey,
+      startTime: queuedAt,
+      onProgress,
+      includeImageKeys: true,
+    });
+
+    // A failed outcome is a handled result, but the job itself did not succeed
+    if (!result.success) {
+      const failure = { name: result.error_class, message: result.message };
+      await GenerationJobModel.markFailed(job_id, failure, result);
+      emitJobEvent(job_id, { type: 'error', error: failure, result, at: new Date().toISOString() });
+      console.log(`⚠️  Job finished without an image: ${job_id}`);
+      return;
+    }
+
+    await GenerationJobModel.markSucceeded(job_id, result, imageKeys);
+    emitJobEvent(job_id, { type: 'complete', result, at: new Date().toISOString() });
+    console.log(`✅ Job succeeded: ${job_id}`);
+  } catch (error) {
+    console.error(`❌ Job failed: ${job_id}`, error.message);
+    await ShopModel.releaseReservation(reservation).catch(() => {}); // No-op if already settled
+    await GenerationJobModel.markFailed(job_id, error);
+    emitJobEvent(job_id, {
+      type: 'error',
+      error: { message: error.message, name: error.name || 'Error' },
+      at: new Date().toISOString(),
+    });
+  }
+}
+
+module.exports = {
+  jobEvents,
+  enqueueGenerationJob,
+  isQueueFull,
+  isJobInProcess,
+  recoverAbandonedJob,
+};
@@ -0,0 +1,1037 @@
+// Image generation service - virtual try-on pipeline
+// Shared by the synchronous /api/generate-image route and the background job worker
+const ShopModel = require('../models/dynamodb-shop');
+const UsageLogModel = require('../models/dynamodb-usage-log');
+const { v4: uuidv4 } = require('uuid');
+const { getProviderForShop } = require('./providers');
+const { GenerationTimeoutError } = require('./providers/errors');
+const { storeResult } = require('./generation-cache');
+const { createRenditions } = require('./image-processing');
+const { fetchProductImage } = require('./product-image-fetcher');
+const { getVariationCost } = require('../config/plans');
+const { buildTryOnPrompt, getShopInstructions, withShopInstructions, renderTemplate } = require('./prompt-templates');
+const { CATEGORIES, DEFAULT_CATEGORY, getCategory } = require('../config/categories');
+const { ModerationRejectedError, moderateImage, recordModerationRejection } = require('./moderation');
+const { ORIGINALS_PREFIX, getWatermarkSettings, applyWatermark } = require('./watermark');
+const { signImageUrl, signRenditions, getLinkExpiry } = require('./image-links');
+const { getStorage, getShopPrefix } = require('./storage');
+const ImageManifestModel = require('../models/dynamodb-image-manifest');
+
+// Give up on a try-on (and release its credit) after this long
+const GENERATION_TIMEOUT_MS = parseInt(process.env.GENERATION_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+
+// Progress stages reported through onProgress(stage, status, details)
+const GENERATION_STAGES = {
+  PRODUCT_IMAGE_DOWNLOAD: 'product_image_download',
+  TRY_ON_GENERATION: 'try_on_generation',
+  MODERATION: 'moderation',
+  STYLING_ADVICE: 'styling_advice',
+  S3_UPLOAD: 's3_upload', // Storing the image, whichever storage driver is configured
+};
+
+// What a try-on actually produced
+// generated - provider image, charged | fallback - shopper's own photo, not charged | failed - nothing usable
+const GENERATION_OUTCOMES = {
+  GENERATED: 'generated',
+  FALLBACK: 'fallback',
+  FAILED: 'failed',
+};
+
+// Error class name for usage logs (SDK errors don't set error.name)
+function getErrorClass(error) {
+  if (error.name && error.name !== 'Error') {
+    return error.name;
+  }
+  return error.constructor?.name || 'Error';
+}
+
+// Bump whenever buildOutfitPrompt's wording changes (single-product prompts are versioned templates)
+const OUTFIT_PROMPT_VERSION = 'outfit:v1';
+
+// Try-on category for a shop's products
+function getProductCategory(shop) {
+  return shop.product_category || DEFAULT_CATEGORY;
+}
+
+// Outfit mode: how each category is placed when several products are combined in one image
+// (categories without an outfit_rule, like home decor, can't be part of an outfit)
+const CATEGORY_OUTFIT_RULES = Object.fromEntries(
+  Object.entries(CATEGORIES)
+    .filter(([, category]) => category.outfit_rule)
+    .map(([name, category]) => [name, category.outfit_rule])
+);
+
+// Most products one outfit try-on may combine
+const OUTFIT_MAX_PRODUCTS = 4;
+
+/**
+ * Build the prompt for a multi-product (outfit) try-on
+ * @param {Array} products - [{ product_name, category, has_image }] in the order their images are sent
+ * @returns {string}
+ */
+function buildOutfitPrompt(products) {
+  let imageNumber = 1;
+  const productLines = products.map((product, index) => {
+    const rule = CATEGORY_OUTFIT_RULES[product.category] || CATEGORY_OUTFIT_RULES.apparel;
+    const source = product.has_image ? `IMAGE ${++imageNumber}` : 'no image, use the name';
+    return `${index + 1}. ${product.product_name} (${product.category}, ${source}): ${rule}`;
+  });
+
+  return `You are a professional virtual try-on AI. I am providing you with a photo of a PERSON (IMAGE 1, the customer) followed by photos of ${products.length} PRODUCTS that make up one outfit.
+
+PRODUCTS:
+${productLines.join('\n')}
+
+YOUR TASK:
+Generate ONE realistic photo showing the SAME PERSON from Image 1 wearing ALL of the products together as a complete look.
+
+CRITICAL REQUIREMENTS:
+1. Keep the person's face, body shape, skin tone and identity EXACTLY the same
+2. Every product must be clearly VISIBLE and look exactly like its product image (colors, patterns, details)
+3. Products must not cover each other more than they would in real life
+4. Keep the same background and lighting from Image 1
+5. Make the result look like a natural, professional photo
+
+DO NOT:
+- Leave out any of the products
+- Change the person's face or identity
+- Create a different person
+- Show the products on their own
+
+Generate the image now showing the person from Image 1 wearing the complete outfit.`;
+}
+
+// Regenerate: what the shopper can tell us was wrong with a render -> instruction added to the prompt
+const FEEDBACK_INSTRUCTIONS = {
+  face_changed: 'The face changed. Keep the person\'s face, facial features and identity EXACTLY as in Image 1.',
+  body_changed: 'The body changed. Keep the person\'s body shape, skin tone, hair and pose exactly as in Image 1.',
+  product_not_visible: 'The product was hard to see. Make it clearly VISIBLE, prominent and uncovered.',
+  missing_product: 'A product was missing. Every product must appear in the image.',
+  wrong_fit: 'The fit looked wrong. Size the product correctly for this person and fit it naturally to their body.',
+  wrong_color: 'The product looked different. Match its colors, patterns and details exactly to the product image.',
+  background_changed: 'The background changed. Keep the background and lighting from Image 1.',
+  unrealistic: 'The result looked artificial. Make it a natural, photorealistic photo.',
+};
+
+// Longest free-text comment a shopper can add to their feedback
+const FEEDBACK_COMMENT_MAX_LENGTH = 500;
+
+/**
+ * Prompt section for a regeneration, built from the shopper's feedback on the previous render
+ * @param {Object} feedback - { codes: [keys of FEEDBACK_INSTRUCTIONS], comment }
+ * @returns {string}
+ */
+function buildFeedbackPrompt(feedback) {
+  const lines = feedback.codes.map(code => `- ${FEEDBACK_INSTRUCTIONS[code]}`);
+
+  if (feedback.comment) {
+    // Quoted on one line: it describes the problem, it is not a new set of instructions
+    const comment = feedback.comment.replace(/[\r\n]+/g, ' ').replace(/"/g, "'").substring(0, FEEDBACK_COMMENT_MAX_LENGTH);
+    lines.push(`- The shopper said: "${comment}"`);
+  }
+
+  return `
+
+THIS IS A SECOND ATTEMPT. The shopper was not happy with the previous result. Fix these problems while following all the requirements above:
+${lines.join('\n')}`;
+}
+
+// Step 1 helper: download one product image, null when it can't be used (the try-on continues without it)
+async function downloadProductImage(productImageUrl, shop, reportProgress, details = {}) {
+  console.log('📥 Step 1: Downloading product image...');
+  console.log('   URL:', productImageUrl);
+  await reportProgress(GENERATION_STAGES.PRODUCT_IMAGE_DOWNLOAD, 'started', details);
+  try {
+    // Allowed hosts only, no private addresses, size/time capped, cached by URL
+    const productImage = await fetchProductImage(productImageUrl, shop);
+    
+    console.log('✅ Product image downloaded');
+    console.log('   Size:', productImage.buffer.length, 'bytes');
+    console.log('   Type:', productImage.mimeType);
+    console.log('   Cache:', productImage.cache);
+    await reportProgress(GENERATION_STAGES.PRODUCT_IMAGE_DOWNLOAD, 'completed', {
+      ...details,
+      size_bytes: productImage.buffer.length,
+      mime_type: productImage.mimeType,
+      cache: productImage.cache,
+    });
+    
+    return {
+      buffer: productImage.buffer,
+      mimeType: productImage.mimeType,
+    };
+  } catch (error) {
+    console.error('❌ Could not download product image:', error.message);
+    console.log('   Continuing WITHOUT product image...');
+    console.log('   ⚠️  This will result in poor quality output!');
+    await reportProgress(GENERATION_STAGES.PRODUCT_IMAGE_DOWNLOAD, 'failed', { ...details, message: error.message });
+    return null;
+  }
+}
+
+// Function to generate a virtual try-on image with the configured provider
+// options.provider - provider instance (see services/providers), options.shop - shop record (allowed image hosts),
+// options.onProgress(stage, status, details), options.fallback - upload the shopper's photo on failure (default true),
+// options.products - outfit mode: [{ product_name, product_image_url, category }] replaces the single product,
+// options.feedback - regenerate: { codes, comment } about the previous render, added to the prompt,
+// options.productAttributes - { name: value } for the prompt template's variables,
+// options.sessionId - assigns the shopper a variant when the category runs a prompt experiment,
+// options.placement - where the product goes within its category (e.g. ring), from category detection,
+// options.signal - AbortSignal of a generation that was given up on (timeout): nothing is stored after it fires
+// Every result carries the promptVersion and experiment used (null if it failed before the prompt was built)
+async function generateTryOnImage(userImage, productName, productImageUrl, productCategory = DEFAULT_CATEGORY, options = {}) {
+  const { provider, shop, onProgress, fallback = true, products, feedback, productAttributes, sessionId, placement, signal } = options;
+  let currentStage = null;
+  let promptVersion = null;
+  let experiment = null;
+  const reportProgress = async (stage, status, details = null) => {
+    currentStage = status === 'started' ? stage : currentStage;
+    if (onProgress) {
+      await onProgress(stage, status, details);
+    }
+  };
+
+  try {
+    console.log('🎨 Starting AI virtual try-on generation...');
+    console.log('   Provider:', provider.name);
+    console.log('   Product:', productName);
+    console.log('   Category:', productCategory);
+    console.log('   User image size:', userImage.size, 'bytes');
+    console.log('   Product image URL:', productImageUrl);
+    
+    const userImageInput = {
+      buffer: userImage.buffer,
+      mimeType: userImage.mimetype,
+    };
+    
+    // Step 1: Download product image(s)
+    const productImageInputs = [];
+    let virtualTryOnPrompt;
+    
+    if (products) {
+      // Outfit mode: every product image, one combined prompt
+      const outfitProducts = [];
+      for (const [index, product] of products.entries()) {
+        const image = product.product_image_url
+          ? await downloadProductImage(product.product_image_url, shop, reportProgress, { product: index })
+          : null;
+        if (image) {
+          productImageInputs.push(image);
+        }
+        outfitProducts.push({ ...product, has_image: Boolean(image) });
+      }
+      
+      // The shop's general instructions apply to outfits too
+      ({ prompt: virtualTryOnPrompt, promptVersion } = withShopInstructions(
+        { prompt: buildOutfitPrompt(outfitProducts), promptVersion: OUTFIT_PROMPT_VERSION },
+        getShopInstructions(shop?.shop_settings?.prompts, null),
+        { product_name: productName, category: 'outfit' }
+      ));
+      console.log(`📝 Using outfit prompt (${products.map(p => p.category).join(', ')})`);
+    } else {
+      if (productImageUrl) {
+        const image = await downloadProductImage(productImageUrl, shop, reportProgress);
+        if (image) {
+          productImageInputs.push(image);
+        }
+      } else {
+        console.warn('⚠️  No product image URL provided!');
+        console.log('   Product name only:', productName);
+        await reportProgress(GENERATION_STAGES.PRODUCT_IMAGE_DOWNLOAD, 'skipped');
+      }
+      
+      // Category template (latest published version) plus the shop's instructions
+      ({ prompt: virtualTryOnPrompt, promptVersion, experiment } = await buildTryOnPrompt(shop, {
+        category: productCategory,
+        productName,
+        productAttributes,
+        sessionId,
+        placement,
+      }));
+      if (experiment) {
+        console.log(`🧪 Experiment ${experiment.experiment_id}: variant ${experiment.variant}`);
+      }
+      console.log(`📝 Using ${promptVersion} prompt`);
+    }
+    
+    if (feedback) {
+      virtualTryOnPrompt += buildFeedbackPrompt(feedback);
+      console.log(`🔁 Regenerating with feedback: ${feedback.codes.join(', ') || 'comment only'}`);
+    }
+    
+    // Step 2: Generate virtual try-on image
+    console.log(`🎨 Step 2: Generating virtual try-on with ${provider.name}...`);
+    await reportProgress(GENERATION_STAGES.TRY_ON_GENERATION, 'started');
+    console.log(`   Prompt length: ${virtualTryOnPrompt.length} characters`);
+
+    const generatedImage = await provider.generateTryOn({
+      prompt: virtualTryOnPrompt,
+      userImage: userImageInput,
+      productImage: productImageInputs[0] || null,
+      productImages: productImageInputs,
+      signal,
+    });
+    
+    await reportProgress(GENERATION_STAGES.TRY_ON_GENERATION, 'completed', {
+      size_bytes: generatedImage.buffer.length,
+    });
+    
+    // Step 2b: Check the generated image before anything is stored
+    await reportProgress(GENERATION_STAGES.MODERATION, 'started');
+    const moderation = await moderateImage(shop, generatedImage, {
+      stage: 'result',
+      categories: products ? products.map(product => product.category) : [productCategory],
+    });
+    if (!moderation.allowed) {
+      throw new ModerationRejectedError(moderation);
+    }
+    await reportProgress(GENERATION_STAGES.MODERATION, 'completed');
+    
+    // Step 3: Generate styling advice
+    console.log('💬 Step 3: Generating styling advice...');
+    await reportProgress(GENERATION_STAGES.STYLING_ADVICE, 'started');
+    const advicePrompt = products
+      ? `Based on this person and the outfit "${productName}", give personalized styling advice in 2-3 sentences. Be encouraging and specific.`
+      : renderTemplate(getCategory(productCategory).advice_prompt, { product_name: productName, category: productCategory });
+    
+    const aiDescription = await provider.generateAdvice({
+      prompt: advicePrompt,
+      userImage: userImageInput,
+      signal,
+    });
+    console.log('✅ Styling advice generated');
+    await reportProgress(GENERATION_STAGES.STYLING_ADVICE, 'completed');
+    
+    // Step 4: Upload to storage (unless the try-on was given up on meanwhile)
+    signal?.throwIfAborted();
+    console.log('📤 Step 4: Uploading to storage...');
+    await reportProgress(GENERATION_STAGES.S3_UPLOAD, 'started');
+    const { imageKey, renditions, imageId, watermarked } = await uploadRenditions(generatedImage.buffer, aiDescription, productName, {
+      shop,
+      mimeType: generatedImage.mimeType,
+      signal,
+    });
+    await reportProgress(GENERATION_STAGES.S3_UPLOAD, 'completed', { image_url: await signImageUrl(shop, imageKey) });
+    
+    console.log('✅ Complete! Virtual try-on image uploaded to storage');
+    
+    return {
+      outcome: GENERATION_OUTCOMES.GENERATED,
+      imageKey,
+      renditions,
+      imageId,
+      watermarked,
+      aiDescription,
+      failure: null,
+      promptVersion,
+      experiment,
+    };
+    
+  } catch (error) {
+    // Given up on (timeout): the caller already reported the failure, store nothing
+    if (signal?.aborted) {
+      console.error(`⏱️  Abandoned generation stopped: ${error.message}`);
+      throw error;
+    }
+
+    console.error('❌ AI generation error:', error.message);
+    console.error('   Full error:', error);
+    if (currentStage) {
+      await reportProgress(currentStage, 'failed', { message: error.message });
+    }
+    
+    const failure = {
+      error_class: getErrorClass(error),
+      error_message: error.message,
+      failed_stage: currentStage,
+      ...(error instanceof ModerationRejectedError && { moderation: error.moderation }),
+    };
+    
+    // A blocked image is never replaced by the shopper's photo
+    if (!fallback || failure.moderation) {
+      return {
+        outcome: GENERATION_OUTCOMES.FAILED,
+        imageKey: null,
+        renditions: null,
+        aiDescription: null,
+        failure,
+        promptVersion,
+        experiment,
+      };
+    }
+    
+    return { ...await uploadFallbackImage(userImage, productName, failure, reportProgress, shop), promptVersion, experiment };
+  }
+}
+
+// Fallback: store the shopper's original photo so the storefront still has something to show
+async function uploadFallbackImage(userImage, productName, failure, reportProgress, shop) {
+  console.log('⚠️  Falling back to original image');
+  const fallbackDescription = `Thank you for trying "${productName}"! This product would look great on you!`;
+  
+  try {
+    await reportProgress(GENERATION_STAGES.S3_UPLOAD, 'started', { fallback: true });
+    const { imageKey, renditions, imageId } = await uploadRenditions(userImage.buffer, fallbackDescription, productName, {
+      shop,
+      watermark: false,
+      source: 'fallback',
+    });
+    await reportProgress(GENERATION_STAGES.S3_UPLOAD, 'completed', { image_url: await signImageUrl(shop, imageKey), fallback: true });
+    return {
+      outcome: GENERATION_OUTCOMES.FALLBACK,
+      imageKey,
+      renditions,
+      imageId,
+      aiDescription: fallbackDescription,
+      failure,
+    };
+  } catch (uploadError) {
+    console.error('❌ Fallback upload failed:', uploadError.message);
+    await reportProgress(GENERATION_STAGES.S3_UPLOAD, 'failed', { message: uploadError.message, fallback: true });
+    return {
+      outcome: GENERATION_OUTCOMES.FAILED,
+      imageKey: null,
+      renditions: null,
+      aiDescription: null,
+      failure,
+    };
+  }
+}
+
+/**
+ * Store an image in every output rendition (WebP, JPEG, thumbnail) under one id, in the shop's prefix
+ * (shops/<shop_domain>/generated/), and record it in the image manifest for the retention job.
+ * The shop's watermark is applied (unless options.watermark is false), and the unwatermarked original is kept
+ * privately under <prefix>originals/<imageId> (see rerenderTryOnImage).
+ *
+ * @param {Buffer} imageBuffer - Image to store
+ * @param {string} aiDescription - Saved as object metadata
+ * @param {string} productName - Saved as object metadata
+ * @param {Object} options - { shop, mimeType, watermark, source, imageId, prefix, signal }
+ *                           source: tryon or fallback (manifest); imageId and prefix: overwrite that image's
+ *                           renditions (re-render, prefix '' for images from before shop prefixes);
+ *                           signal: stop before the next object once the try-on was given up on
+ * @returns {Object} - { imageKey (primary WebP), renditions: { name: { key, mimetype, width, height, size_bytes } },
+ *                     imageId, watermarked }
+ */
+async function uploadRenditions(imageBuffer, aiDescription, productName, options = {}) {
+  const { shop, signal } = options;
+  const watermark = options.watermark !== false ? getWatermarkSettings(shop) : null;
+  const imageId = options.imageId || uuidv4();
+  const prefix = options.prefix ?? getShopPrefix(shop.shop_domain);
+  const originalKey = watermark ? `${prefix}${ORIGINALS_PREFIX}${imageId}` : null;
+  const originalSize = imageBuffer.length;
+  let watermarked = false;
+
+  // Objects of a new image stored so far, removed again when the upload stops halfway
+  // (no manifest entry would ever list them)
+  const storedKeys = [];
+  const store = async (imageFile, fileName) => {
+    signal?.throwIfAborted();
+    const key = await uploadImage(imageFile, aiDescription, productName, fileName);
+    storedKeys.push(key);
+    return key;
+  };
+
+  try {
+    if (watermark) {
+      if (!options.imageId) {
+        await store({
+          buffer: imageBuffer,
+          originalname: 'original',
+          mimetype: options.mimeType || 'image/png',
+        }, originalKey);
+      }
+
+      // A broken logo must not cost the shopper their try-on
+      try {
+        imageBuffer = await applyWatermark(imageBuffer, watermark, options.shop);
+        watermarked = true;
+      } catch (error) {
+        console.error('⚠️  Could not apply watermark, storing the image without it:', error.message);
+      }
+    }
+
+    const encoded = await createRenditions(imageBuffer);
+    const renditions = {};
+
+    for (const [name, rendition] of Object.entries(encoded)) {
+      const suffix = name === 'thumbnail' ? '-thumb' : '';
+
+      const key = await store({
+        buffer: rendition.buffer,
+        originalname: `tryon${suffix}.${rendition.extension}`,
+        mimetype: rendition.mimetype,
+      }, `${prefix}generated/${imageId}${suffix}.${rendition.extension}`);
+
+      renditions[name] = {
+        key,
+        mimetype: rendition.mimetype,
+        width: rendition.width,
+        height: rendition.height,
+        size_bytes: rendition.size_bytes,
+      };
+    }
+
+    // Re-renders start from the kept original, it stays stored whether or not the watermark is still on
+    const sizeBytes = Object.values(renditions).reduce((total, rendition) => total + rendition.size_bytes, 0)
+      + (originalKey || options.imageId ? originalSize : 0);
+    if (!options.imageId) {
+      signal?.throwIfAborted();
+      const keys = Object.values(renditions).map(rendition => rendition.key);
+      await ImageManifestModel.create({
+        shop_domain: shop.shop_domain,
+        image_id: imageId,
+        keys: originalKey ? [...keys, originalKey] : keys,
+        original_key: originalKey,
+        size_bytes: sizeBytes,
+        source: options.source || 'tryon',
+      });
+    } else {
+      // The retention job reports what it reclaims from the manifest
+      await ImageManifestModel.updateSize(shop.shop_domain, imageId, sizeBytes);
+    }
+
+    return { imageKey: renditions.webp.key, renditions, imageId, watermarked };
+
+  } catch (error) {
+    // Re-renders overwrite existing objects, those stay
+    if (!options.imageId) {
+      for (const key of storedKeys) {
+        await getStorage().delete(key).catch(deleteError => {
+          console.error(`⚠️  Could not remove ${key} after a failed upload:`, deleteError.message);
+        });
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Render a watermarked try-on image again from its original, with the shop's current watermark
+ * (none when the shop turned it off). The renditions keep their keys, so stored records stay valid.
+ *
+ * @param {Object} shop - Shop record
+ * @param {string} imageId - image_id of the usage log
+ * @returns {Object|null} - { imageKey, renditions, imageId, watermarked }, null when no original was kept
+ *                          (or the retention job deleted the image)
+ */
+async function rerenderTryOnImage(shop, imageId) {
+  // Images from before the manifest are at the top of the bucket
+  const entry = await ImageManifestModel.findOne(shop.shop_domain, imageId);
+  const originalKey = entry ? entry.original_key : `${ORIGINALS_PREFIX}${imageId}`;
+  if (!originalKey || entry?.status === 'expired') {
+    return null;
+  }
+
+  const original = await getStorage().get(originalKey);
+  if (!original) {
+    return null;
+  }
+
+  const { metadata } = original;
+  return uploadRenditions(original.buffer, metadata['ai-description'] || '', metadata['product-name'], {
+    shop,
+    mimeType: original.contentType,
+    imageId,
+    prefix: entry ? getShopPrefix(shop.shop_domain) : '',
+  });
+}
+
+// Store an image with the configured storage driver (fileName defaults to a new generated/<uuid> key)
+// Returns the object key: storage is private, links are signed when served (services/image-links.js)
+async function uploadImage(imageFile, aiDescription, productName, fileName = null) {
+  try {
+    console.log('📤 Uploading image to storage...');
+    
+    // Generate unique filename
+    if (!fileName) {
+      const fileExtension = imageFile.originalname.split('.').pop();
+      fileName = `generated/${uuidv4()}.${fileExtension}`;
+    }
+    
+    // Clean AI description for object metadata (S3 only takes ASCII, remove newlines, special chars)
+    const cleanDescription = aiDescription
+      .replace(/[\r\n]+/g, ' ')  // Replace newlines with space
+      .replace(/[^\x20-\x7E]/g, '') // Remove non-ASCII characters
+      .substring(0, 2000); // S3 metadata limit
+    
+    const cleanProductName = (productName || 'Unknown')
+      .replace(/[\r\n]+/g, ' ')
+      .replace(/[^\x20-\x7E]/g, '')
+      .substring(0, 200);
+    
+    await getStorage().put(fileName, imageFile.buffer, {
+      contentType: imageFile.mimetype,
+      metadata: {
+        'ai-description': cleanDescription,
+        'product-name': cleanProductName,
+        'original-name': imageFile.originalname,
+        'upload-date': new Date().toISOString(),
+      },
+    });
+    
+    console.log('✅ Image uploaded successfully');
+    console.log('🔑 Key:', fileName);
+    
+    return fileName;
+    
+  } catch (error) {
+    console.error('❌ Storage upload error:', error);
+    throw new Error('Failed to upload image to storage: ' + error.message);
+  }
+}
+
+// Rendition name -> object key, the compact form kept on usage logs
+function toRenditionKeys(renditions) {
+  if (!renditions) {
+    return null;
+  }
+
+  return Object.fromEntries(Object.entries(renditions).map(([name, rendition]) => [name, rendition.key]));
+}
+
+// Object keys behind a result's links ({ imageKey, renditions } of the first image and of each variation),
+// for results that are served again after their links may have expired (async jobs)
+function toImageKeys(primary, variations = null) {
+  return {
+    generated_image_key: primary.imageKey || null,
+    rendition_keys: toRenditionKeys(primary.renditions),
+    variations: variations && variations.map(variation => ({
+      generated_image_key: variation.imageKey || null,
+      rendition_keys: toRenditionKeys(variation.renditions),
+    })),
+  };
+}
+
+// Same links as signed, each pointing at its key again
+async function resignLinks(shop, links, keys) {
+  const renditions = links.renditions && {};
+  for (const [name, rendition] of Object.entries(links.renditions || {})) {
+    renditions[name] = { ...rendition, url: await signImageUrl(shop, keys.rendition_keys?.[name]) };
+  }
+
+  return {
+    ...links,
+    generated_image_url: await signImageUrl(shop, keys.generated_image_key),
+    renditions,
+  };
+}
+
+/**
+ * Give a stored result fresh links (the ones it was returned with expire, see image-links.js)
+ * @param {Object} shop - Shop record
+ * @param {Object} result - Response payload (from runTryOn or serveCachedTryOn)
+ * @param {Object} imageKeys - The result's image_keys (options.includeImageKeys)
+ * @returns {Object} - The payload with new links and image_expires_at
+ */
+async function resignResult(shop, result, imageKeys) {
+  if (!result?.success || !imageKeys?.generated_image_key) {
+    return result;
+  }
+
+  const resigned = {
+    ...(await resignLinks(shop, result, imageKeys)),
+    image_expires_at: getLinkExpiry(shop),
+  };
+  if (result.variations && imageKeys.variations) {
+    resigned.variations = await Promise.all(result.variations.map((variation, index) => (
+      imageKeys.variations[index] ? resignLinks(shop, variation, imageKeys.variations[index]) : variation
+    )));
+  }
+  return resigned;
+}
+
+// Record the log on the images' manifest entries, so the retention job can mark it (never fails the try-on)
+async function linkImagesToLog(shop, imageIds, log_id) {
+  for (const imageId of imageIds.filter(Boolean)) {
+    try {
+      await ImageManifestModel.addLog(shop.shop_domain, imageId, log_id);
+    } catch (error) {
+      console.error(`⚠️  Could not link usage log ${log_id} to image ${imageId}:`, error.message);
+    }
+  }
+}
+
+// Resolve with task(signal), or reject with GenerationTimeoutError after timeoutMs.
+// The signal is aborted at the timeout, so the task stops before storing anything for a generation
+// that was already reported as failed
+function withTimeout(task, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new GenerationTimeoutError(timeoutMs);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([task(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a full try-on for a shop and log the event.
+ * Credits are held by a reservation (ShopModel.reserveCredits) taken by the caller:
+ * it is committed when an image was generated and released on fallback, failure or timeout.
+ * With input.variations > 1 the images are generated in parallel and only the generated ones are
+ * charged (getVariationCost); the caller reserves the cost of all of them.
+ *
+ * @param {Object} shop - Shop record (from ShopModel)
+ * @param {Object} input - { userImage, photo_token, product_name, product_image_url, session_id, variations, products }
+ *                         products (outfit mode) - [{ product_id, product_name, product_image_url, category }]
+ *                         regenerated_from, feedback (regenerate) - original generation_id and { codes, comment }
+ *                         photo_token - where the shopper photo is kept, so the try-on can be regenerated
+ *                         product_attributes - { name: value } for the prompt template
+ *                         product_id, category, placement - the product and its try-on category and placement
+ *                         (resolveTryOnCategory), the shop's category when missing
+ * @param {Object} options - { reservation, cacheKey, startTime, onProgress, includeImageKeys }
+ *                           includeImageKeys - add image_keys (for resignResult) to results with an image
+ * @returns {Object} - Response payload for the storefront (outcome: generated / fallback / failed)
+ */
+async function runTryOn(shop, input, options = {}) {
+  const { userImage, product_name, product_image_url, session_id } = input;
+  const { reservation, cacheKey } = options;
+  const startTime = options.startTime || Date.now();
+  const variationCount = input.variations || 1;
+
+  // Call the image provider with both user image and product image
+  // Pass product category for category-specific prompts (resolved from the shop's category rules)
+  const productCategory = input.category || getProductCategory(shop);
+  console.log(`🏷️  Product category: ${productCategory}`);
+  if (variationCount > 1) {
+    console.log(`🎲 Generating ${variationCount} variations`);
+  }
+
+  const onProgress = async (stage, status, details) => {
+    if (options.onProgress) {
+      await options.onProgress(stage, status, details);
+    }
+  };
+
+  // One candidate image with its own timeout; variations tag their progress events and skip the per-image
+  // fallback. Each tracks its running stage and goes quiet once it was given up on
+  const runVariation = (index) => {
+    let lastStage = null;
+
+    return withTimeout(signal => generateTryOnImage(
+      userImage,
+      product_name,
+      product_image_url,
+      productCategory,
+      {
+        provider: getProviderForShop(shop),
+        shop,
+        onProgress: async (stage, status, details) => {
+          if (signal.aborted) return;
+          lastStage = stage;
+          await onProgress(stage, status, variationCount > 1 ? { ...details, variation: index } : details);
+        },
+        fallback: variationCount === 1,
+        products: input.products || null,
+        feedback: input.feedback || null,
+        productAttributes: input.product_attributes || null,
+        sessionId: session_id || null,
+        placement: input.placement || null,
+        signal,
+      }
+    ), GENERATION_TIMEOUT_MS).catch(error => {
+      if (!(error instanceof GenerationTimeoutError)) {
+        throw error;
+      }
+
+      console.error(`⏱️  ${error.message}${variationCount > 1 ? ` (variation ${index})` : ''}`);
+      return {
+        outcome: GENERATION_OUTCOMES.FAILED,
+        timedOut: true,
+        imageKey: null,
+        renditions: null,
+        aiDescription: null,
+        failure: {
+          error_class: error.name,
+          error_message: error.message,
+          failed_stage: lastStage,
+        },
+      };
+    });
+  };
+
+  let results;
+  try {
+    results = await Promise.all(Array.from({ length: variationCount }, (_, index) => runVariation(index)));
+  } catch (error) {
+    await ShopModel.releaseReservation(reservation);
+    throw error;
+  }
+
+  const generatedResults = results.filter(result => result.outcome === GENERATION_OUTCOMES.GENERATED);
+  let aiResult = generatedResults[0] || results[0];
+
+  // Each blocked image goes to the merchant's moderation queue (and is never charged)
+  const rejectedResults = results.filter(result => result.failure?.moderation);
+  const moderationFlags = [];
+  for (const result of rejectedResults) {
+    moderationFlags.push(await recordModerationRejection(shop, {
+      ...input,
+      category: input.products ? null : productCategory,
+    }, result.failure.moderation));
+  }
+
+  if (generatedResults.length === 0 && rejectedResults.length > 0) {
+    await ShopModel.releaseReservation(reservation);
+    console.log(`🚫 Generation blocked by moderation, usage not charged`);
+
+    return {
+      success: false,
+      outcome: GENERATION_OUTCOMES.FAILED,
+      error: 'moderation_rejected',
+      message: 'This preview could not be shown. Please try again with a different photo.',
+      generation_id: moderationFlags[0]?.log_id || null,
+      usage: {
+        used: reservation.images_used - reservation.count,
+        limit: reservation.images_limit,
+        plan: shop.plan_type
+      },
+      generation_time_ms: Date.now() - startTime
+    };
+  }
+
+  // Every variation failed: show the shopper's photo once, like a single try-on would
+  // (unless they all ran out of time, the shopper has waited long enough)
+  if (generatedResults.length === 0 && variationCount > 1 && !results.every(result => result.timedOut)) {
+    aiResult = await uploadFallbackImage(userImage, product_name, aiResult.failure, onProgress, shop);
+  }
+
+  // Extract image URL and AI description (links to the private image expire, the log keeps its key)
+  const promptVersion = results.find(result => result.promptVersion)?.promptVersion || null;
+  const experiment = results.find(result => result.experiment)?.experiment || null;
+  const generatedImageUrl = await signImageUrl(shop, aiResult.imageKey);
+  const renditions = await signRenditions(shop, aiResult.renditions);
+  const aiDescription = aiResult.aiDescription;
+  const generationTime = Date.now() - startTime;
+  const logData = {
+    shop_domain: shop.shop_domain,
+    shop_id: shop.shop_id,
+    session_id: session_id || null,  // Add session ID for unique user tracking
+    product_id: input.product_id || null,
+    product_name,
+    product_image_url,
+    category: input.products ? null : productCategory,
+    placement: input.placement || null,
+    generated_image_key: aiResult.imageKey,
+    rendition_keys: toRenditionKeys(aiResult.renditions),
+    image_id: aiResult.imageId || null,
+    products: input.products || null, // Outfit try-ons are attributed to every product
+    product_attributes: input.product_attributes || null,
+    photo_token: input.photo_token || null,
+    prompt_version: promptVersion,
+    experiment_id: experiment?.experiment_id || null,
+    prompt_variant: experiment?.variant || null,
+    regenerated_from: input.regenerated_from || null,
+    feedback: input.feedback || null,
+    generation_time_ms: generationTime,
+    outcome: aiResult.outcome,
+    cache_hit: false,
+  };
+
+  if (aiResult.outcome !== GENERATION_OUTCOMES.GENERATED) {
+    // Nothing was generated: give the credit back and record why
+    await ShopModel.releaseReservation(reservation);
+    const failedLog = await UsageLogModel.create({
+      ...logData,
+      event_type: 'generation_failed',
+      ...aiResult.failure,
+    });
+    await linkImagesToLog(shop, [aiResult.imageId], failedLog.log_id);
+
+    const usage = {
+      used: reservation.images_used - reservation.count,
+      limit: reservation.images_limit,
+      plan: shop.plan_type
+    };
+
+    console.log(`⚠️  Generation ${aiResult.outcome} (${aiResult.failure.error_class}), usage not charged`);
+    console.log(`   Usage: ${usage.used}/${usage.limit}`);
+
+    if (aiResult.outcome === GENERATION_OUTCOMES.FAILED) {
+      return {
+        success: false,
+        outcome: aiResult.outcome,
+        error: 'generation_failed',
+        message: 'We could not generate a preview right now. Please try again.',
+        error_class: aiResult.failure.error_class,
+        generation_id: failedLog.log_id,
+        ...(input.photo_token && { photo_token: input.photo_token }),
+        usage,
+        generation_time_ms: generationTime
+      };
+    }
+
+    return {
+      success: true,
+      outcome: aiResult.outcome,
+      message: 'We could not generate a preview, showing your original photo instead. No credit was used.',
+      generated_image_url: generatedImageUrl,
+      renditions,
+      image_expires_at: getLinkExpiry(shop),
+      ai_description: aiDescription,
+      error_class: aiResult.failure.error_class,
+      generation_id: failedLog.log_id,
+      ...(input.photo_token && { photo_token: input.photo_token }),
+      usage,
+      generation_time_ms: generationTime,
+      ...(options.includeImageKeys && { image_keys: toImageKeys(aiResult) }),
+    };
+  }
+
+  // Charge only the images we actually produced, give back the rest of the reservation
+  const creditsCharged = Math.min(getVariationCost(shop.plan_type, generatedResults.length), reservation.count);
+  const settled = await ShopModel.settleReservation(reservation, creditsCharged);
+  if (!settled && creditsCharged > 0) {
+    // Reservation was reclaimed (or usage reset) meanwhile, none of it is held any more: charge directly
+    await ShopModel.incrementUsage(shop.shop_domain, creditsCharged);
+  }
+  const usedAfter = reservation.images_used - (reservation.count - creditsCharged);
+
+  // Log the event (its log_id is the generation_id a regenerate refers to)
+  const log = await UsageLogModel.create({
+    ...logData,
+    event_type: 'image_generated',
+    ...(variationCount > 1 && {
+      variations_requested: variationCount,
+      variations_generated: generatedResults.length,
+      credits_charged: creditsCharged,
+    }),
+  });
+  await linkImagesToLog(shop, generatedResults.map(result => result.imageId), log.log_id);
+
+  // Let identical requests reuse this image (single-image requests only)
+  await storeResult(shop, {
+    cache_key: variationCount === 1 ? cacheKey : null,
+    product_name,
+    product_image_url,
+    category: productCategory,
+    prompt_version: promptVersion,
+    generated_image_key: aiResult.imageKey,
+    renditions: aiResult.renditions,
+    image_id: aiResult.imageId || null,
+    ai_description: aiDescription,
+  });
+
+  console.log(`✅ Image generated successfully (${generationTime}ms)`);
+  if (variationCount > 1) {
+    console.log(`   Variations: ${generatedResults.length}/${variationCount}, credits charged: ${creditsCharged}`);
+  }
+  console.log(`   Usage: ${usedAfter}/${reservation.images_limit}`);
+  console.log(`   Session ID stored: ${session_id || 'none'}`);
+
+  // The first image stays in the top-level fields, so single-image clients keep working
+  return {
+    success: true,
+    outcome: aiResult.outcome,
+    cache_hit: false,
+    generated_image_url: generatedImageUrl,
+    renditions,
+    image_expires_at: getLinkExpiry(shop),
+    ai_description: aiDescription,
+    ...(variationCount > 1 && {
+      variations: await Promise.all(generatedResults.map(async result => ({
+        generated_image_url: await signImageUrl(shop, result.imageKey),
+        renditions: await signRenditions(shop, result.renditions),
+        ai_description: result.aiDescription,
+      }))),
+      variations_requested: variationCount,
+      credits_charged: creditsCharged,
+    }),
+    ...(input.products && { products: input.products }),
+    generation_id: log.log_id,
+    ...(input.photo_token && { photo_token: input.photo_token }),
+    ...(input.regenerated_from && { regenerated_from: input.regenerated_from }),
+    usage: {
+      used: usedAfter,
+      limit: reservation.images_limit,
+      plan: shop.plan_type
+    },
+    generation_time_ms: generationTime,
+    ...(options.includeImageKeys && {
+      image_keys: toImageKeys(aiResult, variationCount > 1 ? generatedResults : null),
+    }),
+  };
+}
+
+/**
+ * Answer a try-on from the generation cache: no model call, no credit charged.
+ * Still logged as image_generated (with cache_hit) so analytics count the try-on.
+ *
+ * @param {Object} shop - Shop record
+ * @param {Object} input - { product_name, product_image_url, session_id, photo_token }
+ * @param {Object} entry - Cache entry (from GenerationCacheModel)
+ * @param {Object} options - { startTime, experiment, includeImageKeys } experiment: the session's variant, when
+ *                           the cached prompt was one; includeImageKeys: add image_keys (for resignResult)
+ * @returns {Object} - Response payload for the storefront
+ */
+async function serveCachedTryOn(shop, input, entry, options = {}) {
+  const { product_name, product_image_url, session_id } = input;
+  const generationTime = Date.now() - (options.startTime || Date.now());
+
+  const log = await UsageLogModel.create({
+    shop_domain: shop.shop_domain,
+    shop_id: shop.shop_id,
+    event_type: 'image_generated',
+    session_id: session_id || null,
+    product_id: input.product_id || null,
+    product_name,
+    product_image_url,
+    category: entry.category || null,
+    generated_image_key: entry.generated_image_key,
+    rendition_keys: toRenditionKeys(entry.renditions),
+    image_id: entry.image_id || null,
+    photo_token: input.photo_token || null,
+    prompt_version: entry.prompt_version || null,
+    experiment_id: options.experiment?.experiment_id || null,
+    prompt_variant: options.experiment?.variant || null,
+    generation_time_ms: generationTime,
+    outcome: GENERATION_OUTCOMES.GENERATED,
+    cache_hit: true,
+  });
+  await linkImagesToLog(shop, [entry.image_id], log.log_id);
+
+  console.log(`♻️  Served cached try-on for ${shop.shop_domain}, usage not charged`);
+
+  return {
+    success: true,
+    outcome: GENERATION_OUTCOMES.GENERATED,
+    cache_hit: true,
+    generated_image_url: await signImageUrl(shop, entry.generated_image_key),
+    renditions: await signRenditions(shop, entry.renditions),
+    image_expires_at: getLinkExpiry(shop),
+    ai_description: entry.ai_description,
+    generation_id: log.log_id,
+    ...(input.photo_token && { photo_token: input.photo_token }),
+    usage: {
+      used: shop.images_used,
+      limit: shop.images_limit,
+      plan: shop.plan_type
+    },
+    generation_time_ms: generationTime,
+    ...(options.includeImageKeys && {
+      image_keys: toImageKeys({ imageKey: entry.generated_image_key, renditions: entry.renditions }),
+    }),
+  };
+}
+
+module.exports = {
+  GENERATION_STAGES,
+  GENERATION_OUTCOMES,
+  OUTFIT_PROMPT_VERSION,
+  CATEGORY_OUTFIT_RULES,
+  OUTFIT_MAX_PRODUCTS,
+  FEEDBACK_INSTRUCTIONS,
+  FEEDBACK_COMMENT_MAX_LENGTH,
+  getProductCategory,
+  generateTryOnImage,
+  uploadImage,
+  rerenderTryOnImage,
+  runTryOn,
+  serveCachedTryOn,
+  resignResult,
+};
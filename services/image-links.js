@@ -0,0 +1,101 @@
+// Image links
+// Generated images live in private storage: the storefront gets signed URLs that stop working after the
+// shop's link lifetime (shop_settings.generated_images.link_ttl_hours). Stored records keep the object key,
+// and /api/generate-image/:generation_id/image hands out a fresh link whenever an old one has expired.
+
+const { getStorage } = require('./storage');
+
+// Default link lifetime; S3 presigned URLs can't outlive 7 days
+const DEFAULT_LINK_TTL_HOURS = parseFloat(process.env.IMAGE_LINK_TTL_HOURS || '24');
+const MIN_LINK_TTL_HOURS = 0.25;
+const MAX_LINK_TTL_HOURS = 7 * 24;
+
+/**
+ * Check the shop_settings.generated_images section
+ * @param {Object} generatedImages - { link_ttl_hours }
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateImageLinkSettings(generatedImages) {
+  if (typeof generatedImages !== 'object' || generatedImages === null || Array.isArray(generatedImages)) {
+    return 'generated_images must be an object';
+  }
+
+  const hours = generatedImages.link_ttl_hours;
+  if (hours !== undefined && (typeof hours !== 'number' || hours < MIN_LINK_TTL_HOURS || hours > MAX_LINK_TTL_HOURS)) {
+    return `generated_images.link_ttl_hours must be a number between ${MIN_LINK_TTL_HOURS} and ${MAX_LINK_TTL_HOURS}`;
+  }
+
+  return null;
+}
+
+/**
+ * How long a shop's image links stay valid, in seconds
+ * @param {Object} shop - Shop record
+ * @returns {number}
+ */
+function getLinkTtlSeconds(shop) {
+  const hours = shop?.shop_settings?.generated_images?.link_ttl_hours;
+  const ttlHours = typeof hours === 'number' ? hours : DEFAULT_LINK_TTL_HOURS;
+  return Math.round(Math.min(MAX_LINK_TTL_HOURS, Math.max(MIN_LINK_TTL_HOURS, ttlHours)) * 3600);
+}
+
+/**
+ * A time-limited URL for a stored image
+ * @param {Object} shop - Shop record (link lifetime)
+ * @param {string} key - Storage key
+ * @returns {string|null}
+ */
+async function signImageUrl(shop, key) {
+  if (!key) {
+    return null;
+  }
+
+  return getStorage().getSignedUrl(key, getLinkTtlSeconds(shop));
+}
+
+/**
+ * Stored renditions with a time-limited URL each
+ * @param {Object} shop - Shop record
+ * @param {Object} renditions - { name: { key, mimetype, width, height, size_bytes } }
+ * @returns {Object|null} - { name: { url, mimetype, width, height, size_bytes } }
+ */
+async function signRenditions(shop, renditions) {
+  if (!renditions) {
+    return null;
+  }
+
+  const signed = {};
+  for (const [name, { key, ...rendition }] of Object.entries(renditions)) {
+    signed[name] = { url: await signImageUrl(shop, key), ...rendition };
+  }
+  return signed;
+}
+
+/**
+ * When links made now expire
+ * @param {Object} shop - Shop record
+ * @returns {string} - ISO date
+ */
+function getLinkExpiry(shop) {
+  return new Date(Date.now() + getLinkTtlSeconds(shop) * 1000).toISOString();
+}
+
+/**
+ * The object key of a public URL from before images were private (old usage logs)
+ * @param {string} url - https://<bucket>.s3.<region>.amazonaws.com/<key>
+ * @returns {string|null}
+ */
+function keyFromPublicUrl(url) {
+  const storage = getStorage();
+  return typeof storage.keyFromPublicUrl === 'function' ? storage.keyFromPublicUrl(url) : null;
+}
+
+module.exports = {
+  MAX_LINK_TTL_HOURS,
+  validateImageLinkSettings,
+  getLinkTtlSeconds,
+  getLinkExpiry,
+  signImageUrl,
+  signRenditions,
+  keyFromPublicUrl,
+};
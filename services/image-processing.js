@@ -0,0 +1,123 @@
+// Image processing - normalizes shopper photos going in and renders try-on images coming out
+
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { detectImageType } = require('./photo-validation');
+
+// Longest side sent to the model; bigger photos only cost upload time and tokens
+const MAX_INPUT_DIMENSION = parseInt(process.env.IMAGE_MAX_INPUT_DIMENSION, 10) || 1536;
+
+// Stored versions of every try-on image (name -> encoding); `webp` is the primary one
+const OUTPUT_RENDITIONS = {
+  webp: { format: 'webp', extension: 'webp', mimetype: 'image/webp', maxDimension: null, quality: 85 },
+  jpeg: { format: 'jpeg', extension: 'jpg', mimetype: 'image/jpeg', maxDimension: null, quality: 88 },
+  thumbnail: { format: 'webp', extension: 'webp', mimetype: 'image/webp', maxDimension: 320, quality: 75 },
+};
+
+class UnreadablePhotoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnreadablePhotoError';
+    this.code = 'unreadable_image';
+  }
+}
+
+/**
+ * Open a photo with sharp
+ * sharp's prebuilt libvips only reads the AVIF flavour of HEIF, so HEIC (HEVC) is decoded to raw pixels with
+ * libheif first. libheif applies the HEIF rotation and mirroring; the EXIF block is left behind.
+ *
+ * @param {Buffer} buffer - JPEG, PNG, WebP or HEIC
+ * @returns {Object} - sharp instance
+ */
+async function loadPhoto(buffer) {
+  if (detectImageType(buffer) !== 'heic') {
+    return sharp(buffer);
+  }
+
+  const { width, height, data } = await decodeHeic({ buffer });
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+}
+
+/**
+ * Auto-orient, strip metadata (EXIF/GPS) and downsize a shopper photo, re-encoded as JPEG
+ * Photos that can't be decoded are rejected: an unprocessed photo may be full size and carry EXIF/GPS data.
+ *
+ * @param {Object} file - Multer file { buffer, originalname, mimetype, size }
+ * @returns {Object} - Same shape, with normalized: true and source_type
+ * @throws {UnreadablePhotoError} - When the photo can't be decoded
+ */
+async function normalizeShopperPhoto(file) {
+  if (file.normalized) {
+    return file;
+  }
+
+  try {
+    // sharp drops all metadata unless asked to keep it
+    const { data, info } = await (await loadPhoto(file.buffer))
+      .rotate()
+      .resize(MAX_INPUT_DIMENSION, MAX_INPUT_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 90 })
+      .toBuffer({ resolveWithObject: true });
+
+    console.log(`🧼 Photo normalized: ${file.size} -> ${data.length} bytes (${info.width}x${info.height})`);
+
+    return {
+      buffer: data,
+      originalname: 'photo.jpg',
+      mimetype: 'image/jpeg',
+      size: data.length,
+      normalized: true,
+      source_type: detectImageType(file.buffer), // Format of the upload, e.g. heic
+    };
+  } catch (error) {
+    const type = detectImageType(file.buffer);
+    console.warn(`⚠️  Could not normalize ${type || 'unknown'} photo:`, error.message);
+    throw new UnreadablePhotoError('This photo could not be read, please try another one.');
+  }
+}
+
+/**
+ * Encode an image in every output rendition
+ * @param {Buffer} buffer - Image (any format sharp reads)
+ * @returns {Object} - { webp, jpeg, thumbnail } each { buffer, mimetype, extension, width, height, size_bytes }
+ */
+async function createRenditions(buffer) {
+  const renditions = {};
+
+  for (const [name, spec] of Object.entries(OUTPUT_RENDITIONS)) {
+    let pipeline = sharp(buffer).rotate();
+
+    if (spec.maxDimension) {
+      pipeline = pipeline.resize(spec.maxDimension, spec.maxDimension, { fit: 'inside', withoutEnlargement: true });
+    }
+
+    // JPEG has no alpha channel, flatten onto white
+    if (spec.format === 'jpeg') {
+      pipeline = pipeline.flatten({ background: '#FFFFFF' });
+    }
+
+    const { data, info } = await pipeline
+      .toFormat(spec.format, { quality: spec.quality })
+      .toBuffer({ resolveWithObject: true });
+
+    renditions[name] = {
+      buffer: data,
+      mimetype: spec.mimetype,
+      extension: spec.extension,
+      width: info.width,
+      height: info.height,
+      size_bytes: data.length,
+    };
+  }
+
+  return renditions;
+}
+
+module.exports = {
+  MAX_INPUT_DIMENSION,
+  OUTPUT_RENDITIONS,
+  UnreadablePhotoError,
+  normalizeShopperPhoto,
+  createRenditions,
+};
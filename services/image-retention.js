@@ -0,0 +1,224 @@
+// Image retention
+// Generated images are stored under a per-shop prefix (shops/<shop_domain>/) and recorded in the image
+// manifest. The retention job deletes the images older than the shop's retention
+// (shop_settings.generated_images.retention_days, else the plan's image_retention_days) and marks the
+// usage logs that showed them, so old try-ons report an expired image instead of a broken link. It also deletes
+// the shop's shopper photos whose token has expired, and the images stored before shop prefixes once they are
+// older than any shop's retention.
+
+const ShopModel = require('../models/dynamodb-shop');
+const UsageLogModel = require('../models/dynamodb-usage-log');
+const ImageManifestModel = require('../models/dynamodb-image-manifest');
+const { getPlan } = require('../config/plans');
+const { getStorage } = require('./storage');
+const { deleteExpiredShopperPhotos } = require('./shopper-photos');
+const { ORIGINALS_PREFIX } = require('./watermark');
+
+const MIN_RETENTION_DAYS = 1;
+const MAX_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where images were stored before shop prefixes: no manifest entry, and the key doesn't tell the shop
+const LEGACY_IMAGE_PREFIXES = ['generated/', ORIGINALS_PREFIX];
+
+/**
+ * Check shop_settings.generated_images.retention_days
+ * @param {Object} generatedImages - { retention_days }
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateRetentionSettings(generatedImages) {
+  const days = generatedImages.retention_days;
+
+  if (days !== undefined && (!Number.isInteger(days) || days < MIN_RETENTION_DAYS || days > MAX_RETENTION_DAYS)) {
+    return `generated_images.retention_days must be a whole number of days between ${MIN_RETENTION_DAYS} and ${MAX_RETENTION_DAYS}`;
+  }
+
+  return null;
+}
+
+/**
+ * How many days a shop's generated images are kept
+ * @param {Object} shop - Shop record
+ * @returns {number}
+ */
+function getRetentionDays(shop) {
+  const days = shop?.shop_settings?.generated_images?.retention_days;
+  return Number.isInteger(days) ? days : getPlan(shop?.plan_type).image_retention_days;
+}
+
+/**
+ * Delete a shop's images that are past its retention
+ * Objects are deleted before the manifest and logs are updated, so an interrupted run is finished by the next one.
+ *
+ * @param {Object} shop - Shop record
+ * @param {Object} options - { now, dryRun } dryRun: only report what would be deleted
+ * @returns {Object} - { shop_domain, retention_days, images_expired, objects_deleted, bytes_reclaimed,
+ *                     shopper_photos_deleted }
+ */
+async function applyRetention(shop, options = {}) {
+  const now = options.now || new Date();
+  const retentionDays = getRetentionDays(shop);
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+  const report = {
+    shop_domain: shop.shop_domain,
+    retention_days: retentionDays,
+    images_expired: 0,
+    objects_deleted: 0,
+    bytes_reclaimed: 0,
+    shopper_photos_deleted: 0,
+  };
+
+  const photos = await deleteExpiredShopperPhotos(shop.shop_domain, options);
+  report.shopper_photos_deleted = photos.photos_deleted;
+  report.objects_deleted += photos.photos_deleted;
+  report.bytes_reclaimed += photos.bytes_reclaimed;
+
+  const entries = await ImageManifestModel.findStoredBefore(shop.shop_domain, cutoff);
+  if (entries.length === 0 && report.shopper_photos_deleted === 0) {
+    return report;
+  }
+
+  const storage = getStorage();
+  const expiredAt = now.toISOString();
+  for (const entry of entries) {
+    const keys = entry.keys || [];
+
+    if (!options.dryRun) {
+      for (const key of keys) {
+        await storage.delete(key);
+      }
+      await ImageManifestModel.markExpired(shop.shop_domain, entry.image_id, expiredAt);
+      for (const log_id of entry.log_ids || []) {
+        await UsageLogModel.markImageExpired(log_id, expiredAt);
+      }
+    }
+
+    report.images_expired++;
+    report.objects_deleted += keys.length;
+    report.bytes_reclaimed += entry.size_bytes || 0;
+  }
+
+  console.log(`🧹 ${shop.shop_domain}: ${report.images_expired} image(s) past ${retentionDays} days, `
+    + `${report.shopper_photos_deleted} expired shopper photo(s), ${(report.bytes_reclaimed / 1024 / 1024).toFixed(1)} MB${options.dryRun ? ' (dry run)' : ' reclaimed'}`);
+
+  return report;
+}
+
+// Images from before shop prefixes are kept for the longest retention any shop can have
+function getLegacyCutoff(now) {
+  return new Date(now.getTime() - MAX_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Whether an image from before shop prefixes has been (or is due to be) deleted by sweepLegacyImages
+ * @param {string} key - Object key of the image
+ * @param {string} created_at - When the image was made (its usage log's created_at)
+ * @returns {boolean} - false for images under a shop prefix (their manifest entry decides)
+ */
+function isLegacyImageExpired(key, created_at) {
+  return LEGACY_IMAGE_PREFIXES.some(prefix => key.startsWith(prefix))
+    && Boolean(created_at) && created_at < getLegacyCutoff(new Date());
+}
+
+/**
+ * Delete the images stored before shop prefixes that are older than MAX_RETENTION_DAYS
+ * Their shop is unknown, so going by age alone no image is deleted before its shop's retention is over.
+ *
+ * @param {Object} options - { now, dryRun }
+ * @returns {Object} - { objects_deleted, bytes_reclaimed }
+ */
+async function sweepLegacyImages(options = {}) {
+  const cutoff = getLegacyCutoff(options.now || new Date());
+  const storage = getStorage();
+  const report = { objects_deleted: 0, bytes_reclaimed: 0 };
+
+  for (const prefix of LEGACY_IMAGE_PREFIXES) {
+    for (const object of await storage.list(prefix)) {
+      if (!object.last_modified || object.last_modified >= cutoff) {
+        continue;
+      }
+
+      if (!options.dryRun) {
+        await storage.delete(object.key);
+      }
+      report.objects_deleted++;
+      report.bytes_reclaimed += object.size_bytes;
+    }
+  }
+
+  if (report.objects_deleted > 0) {
+    console.log(`🧹 Images from before shop prefixes: ${report.objects_deleted} object(s) past `
+      + `${MAX_RETENTION_DAYS} days, ${(report.bytes_reclaimed / 1024 / 1024).toFixed(1)} MB${options.dryRun ? ' (dry run)' : ' reclaimed'}`);
+  }
+
+  return report;
+}
+
+/**
+ * Apply every shop's retention once
+ * @param {Object} options - { now, dryRun }
+ * @returns {Object} - Summary { checked, images_expired, shopper_photos_deleted, legacy_objects_deleted,
+ *                     objects_deleted, bytes_reclaimed, errors, shops }
+ *                     shops: the reports of the shops that had anything deleted
+ */
+async function runImageRetention(options = {}) {
+  const summary = {
+    checked: 0,
+    images_expired: 0,
+    shopper_photos_deleted: 0,
+    legacy_objects_deleted: 0,
+    objects_deleted: 0,
+    bytes_reclaimed: 0,
+    errors: 0,
+    shops: [],
+  };
+
+  console.log(`🧹 Applying image retention${options.dryRun ? ' (dry run)' : ''}...`);
+
+  const shops = await ShopModel.findAll();
+
+  for (const shop of shops) {
+    summary.checked++;
+
+    try {
+      const report = await applyRetention(shop, options);
+      if (report.objects_deleted > 0 || report.images_expired > 0) {
+        summary.images_expired += report.images_expired;
+        summary.shopper_photos_deleted += report.shopper_photos_deleted;
+        summary.objects_deleted += report.objects_deleted;
+        summary.bytes_reclaimed += report.bytes_reclaimed;
+        summary.shops.push(report);
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Error applying image retention for ${shop.shop_domain}:`, error.message);
+    }
+  }
+
+  try {
+    const legacy = await sweepLegacyImages(options);
+    summary.legacy_objects_deleted = legacy.objects_deleted;
+    summary.objects_deleted += legacy.objects_deleted;
+    summary.bytes_reclaimed += legacy.bytes_reclaimed;
+  } catch (error) {
+    summary.errors++;
+    console.error('❌ Error sweeping images from before shop prefixes:', error.message);
+  }
+
+  console.log(`✅ Image retention complete: ${summary.images_expired} image(s) expired, `
+    + `${summary.shopper_photos_deleted} shopper photo(s) and ${summary.legacy_objects_deleted} legacy object(s) deleted, `
+    + `${(summary.bytes_reclaimed / 1024 / 1024).toFixed(1)} MB, ${summary.checked} shops checked, ${summary.errors} errors`);
+  return summary;
+}
+
+module.exports = {
+  MIN_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  validateRetentionSettings,
+  getRetentionDays,
+  isLegacyImageExpired,
+  applyRetention,
+  sweepLegacyImages,
+  runImageRetention,
+};
@@ -0,0 +1,208 @@
+// Content moderation
+// Checks the shopper's photo before a try-on and the generated image before it is stored, and blocks
+// nudity, minors, violence and photos without a person. Blocked images are never stored: the shopper gets
+// an error, no credit is charged and the merchant sees a flag in the moderation queue.
+
+const UsageLogModel = require('../models/dynamodb-usage-log');
+const ModerationFlagModel = require('../models/dynamodb-moderation-flag');
+const { getCategory } = require('../config/categories');
+const { getProviderForShop } = require('./providers');
+
+// What images are checked for
+const MODERATION_LABELS = [
+  { name: 'nudity', description: 'nudity or sexual content' },
+  { name: 'minor', description: 'a child or teenager under 18' },
+  { name: 'violence', description: 'violence, weapons pointed at people, blood or injuries' },
+  { name: 'non_person', description: 'no real person in the image (object, animal, drawing, screenshot or a photo of a photo)' },
+];
+
+// Score at or above which a label blocks the image, per strictness (shop_settings.moderation.strictness).
+// Minors are blocked at every level
+const STRICTNESS_THRESHOLDS = {
+  low: { nudity: 0.9, minor: 0.5, violence: 0.9, non_person: 0.95 },
+  medium: { nudity: 0.7, minor: 0.5, violence: 0.7, non_person: 0.85 },
+  high: { nudity: 0.4, minor: 0.3, violence: 0.5, non_person: 0.7 },
+};
+
+const STRICTNESS_LEVELS = Object.keys(STRICTNESS_THRESHOLDS);
+const DEFAULT_STRICTNESS = 'medium';
+
+// Checkers score an image: (shop, image, labels) -> { scores } or null when they can't check it
+const MODERATION_CHECKERS = {
+  // The shop's image provider (moderateImage is optional, see services/providers/index.js)
+  provider: async (shop, image, labels) => {
+    const provider = getProviderForShop(shop);
+    if (typeof provider.moderateImage !== 'function') {
+      return null;
+    }
+    return provider.moderateImage({ image, labels });
+  },
+};
+
+// MODERATION_CHECKER picks the checker; off lets every image through
+const MODERATION_CHECKER = process.env.MODERATION_CHECKER || 'provider';
+
+// The check is a model call on the try-on path, don't let it hold it up
+const MODERATION_TIMEOUT_MS = parseInt(process.env.MODERATION_TIMEOUT_MS, 10) || 15000;
+
+/**
+ * A blocked generated image (thrown inside the generation, turned into a moderation_rejected result)
+ */
+class ModerationRejectedError extends Error {
+  constructor(moderation) {
+    super(`Generated image blocked by moderation (${moderation.labels.join(', ')})`);
+    this.name = 'ModerationRejectedError';
+    this.moderation = moderation;
+  }
+}
+
+/**
+ * Check the shop_settings.moderation section
+ * @param {Object} moderation - { strictness }
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateModerationSettings(moderation) {
+  if (typeof moderation !== 'object' || moderation === null || Array.isArray(moderation)) {
+    return 'moderation must be an object';
+  }
+
+  if (moderation.strictness !== undefined && !STRICTNESS_LEVELS.includes(moderation.strictness)) {
+    return `moderation.strictness must be one of: ${STRICTNESS_LEVELS.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * The shop's moderation strictness
+ * @param {Object} shop - Shop record (shop_settings.moderation.strictness)
+ * @returns {string} - low, medium or high
+ */
+function getModerationStrictness(shop) {
+  const strictness = shop?.shop_settings?.moderation?.strictness;
+  return STRICTNESS_LEVELS.includes(strictness) ? strictness : DEFAULT_STRICTNESS;
+}
+
+/**
+ * Check an image against the shop's strictness
+ * Fails open: when the checker is off, missing, slow or errors the image is allowed (and it is logged).
+ *
+ * @param {Object} shop - Shop record
+ * @param {Object} image - { buffer, mimeType }
+ * @param {Object} options - { stage, categories } stage: upload or result; categories: the try-on categories
+ *                           (room categories don't need a person in the image)
+ * @returns {Object} - { allowed, labels, scores, strictness, checked_by, stage }
+ */
+async function moderateImage(shop, image, options = {}) {
+  const strictness = getModerationStrictness(shop);
+  const verdict = { allowed: true, labels: [], scores: null, strictness, checked_by: null, stage: options.stage || null };
+
+  const checker = MODERATION_CHECKERS[MODERATION_CHECKER];
+  if (!checker) {
+    if (MODERATION_CHECKER !== 'off') {
+      console.error(`⚠️  Unknown moderation checker: ${MODERATION_CHECKER}, images are not moderated`);
+    }
+    return verdict;
+  }
+
+  // Room photos (home decor) have no person to look for
+  const categories = options.categories || [];
+  const needsPerson = categories.length === 0 || categories.some(category => getCategory(category).subject === 'person');
+  const labels = MODERATION_LABELS.filter(label => label.name !== 'non_person' || needsPerson);
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Moderation timed out after ${MODERATION_TIMEOUT_MS}ms`)), MODERATION_TIMEOUT_MS);
+  });
+
+  let result;
+  try {
+    result = await Promise.race([checker(shop, image, labels), timeout]);
+  } catch (error) {
+    console.error(`⚠️  Moderation check failed (${options.stage}), allowing the image:`, error.message);
+    return verdict;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!result?.scores) {
+    return verdict;
+  }
+
+  const thresholds = STRICTNESS_THRESHOLDS[strictness];
+  const flagged = labels
+    .map(label => label.name)
+    .filter(name => (Number(result.scores[name]) || 0) >= thresholds[name]);
+
+  if (flagged.length > 0) {
+    console.log(`🚫 Moderation blocked ${options.stage} image for ${shop.shop_domain}: ${flagged.join(', ')} (${strictness})`);
+  }
+
+  return {
+    ...verdict,
+    allowed: flagged.length === 0,
+    labels: flagged,
+    scores: result.scores,
+    checked_by: MODERATION_CHECKER,
+  };
+}
+
+/**
+ * Record a blocked image: a moderation_rejected usage event and a flag in the merchant's queue
+ * Never throws, the shopper's error response must not depend on it.
+ *
+ * @param {Object} shop - Shop record
+ * @param {Object} input - { session_id, product_id, product_name, product_image_url, category, products }
+ * @param {Object} moderation - From moderateImage
+ * @returns {Object|null} - The flag, null when it couldn't be stored
+ */
+async function recordModerationRejection(shop, input, moderation) {
+  const details = {
+    stage: moderation.stage,
+    labels: moderation.labels,
+    scores: moderation.scores,
+    strictness: moderation.strictness,
+    checked_by: moderation.checked_by,
+  };
+
+  try {
+    const log = await UsageLogModel.create({
+      shop_domain: shop.shop_domain,
+      shop_id: shop.shop_id,
+      event_type: 'moderation_rejected',
+      session_id: input.session_id,
+      product_id: input.product_id,
+      product_name: input.product_name,
+      product_image_url: input.product_image_url,
+      category: input.category,
+      products: input.products,
+      credits_charged: 0,
+      moderation: details,
+    });
+
+    return await ModerationFlagModel.create({
+      shop_domain: shop.shop_domain,
+      ...details,
+      session_id: input.session_id,
+      product_id: input.product_id,
+      product_name: input.product_name,
+      category: input.category,
+      log_id: log.log_id,
+    });
+  } catch (error) {
+    console.error('⚠️  Could not record moderation rejection:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  MODERATION_LABELS,
+  MODERATION_CHECKERS,
+  STRICTNESS_LEVELS,
+  DEFAULT_STRICTNESS,
+  ModerationRejectedError,
+  validateModerationSettings,
+  getModerationStrictness,
+  moderateImage,
+  recordModerationRejection,
+};
@@ -0,0 +1,183 @@
+// Shopper photo pre-validation
+// Catches photos that would produce a failed or poor try-on before a credit is spent
+
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { CATEGORIES, DEFAULT_CATEGORY, getCategory } = require('../config/categories');
+
+// Formats we accept, detected from the file's magic bytes (the browser's mimetype is not trusted)
+const SUPPORTED_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  heic: 'image/heic',
+};
+
+// Shortest side in pixels below which the model can't make out the person
+const MIN_PHOTO_DIMENSION = 400;
+
+// The person check is a model call, don't let it hold up the storefront
+const PERSON_CHECK_TIMEOUT_MS = parseInt(process.env.PHOTO_CHECK_TIMEOUT_MS, 10) || 15000;
+
+// What has to be in frame for each category: analysis field -> issue (see config/categories.js)
+const CATEGORY_PHOTO_REQUIREMENTS = Object.fromEntries(
+  Object.entries(CATEGORIES).map(([name, category]) => [name, category.photo_requirements])
+);
+
+/**
+ * Detect the image format from its first bytes
+ * @param {Buffer} buffer - Image file
+ * @returns {string|null} - jpeg, png, webp, heic or null
+ */
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'jpeg';
+  }
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return 'png';
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  // ISO base media file: "ftyp" box followed by a HEIF brand
+  if (buffer.toString('ascii', 4, 8) === 'ftyp' &&
+      ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(buffer.toString('ascii', 8, 12))) {
+    return 'heic';
+  }
+
+  return null;
+}
+
+// Upright width and height of a photo; HEIC headers are read with libheif (sharp's libvips can't decode HEVC)
+async function readDimensions(buffer, type) {
+  if (type === 'heic') {
+    const images = await decodeHeic.all({ buffer });
+    try {
+      // libheif reports the size after the HEIF rotation
+      return { width: images[0].width, height: images[0].height };
+    } finally {
+      images.dispose();
+    }
+  }
+
+  const metadata = await sharp(buffer).metadata();
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+  };
+}
+
+// Ask the provider who is in the photo; null if it can't tell us
+async function analyzePerson(provider, file, mimeType) {
+  if (!provider || typeof provider.analyzePhoto !== 'function') {
+    return null;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Photo check timed out after ${PERSON_CHECK_TIMEOUT_MS}ms`)), PERSON_CHECK_TIMEOUT_MS);
+  });
+
+  try {
+    return await Promise.race([
+      provider.analyzePhoto({ userImage: { buffer: file.buffer, mimeType } }),
+      timeout,
+    ]);
+  } catch (error) {
+    console.error('⚠️  Photo person check failed:', error.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Check a shopper photo against the category's requirements
+ * Errors make the photo invalid, warnings are advice only.
+ *
+ * @param {Object} file - Normalized photo (normalizeShopperPhoto): it is sent to the provider's analyzePhoto
+ * @param {Object} options - { category, provider } category may be a list (outfit mode),
+ *                           provider may implement analyzePhoto
+ * @returns {Object} - { valid, issues: [{ code, severity, message }], details }
+ */
+async function validateShopperPhoto(file, options = {}) {
+  const categories = [].concat(options.category || DEFAULT_CATEGORY);
+  const category = categories.join(', ');
+  const issues = [];
+  const details = { type: null, width: null, height: null, person_count: null };
+
+  const addIssue = (code, severity, message) => issues.push({ code, severity, message });
+
+  // 1. File type (a normalized photo is a JPEG, report what was uploaded)
+  const type = detectImageType(file.buffer);
+  details.type = file.source_type || type;
+
+  if (!type) {
+    addIssue('unsupported_file_type', 'error', 'Please upload a JPEG, PNG, WebP or HEIC photo.');
+    return { valid: false, issues, details };
+  }
+
+  // 2. Dimensions
+  try {
+    const { width, height } = await readDimensions(file.buffer, type);
+    details.width = width;
+    details.height = height;
+
+    if (Math.min(details.width, details.height) < MIN_PHOTO_DIMENSION) {
+      addIssue('image_too_small', 'error', `Please use a photo that is at least ${MIN_PHOTO_DIMENSION}x${MIN_PHOTO_DIMENSION} pixels.`);
+    }
+  } catch (error) {
+    addIssue('unreadable_image', 'error', 'This photo could not be read, please try another one.');
+    return { valid: false, issues, details };
+  }
+
+  // 3. Who is in the photo (pluggable checker)
+  const analysis = await analyzePerson(options.provider, file, SUPPORTED_TYPES[type]);
+
+  if (!analysis) {
+    addIssue('person_check_unavailable', 'warning', 'We could not check who is in this photo.');
+  } else {
+    details.person_count = analysis.person_count;
+
+    // Room photos (home decor) may have people in them, they just need to show the room
+    const personPhoto = categories.some(name => getCategory(name).subject === 'person');
+
+    if (personPhoto && analysis.person_count === 0) {
+      addIssue('no_person', 'error', 'We could not find a person in this photo. Please upload a photo of yourself.');
+    } else if (personPhoto && analysis.person_count > 1) {
+      addIssue('multiple_people', 'error', 'Please upload a photo with only you in it.');
+    } else {
+      // Every category's framing rule applies, each reported once
+      const requirements = {};
+      for (const name of categories) {
+        Object.assign(requirements, getCategory(name).photo_requirements);
+      }
+      for (const [field, issue] of Object.entries(requirements)) {
+        if (!analysis[field]) {
+          addIssue(issue.code, 'error', issue.message);
+        }
+      }
+    }
+  }
+
+  const valid = !issues.some(issue => issue.severity === 'error');
+  console.log(`🔎 Photo validation (${category}): ${valid ? 'ok' : issues.map(i => i.code).join(', ')}`);
+
+  return { valid, issues, details };
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  CATEGORY_PHOTO_REQUIREMENTS,
+  detectImageType,
+  validateShopperPhoto,
+};
@@ -0,0 +1,299 @@
+// Product image fetcher
+// Downloads the product image the storefront points us at - but only from allowed hosts, never from
+// private networks, within byte and time limits - and keeps recent images in memory (ETag revalidated)
+
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+const sharp = require('sharp');
+
+// Hosts every shop may load product images from (plus the shop's own *.myshopify.com domain)
+// PRODUCT_IMAGE_ALLOWED_HOSTS adds more, comma separated; "*.example.com" matches subdomains
+const DEFAULT_ALLOWED_HOSTS = ['cdn.shopify.com'];
+const EXTRA_ALLOWED_HOSTS = (process.env.PRODUCT_IMAGE_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const MAX_BYTES = parseInt(process.env.PRODUCT_IMAGE_MAX_BYTES, 10) || 8 * 1024 * 1024; // 8MB
+const TIMEOUT_MS = parseInt(process.env.PRODUCT_IMAGE_TIMEOUT_MS, 10) || 10000;
+const MAX_REDIRECTS = 3;
+
+// Cache: reuse without asking for FRESH_MS, then revalidate with If-None-Match / If-Modified-Since
+const CACHE_FRESH_MS = parseInt(process.env.PRODUCT_IMAGE_CACHE_FRESH_MS, 10) || 5 * 60 * 1000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.PRODUCT_IMAGE_CACHE_MAX_ENTRIES, 10) || 200;
+const CACHE_MAX_BYTES = parseInt(process.env.PRODUCT_IMAGE_CACHE_MAX_BYTES, 10) || 100 * 1024 * 1024; // 100MB
+
+// Addresses we never connect to: loopback, private, link-local (cloud metadata), CGNAT, multicast...
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// URL -> { buffer, mimeType, etag, lastModified, checkedAt }, in least-recently-used order
+const imageCache = new Map();
+let cachedBytes = 0;
+
+class ProductImageFetchError extends Error {
+  /**
+   * @param {string} code - invalid_url, host_not_allowed, private_address, too_many_redirects,
+   *                        http_error, not_an_image, too_large, timeout
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProductImageFetchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Whether an IP address is in a private / reserved range
+ * @param {string} address - IPv4 or IPv6
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is really the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Hosts a shop may load product images from
+ * @param {Object} shop - Shop record
+ * @returns {string[]}
+ */
+function getAllowedHosts(shop) {
+  const shopHosts = shop?.shop_settings?.product_images?.allowed_hosts || [];
+
+  return [
+    ...DEFAULT_ALLOWED_HOSTS,
+    ...EXTRA_ALLOWED_HOSTS,
+    ...(shop?.shop_domain ? [shop.shop_domain] : []),
+    ...shopHosts.map(host => host.toLowerCase()),
+  ];
+}
+
+function isHostAllowed(hostname, allowedHosts) {
+  return allowedHosts.some(allowed => {
+    if (allowed.startsWith('*.')) {
+      return hostname.endsWith(allowed.substring(1));
+    }
+    return hostname === allowed;
+  });
+}
+
+/**
+ * Check a product image URL before fetching it (no network access)
+ * @param {string} productImageUrl
+ * @param {Object} shop - Shop record
+ * @returns {URL} - Parsed URL
+ * @throws {ProductImageFetchError}
+ */
+function checkProductImageUrl(productImageUrl, shop) {
+  let url;
+  try {
+    url = new URL(productImageUrl);
+  } catch (error) {
+    throw new ProductImageFetchError('invalid_url', 'product_image_url is not a valid URL');
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new ProductImageFetchError('invalid_url', 'product_image_url must use https');
+  }
+
+  if (url.username || url.password) {
+    throw new ProductImageFetchError('invalid_url', 'product_image_url must not contain credentials');
+  }
+
+  const hostname = url.hostname.toLowerCase();
+
+  // IP literals skip DNS, so check them here
+  if (net.isIP(hostname.replace(/^\[|\]$/g, '')) && isBlockedAddress(hostname.replace(/^\[|\]$/g, ''))) {
+    throw new ProductImageFetchError('private_address', `Product image host ${hostname} is a private address`);
+  }
+
+  if (!isHostAllowed(hostname, getAllowedHosts(shop))) {
+    throw new ProductImageFetchError('host_not_allowed', `Product images can't be loaded from ${hostname}`);
+  }
+
+  return url;
+}
+
+// DNS lookup that refuses to hand private addresses to the socket (checked at connect time, so
+// a hostname can't resolve to a public address for the check and a private one for the request)
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new ProductImageFetchError('private_address', `${hostname} resolves to a private address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// One GET request with byte and time limits; resolves { status, headers, body }
+function requestOnce(url, headers) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { headers, lookup: safeLookup }, (res) => {
+      // Redirects and 304s carry no body we care about
+      if (res.statusCode >= 300 && res.statusCode < 400) {
+        res.resume();
+        return resolve({ status: res.statusCode, headers: res.headers, body: null });
+      }
+
+      const declaredLength = parseInt(res.headers['content-length'], 10);
+      if (declaredLength > MAX_BYTES) {
+        req.destroy(new ProductImageFetchError('too_large', `Product image is larger than ${MAX_BYTES} bytes`));
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > MAX_BYTES) {
+          req.destroy(new ProductImageFetchError('too_large', `Product image is larger than ${MAX_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(new ProductImageFetchError('timeout', `Product image download timed out after ${TIMEOUT_MS}ms`));
+    }, TIMEOUT_MS);
+
+    req.on('error', reject);
+    req.on('close', () => clearTimeout(timer));
+  });
+}
+
+// Make sure the body really is a raster image
+async function checkImageResponse(response) {
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  // SVG is an image/* type but can carry scripts and the model can't use it anyway
+  if (!contentType.startsWith('image/') || contentType === 'image/svg+xml') {
+    throw new ProductImageFetchError('not_an_image', `Product image URL returned ${contentType || 'no content type'}`);
+  }
+
+  try {
+    await sharp(response.body).metadata();
+  } catch (error) {
+    throw new ProductImageFetchError('not_an_image', 'Product image could not be decoded');
+  }
+
+  return contentType;
+}
+
+function rememberImage(cacheUrl, entry) {
+  forgetImage(cacheUrl);
+
+  if (entry.buffer.length > CACHE_MAX_BYTES) {
+    return;
+  }
+
+  imageCache.set(cacheUrl, entry);
+  cachedBytes += entry.buffer.length;
+
+  // Map keeps insertion order, so the first key is the least recently used
+  while (imageCache.size > CACHE_MAX_ENTRIES || cachedBytes > CACHE_MAX_BYTES) {
+    forgetImage(imageCache.keys().next().value);
+  }
+}
+
+function forgetImage(cacheUrl) {
+  const entry = imageCache.get(cacheUrl);
+  if (entry) {
+    cachedBytes -= entry.buffer.length;
+    imageCache.delete(cacheUrl);
+  }
+}
+
+/**
+ * Download a product image safely, using the in-memory cache when possible
+ * @param {string} productImageUrl
+ * @param {Object} shop - Shop record (for the allowed hosts)
+ * @returns {Object} - { buffer, mimeType, cache: 'hit' | 'revalidated' | 'miss' }
+ * @throws {ProductImageFetchError}
+ */
+async function fetchProductImage(productImageUrl, shop) {
+  let url = checkProductImageUrl(productImageUrl, shop);
+  const cacheUrl = url.toString();
+  const cached = imageCache.get(cacheUrl);
+
+  if (cached) {
+    // Touch: move to the most recently used end
+    imageCache.delete(cacheUrl);
+    imageCache.set(cacheUrl, cached);
+
+    if (Date.now() - cached.checkedAt < CACHE_FRESH_MS) {
+      return { buffer: cached.buffer, mimeType: cached.mimeType, cache: 'hit' };
+    }
+  }
+
+  const headers = { 'Accept': 'image/*' };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const response = await requestOnce(url, headers);
+
+    if (response.status === 304 && cached) {
+      cached.checkedAt = Date.now();
+      return { buffer: cached.buffer, mimeType: cached.mimeType, cache: 'revalidated' };
+    }
+
+    // Every hop has to pass the same checks as the original URL
+    if ([301, 302, 303, 307, 308].includes(response.status) && response.headers.location) {
+      url = checkProductImageUrl(new URL(response.headers.location, url).toString(), shop);
+      continue;
+    }
+
+    if (response.status !== 200) {
+      throw new ProductImageFetchError('http_error', `Product image URL returned HTTP ${response.status}`);
+    }
+
+    const mimeType = await checkImageResponse(response);
+
+    rememberImage(cacheUrl, {
+      buffer: response.body,
+      mimeType,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      checkedAt: Date.now(),
+    });
+
+    return { buffer: response.body, mimeType, cache: 'miss' };
+  }
+
+  throw new ProductImageFetchError('too_many_redirects', `Product image URL redirected more than ${MAX_REDIRECTS} times`);
+}
+
+module.exports = {
+  ProductImageFetchError,
+  isBlockedAddress,
+  getAllowedHosts,
+  checkProductImageUrl,
+  fetchProductImage,
+};
@@ -0,0 +1,176 @@
+// Prompt experiments
+// Split a category's try-ons between prompt variants by session_id and compare how each variant converts
+// (try-on -> add to cart -> order). Variants are resolved into prompts by services/prompt-templates.js.
+
+const crypto = require('crypto');
+const PromptExperimentModel = require('../models/dynamodb-prompt-experiment');
+const UsageLogModel = require('../models/dynamodb-usage-log');
+const OrderModel = require('../models/dynamodb-order');
+
+// Same refresh interval as the templates themselves
+const EXPERIMENT_CACHE_MS = parseInt(process.env.PROMPT_TEMPLATE_CACHE_MS, 10) || 60 * 1000;
+
+// category -> { experiment, loadedAt }
+const experimentCache = new Map();
+
+/**
+ * The running experiment of a category (null when there is none or it can't be loaded)
+ * @param {string} category
+ * @returns {Object|null}
+ */
+async function getRunningExperiment(category) {
+  const cached = experimentCache.get(category);
+
+  if (cached && Date.now() - cached.loadedAt < EXPERIMENT_CACHE_MS) {
+    return cached.experiment;
+  }
+
+  try {
+    const experiment = await PromptExperimentModel.findRunning(category);
+    experimentCache.set(category, { experiment, loadedAt: Date.now() });
+    return experiment;
+  } catch (error) {
+    // Try-ons go on with the regular template
+    console.error('⚠️  Could not load prompt experiment:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Forget loaded experiments (after starting or ending one)
+ * @param {string} category - Omit to clear all
+ */
+function clearExperimentCache(category) {
+  if (category) {
+    experimentCache.delete(category);
+  } else {
+    experimentCache.clear();
+  }
+}
+
+/**
+ * Pick a session's variant: a stable hash of experiment and session, so a shopper always sees the same one
+ * @param {Object} experiment - { experiment_id, variants: [{ name, weight }] }
+ * @param {string} session_id
+ * @returns {Object} - The variant
+ */
+function assignVariant(experiment, session_id) {
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment.experiment_id}:${session_id}`).digest();
+  let point = hash.readUInt32BE(0) % totalWeight;
+
+  for (const variant of experiment.variants) {
+    if (point < variant.weight) {
+      return variant;
+    }
+    point -= variant.weight;
+  }
+
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+function toPercent(count, total) {
+  return total > 0 ? Number(((count / total) * 100).toFixed(1)) : 0;
+}
+
+/**
+ * Conversion per variant: sessions with a try-on, then the share of them that added to cart and ordered.
+ * Try-ons, add-to-cart events and orders all come from the experiment's window (start to end, or now while it
+ * runs); events and orders are matched by session_id (OrderModel.sbb_session_ids).
+ *
+ * @param {Object} experiment - Experiment record
+ * @returns {Object} - { experiment_id, totals, variants: [{ variant, sessions, try_ons, add_to_cart_sessions, ... }] }
+ */
+async function buildExperimentReport(experiment) {
+  const startedAt = experiment.created_at;
+  const endedAt = experiment.ended_at || new Date().toISOString();
+
+  const stats = new Map(experiment.variants.map(variant => [variant.name, {
+    sessions: new Set(),
+    try_ons: 0,
+    add_to_cart_sessions: new Set(),
+    order_sessions: new Set(),
+    orders: new Set(),
+    revenue: 0,
+  }]));
+
+  // "<shop_domain>\n<session_id>" -> variant name (session ids are only unique within a shop)
+  const sessionVariants = new Map();
+  const logs = await UsageLogModel.findByExperiment(experiment.experiment_id, startedAt, endedAt);
+
+  logs
+    .filter(log => log.event_type === 'image_generated' && log.session_id && stats.has(log.prompt_variant))
+    .forEach(log => {
+      const key = `${log.shop_domain}\n${log.session_id}`;
+      const variant = stats.get(log.prompt_variant);
+      variant.sessions.add(key);
+      variant.try_ons++;
+      sessionVariants.set(key, log.prompt_variant);
+    });
+
+  const shopDomains = [...new Set(logs.map(log => log.shop_domain))];
+
+  for (const shop_domain of shopDomains) {
+    const [addToCartLogs, orders] = await Promise.all([
+      UsageLogModel.findByShopBetween(shop_domain, 'add_to_cart', startedAt, endedAt),
+      OrderModel.findSbbOrdersBetween(shop_domain, startedAt, endedAt),
+    ]);
+
+    addToCartLogs
+      .filter(log => log.session_id)
+      .forEach(log => {
+        const key = `${shop_domain}\n${log.session_id}`;
+        if (sessionVariants.has(key)) {
+          stats.get(sessionVariants.get(key)).add_to_cart_sessions.add(key);
+        }
+      });
+
+    orders.forEach(order => {
+      // An order counts once per variant, even with several sessions of it
+      const variantNames = new Set();
+      (order.sbb_session_ids || []).forEach(session_id => {
+        const key = `${shop_domain}\n${session_id}`;
+        if (sessionVariants.has(key)) {
+          stats.get(sessionVariants.get(key)).order_sessions.add(key);
+          variantNames.add(sessionVariants.get(key));
+        }
+      });
+
+      variantNames.forEach(name => {
+        const variant = stats.get(name);
+        variant.orders.add(`${shop_domain}\n${order.order_id}`);
+        variant.revenue += order.total_price || 0;
+      });
+    });
+  }
+
+  const variants = experiment.variants.map(({ name }) => {
+    const variant = stats.get(name);
+    return {
+      variant: name,
+      sessions: variant.sessions.size,
+      try_ons: variant.try_ons,
+      add_to_cart_sessions: variant.add_to_cart_sessions.size,
+      add_to_cart_rate: toPercent(variant.add_to_cart_sessions.size, variant.sessions.size),
+      order_sessions: variant.order_sessions.size,
+      order_rate: toPercent(variant.order_sessions.size, variant.sessions.size),
+      orders: variant.orders.size,
+      revenue: Number(variant.revenue.toFixed(2)),
+    };
+  });
+
+  return {
+    experiment_id: experiment.experiment_id,
+    category: experiment.category,
+    status: experiment.status,
+    shops: shopDomains.length,
+    variants,
+  };
+}
+
+module.exports = {
+  getRunningExperiment,
+  clearExperimentCache,
+  assignVariant,
+  buildExperimentReport,
+};
@@ -0,0 +1,388 @@
+// Prompt templates
+// Try-on prompts per category: built-in defaults, versioned replacements published by the support team
+// (stored in DynamoDB), variants of a running prompt experiment and per-shop extra instructions
+// from shop_settings.prompts
+
+const crypto = require('crypto');
+const PromptTemplateModel = require('../models/dynamodb-prompt-template');
+const { CATEGORIES, DEFAULT_CATEGORY, isValidCategory, getCategory } = require('../config/categories');
+const { getRunningExperiment, assignVariant } = require('./prompt-experiments');
+
+// How long a loaded template is used before checking for a newer version
+const TEMPLATE_CACHE_MS = parseInt(process.env.PROMPT_TEMPLATE_CACHE_MS, 10) || 60 * 1000;
+
+const MAX_TEMPLATE_LENGTH = 8000;
+const MAX_SHOP_INSTRUCTIONS_LENGTH = 1000;
+const MAX_VARIABLE_LENGTH = 200;
+const MAX_PRODUCT_ATTRIBUTES = 20;
+
+// {{product_name}}, {{category}}, {{product_attributes}} (all of them, "color: red, material: linen")
+// and {{attribute.<name>}} (one of them, empty when missing)
+const TEMPLATE_VARIABLES = ['product_name', 'category', 'product_attributes', 'attribute.<name>'];
+const VARIABLE_PATTERN = /\{\{\s*([a-z0-9_.]+)\s*\}\}/gi;
+
+// Version 0: the prompts shipped with the app (config/categories.js), used until a category gets a published template
+const BUILTIN_TEMPLATES = Object.fromEntries(
+  Object.entries(CATEGORIES).map(([name, category]) => [name, category.prompt])
+);
+
+// category -> { template, loadedAt }
+const templateCache = new Map();
+
+// "<category>:<version>" -> template (published versions never change)
+const versionCache = new Map();
+
+function isKnownVariable(name) {
+  return TEMPLATE_VARIABLES.includes(name) || /^attribute\.[a-z0-9_]+$/i.test(name);
+}
+
+/**
+ * Check a template (or shop instructions) before it is stored
+ * @param {string} template
+ * @param {Object} options - { maxLength, requireProductName }
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateTemplate(template, { maxLength = MAX_TEMPLATE_LENGTH, requireProductName = true } = {}) {
+  if (typeof template !== 'string' || template.trim().length === 0) {
+    return 'template must be a non-empty string';
+  }
+
+  if (template.length > maxLength) {
+    return `template must be at most ${maxLength} characters`;
+  }
+
+  const unknown = [...template.matchAll(VARIABLE_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !isKnownVariable(name));
+  if (unknown.length > 0) {
+    return `unknown template variable(s): ${[...new Set(unknown)].join(', ')}`;
+  }
+
+  if (requireProductName && !/\{\{\s*product_name\s*\}\}/i.test(template)) {
+    return 'template must use {{product_name}}';
+  }
+
+  return null;
+}
+
+/**
+ * Check the shop_settings.prompts section
+ * @param {Object} prompts - { instructions, category_instructions: { category: instructions } }
+ * @returns {string|null} - Error message, null when valid
+ */
+function validatePromptSettings(prompts) {
+  if (typeof prompts !== 'object' || prompts === null || Array.isArray(prompts)) {
+    return 'prompts must be an object';
+  }
+
+  const checkInstructions = (instructions, field) => {
+    if (instructions === undefined || instructions === '') {
+      return null;
+    }
+    const error = validateTemplate(instructions, { maxLength: MAX_SHOP_INSTRUCTIONS_LENGTH, requireProductName: false });
+    return error && `${field}: ${error.replace(/^template /, '')}`;
+  };
+
+  const error = checkInstructions(prompts.instructions, 'prompts.instructions');
+  if (error) {
+    return error;
+  }
+
+  if (prompts.category_instructions !== undefined) {
+    if (typeof prompts.category_instructions !== 'object' || prompts.category_instructions === null) {
+      return 'prompts.category_instructions must be an object';
+    }
+
+    for (const [category, instructions] of Object.entries(prompts.category_instructions)) {
+      if (!isValidCategory(category)) {
+        return `prompts.category_instructions: unknown category ${category}`;
+      }
+      const categoryError = checkInstructions(instructions, `prompts.category_instructions.${category}`);
+      if (categoryError) {
+        return categoryError;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse product attributes sent by the storefront (JSON object of short strings)
+ * @param {Object|string} raw
+ * @returns {Object} - { attributes } or { error }
+ */
+function parseProductAttributes(raw) {
+  let attributes;
+  try {
+    attributes = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    return { error: 'product_attributes must be a JSON object' };
+  }
+
+  if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes)) {
+    return { error: 'product_attributes must be a JSON object' };
+  }
+
+  const entries = Object.entries(attributes);
+  if (entries.length > MAX_PRODUCT_ATTRIBUTES) {
+    return { error: `product_attributes can have at most ${MAX_PRODUCT_ATTRIBUTES} entries` };
+  }
+
+  for (const [name, value] of entries) {
+    if (!/^[a-z0-9_]{1,40}$/i.test(name)) {
+      return { error: `invalid product attribute name: ${name}` };
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      return { error: `product attribute ${name} must be a string or number` };
+    }
+  }
+
+  return { attributes: Object.fromEntries(entries.map(([name, value]) => [name.toLowerCase(), String(value)])) };
+}
+
+// Values go into the prompt as plain text: one line, no template braces, bounded length
+function cleanValue(value) {
+  return String(value ?? '')
+    .replace(/[\u0000-\u001F\u007F]+/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_VARIABLE_LENGTH);
+}
+
+/**
+ * Fill in a template's variables (single pass, so values are never interpreted as variables)
+ * @param {string} template
+ * @param {Object} variables - { product_name, category, product_attributes: { name: value } }
+ * @returns {string}
+ */
+function renderTemplate(template, variables) {
+  const attributes = variables.product_attributes || {};
+
+  return template.replace(VARIABLE_PATTERN, (match, name) => {
+    const key = name.toLowerCase();
+
+    if (key === 'product_attributes') {
+      const list = Object.entries(attributes).map(([attribute, value]) => `${cleanValue(attribute)}: ${cleanValue(value)}`);
+      return list.length > 0 ? list.join(', ') : 'not specified';
+    }
+
+    if (key.startsWith('attribute.')) {
+      return cleanValue(attributes[key.substring('attribute.'.length)]);
+    }
+
+    if (key === 'product_name' || key === 'category') {
+      return cleanValue(variables[key]);
+    }
+
+    return '';
+  });
+}
+
+/**
+ * The template in use for a category: the latest published version, else the built-in one
+ * (falls back to the built-in template when the table can't be read)
+ * @param {string} category
+ * @returns {Object} - { category, version, template } (version 0 = built-in)
+ */
+async function getActiveTemplate(category) {
+  const templateCategory = isValidCategory(category) ? category : DEFAULT_CATEGORY;
+  const cached = templateCache.get(templateCategory);
+
+  if (cached && Date.now() - cached.loadedAt < TEMPLATE_CACHE_MS) {
+    return cached.template;
+  }
+
+  const builtin = { category: templateCategory, version: 0, template: BUILTIN_TEMPLATES[templateCategory] };
+
+  try {
+    const stored = await PromptTemplateModel.findLatest(templateCategory);
+    const template = stored
+      ? { category: templateCategory, version: stored.version, template: stored.template }
+      : builtin;
+
+    templateCache.set(templateCategory, { template, loadedAt: Date.now() });
+    return template;
+  } catch (error) {
+    console.error('⚠️  Could not load prompt template, using built-in:', error.message);
+    return builtin;
+  }
+}
+
+/**
+ * One version of a category's template (0 = built-in)
+ * @param {string} category
+ * @param {number} version
+ * @returns {Object|null} - { category, version, template }
+ */
+async function getTemplateVersion(category, version) {
+  if (version === 0) {
+    return isValidCategory(category) ? { category, version: 0, template: BUILTIN_TEMPLATES[category] } : null;
+  }
+
+  const cacheKey = `${category}:${version}`;
+  if (!versionCache.has(cacheKey)) {
+    const stored = await PromptTemplateModel.findVersion(category, version);
+    if (!stored) {
+      return null;
+    }
+    versionCache.set(cacheKey, { category, version: stored.version, template: stored.template });
+  }
+
+  return versionCache.get(cacheKey);
+}
+
+/**
+ * The template a session gets while the category runs an experiment (null when there is none)
+ * @param {string} category
+ * @param {string} sessionId
+ * @returns {Object|null} - { template: { category, version, template }, experiment: { experiment_id, variant } }
+ */
+async function getExperimentTemplate(category, sessionId) {
+  const experiment = await getRunningExperiment(category);
+  if (!experiment) {
+    return null;
+  }
+
+  const variant = assignVariant(experiment, sessionId);
+
+  try {
+    // Inline variants are drafts: labelled "exp.<experiment>.<variant>" instead of a version number
+    const template = variant.template !== undefined && variant.template !== null
+      ? { category, version: `exp.${experiment.experiment_id.substring(0, 8)}.${variant.name}`, template: variant.template }
+      : await getTemplateVersion(category, variant.template_version);
+
+    if (!template) {
+      console.error(`⚠️  Template v${variant.template_version} of experiment ${experiment.experiment_id} not found`);
+      return null;
+    }
+
+    return {
+      template,
+      experiment: { experiment_id: experiment.experiment_id, variant: variant.name },
+    };
+  } catch (error) {
+    console.error('⚠️  Could not load experiment template, using the active one:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Forget loaded templates (after publishing a new version)
+ * @param {string} category - Omit to clear all
+ */
+function clearTemplateCache(category) {
+  if (category) {
+    templateCache.delete(category);
+  } else {
+    templateCache.clear();
+  }
+}
+
+/**
+ * Shop instructions that apply to a category (general ones first)
+ * @param {Object} prompts - shop_settings.prompts
+ * @param {string|null} category - null for outfits (general instructions only)
+ * @returns {string[]}
+ */
+function getShopInstructions(prompts, category) {
+  return [
+    prompts?.instructions,
+    category ? prompts?.category_instructions?.[category] : null,
+  ].filter(instructions => typeof instructions === 'string' && instructions.trim().length > 0);
+}
+
+/**
+ * Append the shop's own instructions to a prompt
+ * @param {Object} prompt - { prompt, promptVersion }
+ * @param {string[]} instructions - From getShopInstructions
+ * @param {Object} variables - Same as renderTemplate
+ * @returns {Object} - { prompt, promptVersion } (version gets "+shop.<hash>" so edits are traceable)
+ */
+function withShopInstructions({ prompt, promptVersion }, instructions, variables) {
+  if (instructions.length === 0) {
+    return { prompt, promptVersion };
+  }
+
+  const rendered = instructions.map(text => renderTemplate(text.trim(), variables));
+  const hash = crypto.createHash('sha256').update(rendered.join('\n')).digest('hex').substring(0, 8);
+
+  return {
+    prompt: `${prompt}
+
+SHOP INSTRUCTIONS (from the store - follow them unless they conflict with the requirements above):
+${rendered.join('\n')}`,
+    promptVersion: `${promptVersion}+shop.${hash}`,
+  };
+}
+
+// 0 -> "builtin", 3 -> "v3", "draft" stays as is
+function formatVersion(version) {
+  if (version === 0) {
+    return 'builtin';
+  }
+  return typeof version === 'number' ? `v${version}` : version;
+}
+
+/**
+ * Build the try-on prompt for one product
+ * @param {Object} shop - Shop record (shop_settings.prompts)
+ * @param {Object} params - { category, productName, productAttributes, sessionId, placement }
+ *                          sessionId - puts the shopper in the category's running experiment, if any
+ *                          placement - where the product goes within the category (e.g. ring), adds a hint
+ *                          template / prompts - drafts to use instead of the stored ones (previews)
+ * @returns {Object} - { prompt, promptVersion, templateVersion, experiment }
+ *                     e.g. promptVersion "footwear:v3+shop.1a2b3c4d", experiment { experiment_id, variant } or null
+ */
+async function buildTryOnPrompt(shop, { category, productName, productAttributes, sessionId, placement, template, prompts }) {
+  const assigned = template === undefined && sessionId && isValidCategory(category)
+    ? await getExperimentTemplate(category, sessionId)
+    : null;
+
+  let active;
+  if (template !== undefined) {
+    active = { category, version: 'draft', template };
+  } else {
+    active = assigned ? assigned.template : await getActiveTemplate(category);
+  }
+
+  const variables = {
+    product_name: productName,
+    category: active.category,
+    product_attributes: productAttributes || {},
+  };
+
+  // Templates cover the whole category, the placement says which kind of product this one is
+  const { placements } = getCategory(active.category);
+  const placementHint = placement && Object.hasOwn(placements, placement) ? placements[placement] : null;
+  const rendered = renderTemplate(active.template, variables);
+
+  const base = {
+    prompt: placementHint ? `${rendered}\n\nPRODUCT PLACEMENT: ${placement} - put it ${placementHint}.` : rendered,
+    promptVersion: `${active.category}:${formatVersion(active.version)}`,
+  };
+  const instructions = getShopInstructions(prompts !== undefined ? prompts : shop?.shop_settings?.prompts, active.category);
+
+  return {
+    ...withShopInstructions(base, instructions, variables),
+    templateVersion: active.version,
+    experiment: assigned ? assigned.experiment : null,
+  };
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  TEMPLATE_VARIABLES,
+  MAX_SHOP_INSTRUCTIONS_LENGTH,
+  validateTemplate,
+  validatePromptSettings,
+  parseProductAttributes,
+  renderTemplate,
+  getActiveTemplate,
+  getTemplateVersion,
+  clearTemplateCache,
+  getShopInstructions,
+  withShopInstructions,
+  buildTryOnPrompt,
+};
@@ -0,0 +1,23 @@
+// Generation error classes
+// The class name is recorded as error_class on generation_failed usage logs
+
+// The model answered but its response held no image (text-only reply, safety block, ...)
+class NoImageGeneratedError extends Error {
+  constructor(message = 'No image generated in response') {
+    super(message);
+    this.name = 'NoImageGeneratedError';
+  }
+}
+
+// The whole try-on took longer than GENERATION_TIMEOUT_MS
+class GenerationTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Generation timed out after ${timeoutMs}ms`);
+    this.name = 'GenerationTimeoutError';
+  }
+}
+
+module.exports = {
+  NoImageGeneratedError,
+  GenerationTimeoutError,
+};
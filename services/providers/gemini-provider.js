@@ -0,0 +1,231 @@
+// Gemini image-generation provider (Google Generative AI)
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { NoImageGeneratedError } = require('./errors');
+
+class GeminiProvider {
+  /**
+   * @param {Object} options - { apiKey, imageModel, textModel }
+   */
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.imageModelName = options.imageModel || process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image';
+    this.textModelName = options.textModel || process.env.GEMINI_TEXT_MODEL || 'gemini-2.5-flash';
+    this.genAI = new GoogleGenerativeAI(options.apiKey || process.env.GEMINI_API_KEY);
+  }
+
+  /**
+   * Generate the try-on image
+   * @param {Object} params - { prompt, userImage: { buffer, mimeType }, productImage: { buffer, mimeType } | null,
+   *                            productImages: [{ buffer, mimeType }] (outfit mode, optional),
+   *                            signal: AbortSignal, cancels the request (optional) }
+   * @returns {Object} - { buffer, mimeType }
+   */
+  async generateTryOn({ prompt, userImage, productImage, productImages, signal }) {
+    const imageModel = this.genAI.getGenerativeModel({ model: this.imageModelName });
+
+    // Build content array for Gemini
+    const contentParts = [
+      { text: prompt },
+      {
+        inlineData: {
+          mimeType: userImage.mimeType,
+          data: userImage.buffer.toString('base64'),
+        },
+      },
+    ];
+    
+    // Add product image(s) if available, in the order the prompt numbers them
+    const images = productImages || (productImage ? [productImage] : []);
+    if (images.length > 0) {
+      for (const image of images) {
+        contentParts.push({
+          inlineData: {
+            mimeType: image.mimeType,
+            data: image.buffer.toString('base64'),
+          },
+        });
+      }
+      console.log(`✅ ${images.length} product image(s) added to request`);
+    } else {
+      console.warn('⚠️  WARNING: No product image in request!');
+      console.log('   This will likely produce poor results.');
+      console.log('   Make sure product_image_url is being sent from frontend.');
+    }
+    
+    console.log('📊 Total images in request:', contentParts.filter(p => p.inlineData).length);
+    console.log(`⏳ Generating image with ${this.imageModelName} (this may take 10-30 seconds)...`);
+    const imageResult = await imageModel.generateContent(contentParts, { signal });
+    const imageResponse = imageResult.response;
+    
+    console.log('📥 Response received from Gemini');
+    
+    // Extract generated image
+    console.log('🔍 Extracting generated image...');
+    
+    if (imageResponse.candidates && imageResponse.candidates[0]) {
+      const candidate = imageResponse.candidates[0];
+      
+      console.log('   Candidate found, checking for image data...');
+      
+      if (candidate.content && candidate.content.parts) {
+        console.log('   Parts found:', candidate.content.parts.length);
+        
+        for (let i = 0; i < candidate.content.parts.length; i++) {
+          const part = candidate.content.parts[i];
+          
+          if (part.inlineData && part.inlineData.data) {
+            // Found generated image!
+            console.log(`✅ Generated image found in part ${i}`);
+            console.log('   Mime type:', part.inlineData.mimeType);
+            const buffer = Buffer.from(part.inlineData.data, 'base64');
+            console.log('   Image size:', buffer.length, 'bytes');
+            return {
+              buffer,
+              mimeType: part.inlineData.mimeType || 'image/png',
+            };
+          } else if (part.text) {
+            console.log(`   Part ${i} contains text:`, part.text.substring(0, 100));
+          }
+        }
+      }
+    }
+    
+    console.error('❌ No image generated in response');
+    console.log('   Response structure:', JSON.stringify(imageResponse, null, 2).substring(0, 500));
+    throw new NoImageGeneratedError();
+  }
+
+  /**
+   * Generate short styling advice for the shopper
+   * @param {Object} params - { prompt, userImage: { buffer, mimeType }, signal (optional) }
+   * @returns {string}
+   */
+  async generateAdvice({ prompt, userImage, signal }) {
+    const adviceModel = this.genAI.getGenerativeModel({ model: this.textModelName });
+    
+    const adviceResult = await adviceModel.generateContent([
+      prompt,
+      {
+        inlineData: {
+          data: userImage.buffer.toString('base64'),
+          mimeType: userImage.mimeType,
+        },
+      },
+    ], { signal });
+    
+    return adviceResult.response.text();
+  }
+
+  /**
+   * Describe who is in the photo and what is in frame (for photo validation)
+   * @param {Object} params - { userImage: { buffer, mimeType } }
+   * @returns {Object} - { person_count, face_visible, upper_body_visible, feet_visible, head_visible, room_visible }
+   */
+  async analyzePhoto({ userImage }) {
+    const visionModel = this.genAI.getGenerativeModel({
+      model: this.textModelName,
+      generationConfig: { responseMimeType: 'application/json' },
+    });
+
+    const result = await visionModel.generateContent([
+      'Look at this photo and answer with JSON only: ' +
+      '{"person_count": <number of people clearly visible>, "face_visible": <bool>, ' +
+      '"upper_body_visible": <bool, head to waist in frame>, "feet_visible": <bool, both feet in frame>, ' +
+      '"head_visible": <bool, whole head including the top in frame>, ' +
+      '"room_visible": <bool, the photo shows an indoor room or living space>}. ' +
+      'Person booleans describe the main person; use false when there is no person.',
+      {
+        inlineData: {
+          data: userImage.buffer.toString('base64'),
+          mimeType: userImage.mimeType,
+        },
+      },
+    ]);
+
+    const analysis = JSON.parse(result.response.text());
+
+    return {
+      person_count: Number(analysis.person_count) || 0,
+      face_visible: analysis.face_visible === true,
+      upper_body_visible: analysis.upper_body_visible === true,
+      feet_visible: analysis.feet_visible === true,
+      head_visible: analysis.head_visible === true,
+      room_visible: analysis.room_visible === true,
+    };
+  }
+
+  /**
+   * Say which try-on category (and placement within it) a product belongs to, from its image
+   * @param {Object} params - { productImage: { buffer, mimeType }, productName,
+   *                            categories: [{ name, label, placements: [name] }] }
+   * @returns {Object} - { category, placement, confidence } (confidence 0-1)
+   */
+  async classifyProduct({ productImage, productName, categories }) {
+    const visionModel = this.genAI.getGenerativeModel({
+      model: this.textModelName,
+      generationConfig: { responseMimeType: 'application/json' },
+    });
+
+    const options = categories.map(category => category.placements.length > 0
+      ? `- ${category.name} (${category.label}), placement one of: ${category.placements.join(', ')}`
+      : `- ${category.name} (${category.label}), placement null`);
+
+    const result = await visionModel.generateContent([
+      `This is a product photo from an online store${productName ? ` ("${productName}")` : ''}. ` +
+      'Which virtual try-on category does the product belong to?\n' +
+      `${options.join('\n')}\n` +
+      'Answer with JSON only: {"category": <category name>, "placement": <placement name or null>, ' +
+      '"confidence": <0 to 1>}.',
+      {
+        inlineData: {
+          data: productImage.buffer.toString('base64'),
+          mimeType: productImage.mimeType,
+        },
+      },
+    ]);
+
+    const classification = JSON.parse(result.response.text());
+
+    return {
+      category: typeof classification.category === 'string' ? classification.category : null,
+      placement: typeof classification.placement === 'string' ? classification.placement : null,
+      confidence: Math.min(1, Math.max(0, Number(classification.confidence) || 0)),
+    };
+  }
+
+  /**
+   * Score an image for content that must not be shown (shopper photos and generated try-ons)
+   * @param {Object} params - { image: { buffer, mimeType }, labels: [{ name, description }] }
+   * @returns {Object} - { scores: { <label name>: 0-1 } }
+   */
+  async moderateImage({ image, labels }) {
+    const visionModel = this.genAI.getGenerativeModel({
+      model: this.textModelName,
+      generationConfig: { responseMimeType: 'application/json' },
+    });
+
+    const result = await visionModel.generateContent([
+      'You moderate images for an online store. Rate how likely this image shows each of the following, ' +
+      'from 0 (certainly not) to 1 (certainly):\n' +
+      `${labels.map(label => `- ${label.name}: ${label.description}`).join('\n')}\n` +
+      `Answer with JSON only: {${labels.map(label => `"${label.name}": <0 to 1>`).join(', ')}}.`,
+      {
+        inlineData: {
+          data: image.buffer.toString('base64'),
+          mimeType: image.mimeType,
+        },
+      },
+    ]);
+
+    const ratings = JSON.parse(result.response.text());
+
+    return {
+      scores: Object.fromEntries(labels.map(label => [
+        label.name,
+        Math.min(1, Math.max(0, Number(ratings[label.name]) || 0)),
+      ])),
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,61 @@
+// Image-generation provider registry
+// Every provider implements:
+//   generateTryOn({ prompt, userImage, productImage, productImages, signal }) -> { buffer, mimeType }
+//     (productImages lists every product image in outfit mode, productImage is the first one)
+//   generateAdvice({ prompt, userImage, signal }) -> string
+//     (signal: AbortSignal fired when the try-on timed out, providers that can should cancel their request)
+// and optionally (used by photo validation, skipped when missing):
+//   analyzePhoto({ userImage }) -> { person_count, face_visible, upper_body_visible, feet_visible,
+//                                    head_visible, room_visible }
+// and (used by category detection, skipped when missing):
+//   classifyProduct({ productImage, productName, categories }) -> { category, placement, confidence }
+// and (used by the provider moderation checker, images pass unchecked when missing):
+//   moderateImage({ image, labels }) -> { scores: { <label name>: 0-1 } }
+
+const GeminiProvider = require('./gemini-provider');
+const StubProvider = require('./stub-provider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  stub: StubProvider,
+};
+
+const DEFAULT_PROVIDER = 'gemini';
+
+// Providers are created once and reused
+const instances = {};
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name (gemini, stub)
+ * @returns {Object} - Provider instance
+ */
+function getProvider(name) {
+  const ProviderClass = PROVIDERS[name];
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown image provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new ProviderClass();
+  }
+
+  return instances[name];
+}
+
+/**
+ * Pick the provider for a shop: shop.generation_provider, then IMAGE_PROVIDER, then Gemini
+ * @param {Object} shop - Shop record
+ * @returns {Object} - Provider instance
+ */
+function getProviderForShop(shop) {
+  const name = shop?.generation_provider || process.env.IMAGE_PROVIDER || DEFAULT_PROVIDER;
+  return getProvider(name);
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  getProviderForShop,
+};
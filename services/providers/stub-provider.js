@@ -0,0 +1,115 @@
+// Offline stub provider - deterministic, no network access or API keys
+// Pastes the product image onto the shopper photo so the whole flow can be exercised locally
+const sharp = require('sharp');
+
+// Product image takes this share of the photo width, anchored bottom-right
+const PRODUCT_WIDTH_RATIO = 0.4;
+const PRODUCT_MARGIN_RATIO = 0.04;
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  /**
+   * Composite the product image(s) over the user image, stacked upwards from the bottom-right corner
+   * @param {Object} params - { prompt, userImage: { buffer, mimeType }, productImage: { buffer, mimeType } | null,
+   *                            productImages: [{ buffer, mimeType }] (outfit mode, optional) }
+   * @returns {Object} - { buffer, mimeType }
+   */
+  async generateTryOn({ userImage, productImage, productImages }) {
+    const base = sharp(userImage.buffer).rotate();
+    const { width, height } = await base.metadata();
+    const images = productImages || (productImage ? [productImage] : []);
+
+    if (images.length === 0) {
+      console.log('🧪 Stub provider: no product image, returning the photo unchanged');
+      const buffer = await base.png().toBuffer();
+      return { buffer, mimeType: 'image/png' };
+    }
+
+    const overlayWidth = Math.max(1, Math.round(width * PRODUCT_WIDTH_RATIO));
+    const margin = Math.round(width * PRODUCT_MARGIN_RATIO);
+    const slotHeight = Math.max(1, Math.round((height * 0.6) / images.length));
+    const composites = [];
+    let bottom = height - margin;
+
+    for (const image of images) {
+      const overlay = await sharp(image.buffer)
+        .resize({ width: overlayWidth, height: slotHeight, fit: 'inside' })
+        .png()
+        .toBuffer();
+      const overlayMeta = await sharp(overlay).metadata();
+
+      composites.push({
+        input: overlay,
+        left: Math.max(0, width - overlayMeta.width - margin),
+        top: Math.max(0, bottom - overlayMeta.height),
+      });
+      bottom -= overlayMeta.height;
+    }
+
+    const buffer = await base
+      .composite(composites)
+      .png()
+      .toBuffer();
+
+    console.log(`🧪 Stub provider: ${images.length} product(s) composited onto photo`);
+    return { buffer, mimeType: 'image/png' };
+  }
+
+  /**
+   * Fixed advice text, derived only from the prompt so results are reproducible
+   * @param {Object} params - { prompt, userImage }
+   * @returns {string}
+   */
+  async generateAdvice({ prompt }) {
+    const productMatch = /the product "([^"]*)"/.exec(prompt);
+    const productName = productMatch ? productMatch[1] : 'this product';
+    return `Stub styling advice: ${productName} pairs well with neutral basics. Try it with your favourite everyday outfit.`;
+  }
+
+  /**
+   * Always reports one fully visible person, so validation only checks file type and size
+   * @returns {Object} - { person_count, face_visible, upper_body_visible, feet_visible, head_visible, room_visible }
+   */
+  async analyzePhoto() {
+    return {
+      person_count: 1,
+      face_visible: true,
+      upper_body_visible: true,
+      feet_visible: true,
+      head_visible: true,
+      room_visible: true,
+    };
+  }
+
+  /**
+   * Classify from the product name only (first category or placement named in it, else apparel)
+   * @param {Object} params - { productName, categories: [{ name, label, placements: [name] }] }
+   * @returns {Object} - { category, placement, confidence }
+   */
+  async classifyProduct({ productName, categories }) {
+    const words = (productName || '').toLowerCase().split(/[^a-z]+/);
+
+    for (const category of categories) {
+      const placement = category.placements.find(name => words.includes(name) || words.includes(`${name}s`));
+      if (placement || words.includes(category.name)) {
+        return { category: category.name, placement: placement || null, confidence: 0.9 };
+      }
+    }
+
+    return { category: 'apparel', placement: null, confidence: 0.5 };
+  }
+
+  /**
+   * Never flags anything, so moderation lets every image through
+   * @param {Object} params - { image, labels: [{ name, description }] }
+   * @returns {Object} - { scores }
+   */
+  async moderateImage({ labels }) {
+    return { scores: Object.fromEntries(labels.map(label => [label.name, 0])) };
+  }
+}
+
+module.exports = StubProvider;
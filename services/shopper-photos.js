@@ -0,0 +1,145 @@
+// Reusable shopper photos
+// A shopper uploads their photo once and tries on many products with the returned token
+
+const crypto = require('crypto');
+const { getStorage, getShopPrefix } = require('./storage');
+const ShopperPhotoModel = require('../models/dynamodb-shopper-photo');
+const { normalizeShopperPhoto } = require('./image-processing');
+
+// How long an uploaded photo stays usable
+const SHOPPER_PHOTO_TTL_HOURS = parseFloat(process.env.SHOPPER_PHOTO_TTL_HOURS || '24');
+
+// Under the shop's prefix; objects outliving their record are deleted by the image retention job
+const SHOPPER_PHOTO_DIR = 'shopper-photos/';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Store a shopper photo and issue its token
+ * @param {Object} shop - Shop record
+ * @param {Object} upload - Multer file { buffer, originalname, mimetype, size }
+ * @param {string} session_id - Storefront session the photo belongs to
+ * @returns {Object} - Photo record (includes photo_token and expires_at)
+ */
+async function saveShopperPhoto(shop, upload, session_id) {
+  // Never keep the original: it may carry EXIF/GPS data
+  const file = await normalizeShopperPhoto(upload);
+
+  // The token is the only thing guarding the photo, keep it unguessable
+  const photo_token = crypto.randomBytes(24).toString('base64url');
+  const fileExtension = (file.originalname || 'photo.jpg').split('.').pop();
+  const s3_key = `${getShopPrefix(shop.shop_domain)}${SHOPPER_PHOTO_DIR}${photo_token}.${fileExtension}`;
+
+  await getStorage().put(s3_key, file.buffer, { contentType: file.mimetype });
+
+  const photo = await ShopperPhotoModel.create({
+    photo_token,
+    shop_domain: shop.shop_domain,
+    session_id,
+    s3_key,
+    mimetype: file.mimetype,
+    original_name: file.originalname,
+    size_bytes: file.size,
+    normalized: file.normalized,
+  }, Math.round(SHOPPER_PHOTO_TTL_HOURS * 3600));
+
+  console.log(`📸 Shopper photo stored for ${shop.shop_domain} (session ${session_id})`);
+
+  return photo;
+}
+
+// Photos are only usable by the shop and session that uploaded them
+async function findOwnedPhoto(photo_token, { shop_domain, session_id }) {
+  const photo = await ShopperPhotoModel.findByToken(photo_token);
+
+  if (!photo || photo.shop_domain !== shop_domain || photo.session_id !== session_id) {
+    return null;
+  }
+
+  return photo;
+}
+
+/**
+ * Load a stored photo in the same shape multer gives us for uploads
+ * @param {string} photo_token
+ * @param {Object} owner - { shop_domain, session_id }
+ * @returns {Object|null} - { buffer, originalname, mimetype, size } or null if unknown / expired
+ */
+async function loadShopperPhoto(photo_token, owner) {
+  const photo = await findOwnedPhoto(photo_token, owner);
+
+  if (!photo) {
+    return null;
+  }
+
+  const object = await getStorage().get(photo.s3_key);
+  if (!object) {
+    return null;
+  }
+  const { buffer } = object;
+
+  return {
+    buffer,
+    originalname: photo.original_name || photo.s3_key.split('/').pop(),
+    mimetype: photo.mimetype,
+    size: buffer.length,
+    normalized: photo.normalized === true,
+  };
+}
+
+/**
+ * Delete a stored photo (stored object and record)
+ * @param {string} photo_token
+ * @param {Object} owner - { shop_domain, session_id }
+ * @returns {boolean} - false if there was no such photo
+ */
+async function deleteShopperPhoto(photo_token, owner) {
+  const photo = await findOwnedPhoto(photo_token, owner);
+
+  if (!photo) {
+    return false;
+  }
+
+  await getStorage().delete(photo.s3_key);
+  await ShopperPhotoModel.delete(photo_token);
+
+  console.log(`🗑️  Shopper photo deleted for ${owner.shop_domain} (session ${owner.session_id})`);
+
+  return true;
+}
+
+/**
+ * Delete a shop's stored photos that are past SHOPPER_PHOTO_TTL_HOURS (their record has expired)
+ * @param {string} shop_domain
+ * @param {Object} options - { now, dryRun } dryRun: only report what would be deleted
+ * @returns {Object} - { photos_deleted, bytes_reclaimed }
+ */
+async function deleteExpiredShopperPhotos(shop_domain, options = {}) {
+  const now = options.now || new Date();
+  const cutoff = new Date(now.getTime() - SHOPPER_PHOTO_TTL_HOURS * HOUR_MS).toISOString();
+  const storage = getStorage();
+  const report = { photos_deleted: 0, bytes_reclaimed: 0 };
+
+  const objects = await storage.list(`${getShopPrefix(shop_domain)}${SHOPPER_PHOTO_DIR}`);
+  for (const object of objects) {
+    if (!object.last_modified || object.last_modified >= cutoff) {
+      continue;
+    }
+
+    if (!options.dryRun) {
+      await storage.delete(object.key);
+    }
+    report.photos_deleted++;
+    report.bytes_reclaimed += object.size_bytes;
+  }
+
+  return report;
+}
+
+module.exports = {
+  SHOPPER_PHOTO_TTL_HOURS,
+  saveShopperPhoto,
+  loadShopperPhoto,
+  deleteShopperPhoto,
+  deleteExpiredShopperPhotos,
+};
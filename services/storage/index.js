@@ -0,0 +1,58 @@
+// Object storage registry
+// Every image the app keeps (generated renditions, watermark originals, shopper photos) goes through one
+// storage driver, picked by STORAGE_DRIVER. Every driver implements:
+//   put(key, buffer, { contentType, metadata }) -> key
+//   get(key) -> { buffer, contentType, metadata }, null when there is no such object
+//   delete(key) (no error when the object is already gone)
+//   list(prefix) -> [{ key, size_bytes, last_modified }]
+//   getSignedUrl(key, expiresInSeconds) -> time-limited URL to the object
+// and optionally (used for usage logs from before images were private, skipped when missing):
+//   keyFromPublicUrl(url) -> key or null
+// A shop's objects are kept under its own prefix (getShopPrefix), so they can be found and deleted together.
+
+const S3Storage = require('./s3-storage');
+const LocalStorage = require('./local-storage');
+
+const STORAGE_DRIVERS = {
+  s3: S3Storage,
+  local: LocalStorage,
+};
+
+const DEFAULT_STORAGE_DRIVER = 's3';
+
+// The driver is created once and reused
+let instance = null;
+
+/**
+ * The configured storage driver (STORAGE_DRIVER, S3 by default)
+ * @returns {Object} - Storage instance
+ */
+function getStorage() {
+  if (!instance) {
+    const name = process.env.STORAGE_DRIVER || DEFAULT_STORAGE_DRIVER;
+    const StorageClass = STORAGE_DRIVERS[name];
+
+    if (!StorageClass) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    instance = new StorageClass();
+  }
+
+  return instance;
+}
+
+/**
+ * Where a shop's objects are stored
+ * @param {string} shop_domain
+ * @returns {string} - Key prefix, e.g. shops/example.myshopify.com/
+ */
+function getShopPrefix(shop_domain) {
+  return `shops/${shop_domain}/`;
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  getStorage,
+  getShopPrefix,
+};
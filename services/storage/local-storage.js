@@ -0,0 +1,167 @@
+// Local disk storage - for development and CI, no S3 bucket needed
+// Objects are files under LOCAL_STORAGE_DIR (objects/<key>, with content type and metadata in meta/<key>.json).
+// Links point at the /local-storage route and carry an HMAC signature with their expiry, like presigned URLs.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', '..', 'storage');
+
+class LocalStorage {
+  constructor() {
+    this.name = 'local';
+    this.root = path.resolve(process.env.LOCAL_STORAGE_DIR || DEFAULT_STORAGE_DIR);
+    this.objectsDir = path.join(this.root, 'objects');
+    this.metaDir = path.join(this.root, 'meta');
+    this.baseUrl = (process.env.LOCAL_STORAGE_URL || `http://localhost:${process.env.PORT || 5000}/local-storage`)
+      .replace(/\/+$/, '');
+
+    // Without a fixed secret, links stop working when the server restarts
+    this.secret = process.env.LOCAL_STORAGE_SECRET || crypto.randomBytes(32).toString('hex');
+
+    console.log(`💽 Local storage: ${this.root}`);
+  }
+
+  // Keys are relative paths, never let one point outside the storage directory
+  resolve(dir, key) {
+    const file = path.resolve(dir, key);
+    if (!key || !file.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Contents
+   * @param {Object} options - { contentType, metadata }
+   * @returns {string} - The key
+   */
+  async put(key, buffer, { contentType, metadata } = {}) {
+    const file = this.resolve(this.objectsDir, key);
+    const metaFile = this.resolve(this.metaDir, `${key}.json`);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.mkdir(path.dirname(metaFile), { recursive: true });
+    await fs.writeFile(file, buffer);
+    await fs.writeFile(metaFile, JSON.stringify({ contentType: contentType || null, metadata: metadata || {} }));
+
+    return key;
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Object key
+   * @returns {Object|null} - { buffer, contentType, metadata }, null when there is no such object
+   */
+  async get(key) {
+    let buffer;
+    try {
+      buffer = await fs.readFile(this.resolve(this.objectsDir, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const meta = await this.readMeta(key);
+    return { buffer, contentType: meta.contentType, metadata: meta.metadata };
+  }
+
+  async readMeta(key) {
+    try {
+      const meta = JSON.parse(await fs.readFile(this.resolve(this.metaDir, `${key}.json`), 'utf8'));
+      return { contentType: meta.contentType || 'application/octet-stream', metadata: meta.metadata || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { contentType: 'application/octet-stream', metadata: {} };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object (no error when it is already gone)
+   * @param {string} key - Object key
+   */
+  async delete(key) {
+    await fs.rm(this.resolve(this.objectsDir, key), { force: true });
+    await fs.rm(this.resolve(this.metaDir, `${key}.json`), { force: true });
+  }
+
+  /**
+   * Every object under a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Array} - [{ key, size_bytes, last_modified }]
+   */
+  async list(prefix) {
+    const objects = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(file);
+          continue;
+        }
+
+        const key = path.relative(this.objectsDir, file).split(path.sep).join('/');
+        if (key.startsWith(prefix)) {
+          const stats = await fs.stat(file);
+          objects.push({ key, size_bytes: stats.size, last_modified: stats.mtime.toISOString() });
+        }
+      }
+    };
+
+    await walk(this.objectsDir);
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}\n${expires}`).digest('base64url');
+  }
+
+  /**
+   * A signed link to the /local-storage route
+   * @param {string} key - Object key
+   * @param {number} expiresInSeconds - Link lifetime
+   * @returns {string}
+   */
+  async getSignedUrl(key, expiresInSeconds) {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    return `${this.baseUrl}/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  /**
+   * Check a link made by getSignedUrl
+   * @param {string} key - Object key
+   * @param {string} expires - Unix time (seconds) from the link
+   * @param {string} signature - From the link
+   * @returns {boolean} - false when the link was tampered with or has expired
+   */
+  verifySignedUrl(key, expires, signature) {
+    const expected = Buffer.from(this.sign(key, expires));
+    const given = Buffer.from(String(signature || ''));
+
+    return given.length === expected.length
+      && crypto.timingSafeEqual(given, expected)
+      && Number(expires) > Date.now() / 1000;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,135 @@
+// S3 storage - objects in the private image bucket (config/s3.js), links are presigned GET URLs
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+class S3Storage {
+  constructor() {
+    this.name = 's3';
+
+    // Loaded here so the local driver never needs S3 configuration
+    const { s3Client, bucketName } = require('../../config/s3');
+    this.client = s3Client;
+    this.bucketName = bucketName;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Contents
+   * @param {Object} options - { contentType, metadata } metadata values must be ASCII strings
+   * @returns {string} - The key
+   */
+  async put(key, buffer, { contentType, metadata } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      Metadata: metadata,
+    }));
+
+    return key;
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Object key
+   * @returns {Object|null} - { buffer, contentType, metadata }, null when there is no such object
+   */
+  async get(key) {
+    let object;
+    try {
+      object = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+      }));
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return null;
+      }
+      throw error;
+    }
+
+    return {
+      buffer: Buffer.from(await object.Body.transformToByteArray()),
+      contentType: object.ContentType,
+      metadata: object.Metadata || {},
+    };
+  }
+
+  /**
+   * Delete an object (S3 doesn't mind when it is already gone)
+   * @param {string} key - Object key
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+    }));
+  }
+
+  /**
+   * Every object under a prefix (paginated, 1000 per page)
+   * @param {string} prefix - Key prefix
+   * @returns {Array} - [{ key, size_bytes, last_modified }]
+   */
+  async list(prefix) {
+    const objects = [];
+    let token;
+
+    do {
+      const result = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: token,
+      }));
+
+      for (const object of result.Contents || []) {
+        objects.push({
+          key: object.Key,
+          size_bytes: object.Size || 0,
+          last_modified: object.LastModified ? new Date(object.LastModified).toISOString() : null,
+        });
+      }
+      token = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (token);
+
+    return objects;
+  }
+
+  /**
+   * A presigned GET URL (S3 caps them at 7 days)
+   * @param {string} key - Object key
+   * @param {number} expiresInSeconds - Link lifetime
+   * @returns {string}
+   */
+  async getSignedUrl(key, expiresInSeconds) {
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucketName, Key: key }), {
+      expiresIn: expiresInSeconds,
+    });
+  }
+
+  /**
+   * The object key of a public URL from before the bucket was private
+   * @param {string} url - https://<bucket>.s3.<region>.amazonaws.com/<key>
+   * @returns {string|null}
+   */
+  keyFromPublicUrl(url) {
+    try {
+      const parsed = new URL(url);
+      if (!parsed.hostname.startsWith(`${this.bucketName}.s3.`)) {
+        return null;
+      }
+      return decodeURIComponent(parsed.pathname.slice(1)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = S3Storage;
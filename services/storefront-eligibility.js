@@ -0,0 +1,76 @@
+// Storefront eligibility - can shoppers of this shop use the widget right now?
+// Used by every storefront-facing route (generate-image, track-usage)
+
+// Machine-readable refusal reasons, checked in this order
+const ELIGIBILITY_ERRORS = {
+  SHOP_NOT_FOUND: {
+    error: 'shop_not_found',
+    status: 404,
+    message: 'This store is not registered with See Before Buy',
+  },
+  APP_UNINSTALLED: {
+    error: 'app_uninstalled',
+    status: 403,
+    message: 'See Before Buy has been uninstalled from this store',
+  },
+  SHOP_SUSPENDED: {
+    error: 'shop_suspended',
+    status: 403,
+    message: 'See Before Buy is suspended for this store',
+  },
+  SHOP_INACTIVE: {
+    error: 'shop_inactive',
+    status: 403,
+    message: 'This store account is inactive',
+  },
+  APP_DISABLED: {
+    error: 'app_disabled',
+    status: 403,
+    message: 'See Before Buy is not enabled on this store yet',
+  },
+};
+
+/**
+ * Check whether a shop may serve the storefront widget
+ * @param {Object|null} shop - Shop record
+ * @returns {Object} - { eligible: true } or { eligible: false, error, status, message }
+ */
+function checkStorefrontEligibility(shop) {
+  let refusal = null;
+
+  if (!shop) {
+    refusal = ELIGIBILITY_ERRORS.SHOP_NOT_FOUND;
+  } else if (shop.app_status === 'uninstalled') {
+    refusal = ELIGIBILITY_ERRORS.APP_UNINSTALLED;
+  } else if (shop.suspension) {
+    refusal = ELIGIBILITY_ERRORS.SHOP_SUSPENDED;
+  } else if (!shop.is_active) {
+    refusal = ELIGIBILITY_ERRORS.SHOP_INACTIVE;
+  } else if (shop.app_status !== 'active') {
+    refusal = ELIGIBILITY_ERRORS.APP_DISABLED;
+  }
+
+  if (!refusal) {
+    return { eligible: true };
+  }
+
+  return { eligible: false, ...refusal };
+}
+
+/**
+ * Send the refusal response for an ineligible shop
+ * @param {Object} res - Express response
+ * @param {Object} eligibility - Result of checkStorefrontEligibility
+ */
+function sendEligibilityError(res, eligibility) {
+  return res.status(eligibility.status).json({
+    error: eligibility.error,
+    message: eligibility.message,
+  });
+}
+
+module.exports = {
+  ELIGIBILITY_ERRORS,
+  checkStorefrontEligibility,
+  sendEligibilityError,
+};
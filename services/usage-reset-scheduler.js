@@ -0,0 +1,91 @@
+// Monthly usage reset scheduler
+// Walks every shop and applies the resets that are due. Safe to run from several
+// server instances or alongside the CLI: each reset is a conditional update.
+
+const ShopModel = require('../models/dynamodb-shop');
+const { isResetDue } = require('./billing-cycle');
+
+// How often the in-process scheduler checks for due resets
+const DEFAULT_INTERVAL_MS = parseInt(process.env.USAGE_RESET_INTERVAL_MS, 10) || 60 * 60 * 1000; // 1 hour
+
+let schedulerTimer = null;
+let runInProgress = false;
+
+/**
+ * Reset every shop whose billing cycle rolled over
+ * @param {Object} options - { now, trigger }
+ * @returns {Object} - Summary { checked, reset, skipped, errors }
+ *                     skipped: due, but reset by someone else (another instance, the CLI) first
+ */
+async function runDueResets(options = {}) {
+  const now = options.now || new Date();
+  const trigger = options.trigger || 'scheduler';
+  const summary = { checked: 0, reset: 0, skipped: 0, errors: 0 };
+
+  console.log('🗓️  Checking shops for due usage resets...');
+
+  const shops = await ShopModel.findAll();
+
+  for (const shop of shops) {
+    summary.checked++;
+
+    if (!isResetDue(shop, now)) {
+      continue;
+    }
+
+    try {
+      if (await ShopModel.resetDueCycle(shop, { now, trigger })) {
+        summary.reset++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Error resetting usage for ${shop.shop_domain}:`, error.message);
+    }
+  }
+
+  console.log(`✅ Usage reset check complete: ${summary.reset} reset, ${summary.skipped} skipped, ${summary.checked} checked, ${summary.errors} errors`);
+  return summary;
+}
+
+/**
+ * Start the in-process scheduler (runs once right away, then every intervalMs)
+ * @param {Number} intervalMs
+ */
+function startUsageResetScheduler(intervalMs = DEFAULT_INTERVAL_MS) {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const tick = async () => {
+    // Skip a tick if the previous run is still going (large shop tables)
+    if (runInProgress) return;
+    runInProgress = true;
+
+    try {
+      await runDueResets({ trigger: 'scheduler' });
+    } catch (error) {
+      console.error('❌ Usage reset scheduler run failed:', error.message);
+    } finally {
+      runInProgress = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, intervalMs);
+  schedulerTimer.unref(); // Don't keep the process alive just for this
+  tick();
+
+  console.log(`✅ Usage reset scheduler started (every ${Math.round(intervalMs / 60000)} min)`);
+}
+
+function stopUsageResetScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  runDueResets,
+  startUsageResetScheduler,
+  stopUsageResetScheduler,
+};
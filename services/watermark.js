@@ -0,0 +1,172 @@
+// Merchant watermark
+// Brands generated try-on images with the shop's logo or name (shop_settings.watermark) so images shared on
+// social media point back to the store. The unwatermarked original is kept privately, so images can be
+// rendered again when the merchant changes the watermark.
+
+const sharp = require('sharp');
+const { fetchProductImage } = require('./product-image-fetcher');
+
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+const DEFAULT_WATERMARK = {
+  position: 'bottom-right',
+  opacity: 0.6,
+  size: 0.2, // Share of the image width
+  color: '#FFFFFF', // Text watermarks only
+};
+
+const MAX_WATERMARK_TEXT_LENGTH = 60;
+
+// Gap between the watermark and the image edge, as a share of the image width
+const EDGE_MARGIN = 0.03;
+
+// Prefix for unwatermarked originals (never linked to the storefront)
+const ORIGINALS_PREFIX = 'originals/';
+
+/**
+ * Check the shop_settings.watermark section
+ * @param {Object} watermark - { enabled, text, logo_url, position, opacity, size, color }
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateWatermarkSettings(watermark) {
+  if (typeof watermark !== 'object' || watermark === null || Array.isArray(watermark)) {
+    return 'watermark must be an object';
+  }
+
+  const { enabled, text, logo_url, position, opacity, size, color } = watermark;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'watermark.enabled must be true or false';
+  }
+  if (text !== undefined && (typeof text !== 'string' || text.trim().length === 0 || text.length > MAX_WATERMARK_TEXT_LENGTH)) {
+    return `watermark.text must be a non-empty string of at most ${MAX_WATERMARK_TEXT_LENGTH} characters`;
+  }
+  if (logo_url !== undefined) {
+    let url = null;
+    try {
+      url = new URL(logo_url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || url.protocol !== 'https:') {
+      return 'watermark.logo_url must be an https URL';
+    }
+  }
+  if (enabled && !text && !logo_url) {
+    return 'watermark needs a text or a logo_url';
+  }
+  if (position !== undefined && !WATERMARK_POSITIONS.includes(position)) {
+    return `watermark.position must be one of: ${WATERMARK_POSITIONS.join(', ')}`;
+  }
+  if (opacity !== undefined && (typeof opacity !== 'number' || opacity < 0.1 || opacity > 1)) {
+    return 'watermark.opacity must be a number between 0.1 and 1';
+  }
+  if (size !== undefined && (typeof size !== 'number' || size < 0.05 || size > 0.5)) {
+    return 'watermark.size must be a number between 0.05 and 0.5 (share of the image width)';
+  }
+  if (color !== undefined && !/^#[0-9a-f]{6}$/i.test(color)) {
+    return 'watermark.color must be a hex color like #FFFFFF';
+  }
+
+  return null;
+}
+
+/**
+ * The shop's watermark, with defaults filled in
+ * @param {Object} shop - Shop record (shop_settings.watermark)
+ * @returns {Object|null} - null when the shop has no watermark enabled
+ */
+function getWatermarkSettings(shop) {
+  const watermark = shop?.shop_settings?.watermark;
+
+  if (!watermark?.enabled || (!watermark.text && !watermark.logo_url)) {
+    return null;
+  }
+
+  return { ...DEFAULT_WATERMARK, ...watermark };
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[char]));
+}
+
+// The text as a transparent PNG about `width` pixels wide
+async function renderText(text, width, { color, opacity }) {
+  // Roughly 0.6em per character in a sans-serif font
+  const fontSize = Math.max(10, Math.round(width / (0.6 * text.length)));
+  const height = Math.round(fontSize * 1.4);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-weight="bold" `
+    + `font-size="${fontSize}" fill="${color}" fill-opacity="${opacity}">${escapeXml(text)}</text></svg>`;
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// The shop's logo as a transparent PNG `width` pixels wide, faded to the opacity
+async function renderLogo(logoUrl, width, shop, { opacity }) {
+  const logo = await fetchProductImage(logoUrl, shop);
+
+  return sharp(logo.buffer)
+    .resize({ width })
+    .ensureAlpha()
+    .composite([{
+      input: Buffer.from([0, 0, 0, Math.round(255 * opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in',
+    }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Put the shop's watermark on an image (the logo when there is one, else the text)
+ * @param {Buffer} buffer - Image (any format sharp reads)
+ * @param {Object} watermark - From getWatermarkSettings
+ * @param {Object} shop - Shop record (the logo is loaded from the shop's allowed image hosts)
+ * @returns {Buffer} - PNG
+ */
+async function applyWatermark(buffer, watermark, shop) {
+  const { data: base, info: { width, height } } = await sharp(buffer).rotate().png().toBuffer({ resolveWithObject: true });
+
+  const markWidth = Math.max(1, Math.round(width * watermark.size));
+  let mark = watermark.logo_url
+    ? await renderLogo(watermark.logo_url, markWidth, shop, watermark)
+    : await renderText(watermark.text, markWidth, watermark);
+
+  // Never larger than the image itself
+  let markSize = await sharp(mark).metadata();
+  if (markSize.width > width || markSize.height > height) {
+    mark = await sharp(mark).resize(width, height, { fit: 'inside' }).png().toBuffer();
+    markSize = await sharp(mark).metadata();
+  }
+
+  const margin = Math.round(width * EDGE_MARGIN);
+  const left = {
+    'top-left': margin,
+    'bottom-left': margin,
+    'top-right': width - markSize.width - margin,
+    'bottom-right': width - markSize.width - margin,
+    center: Math.round((width - markSize.width) / 2),
+  }[watermark.position];
+  const top = {
+    'top-left': margin,
+    'top-right': margin,
+    'bottom-left': height - markSize.height - margin,
+    'bottom-right': height - markSize.height - margin,
+    center: Math.round((height - markSize.height) / 2),
+  }[watermark.position];
+
+  return sharp(base)
+    .composite([{ input: mark, left: Math.max(0, left), top: Math.max(0, top) }])
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  WATERMARK_POSITIONS,
+  ORIGINALS_PREFIX,
+  validateWatermarkSettings,
+  getWatermarkSettings,
+  applyWatermark,
+};
@@ -0,0 +1,216 @@
+// Integration test: the /api/generate-image flow end to end with the stub provider and local storage
+// DynamoDB is replaced by an in-memory table store and product images by a generated one, so the test
+// runs offline: node --test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sbb-test-'));
+
+// Read by the modules when they load
+process.env.IMAGE_PROVIDER = 'stub';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.LOCAL_STORAGE_SECRET = 'test-secret';
+process.env.CATEGORY_DETECTION = 'off';
+process.env.AWS_REGION = 'us-east-1';
+
+const sharp = require('sharp');
+const express = require('express');
+const { docClient, TABLES } = require('../config/dynamodb');
+const productImageFetcher = require('../services/product-image-fetcher');
+
+const SHOP_DOMAIN = 'test-shop.myshopify.com';
+const PRODUCT_IMAGE_URL = 'https://cdn.shopify.com/s/files/1/shirt.png';
+
+// Key attributes of the tables the flow writes to
+const KEY_SCHEMA = {
+  [TABLES.SHOPS]: ['shop_domain'],
+  [TABLES.USAGE_LOGS]: ['log_id'],
+  [TABLES.GENERATION_CACHE]: ['cache_key'],
+  [TABLES.SHOPPER_PHOTOS]: ['photo_token'],
+  [TABLES.IMAGE_MANIFEST]: ['shop_domain', 'image_id'],
+  [TABLES.GENERATION_JOBS]: ['job_id'],
+};
+
+const tables = new Map();
+
+function getTable(name) {
+  if (!tables.has(name)) {
+    tables.set(name, new Map());
+  }
+  return tables.get(name);
+}
+
+function itemKey(tableName, item) {
+  return (KEY_SCHEMA[tableName] || Object.keys(item)).map(attribute => item[attribute]).join('\n');
+}
+
+function conditionFailed() {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  return error;
+}
+
+// Credit reservations are the only updates the assertions depend on; other updates are accepted as no-ops
+function updateShop(shop, input) {
+  const values = input.ExpressionAttributeValues || {};
+  const reservationId = input.ExpressionAttributeNames?.['#rid'];
+
+  if (input.UpdateExpression.includes('images_used = images_used + :count')) {
+    if (shop.images_used > values[':max_used']) {
+      throw conditionFailed();
+    }
+    shop.images_used += values[':count'];
+    shop.credit_reservations[reservationId] = values[':reservation'];
+  } else if (input.UpdateExpression.includes('images_used = images_used - :count')) {
+    if (!shop.credit_reservations[reservationId]) {
+      throw conditionFailed();
+    }
+    shop.images_used -= values[':count'];
+    delete shop.credit_reservations[reservationId];
+  } else if (input.UpdateExpression.startsWith('REMOVE credit_reservations.#rid')) {
+    if (!shop.credit_reservations[reservationId]) {
+      throw conditionFailed();
+    }
+    delete shop.credit_reservations[reservationId];
+  }
+
+  return { Attributes: structuredClone(shop) };
+}
+
+docClient.send = async (command) => {
+  const input = command.input;
+  const table = getTable(input.TableName);
+
+  switch (command.constructor.name) {
+    case 'PutCommand':
+      table.set(itemKey(input.TableName, input.Item), structuredClone(input.Item));
+      return {};
+    case 'GetCommand': {
+      const item = table.get(itemKey(input.TableName, input.Key));
+      return { Item: item && structuredClone(item) };
+    }
+    case 'UpdateCommand': {
+      const item = table.get(itemKey(input.TableName, input.Key));
+      if (input.TableName === TABLES.SHOPS && item) {
+        return updateShop(item, input);
+      }
+      return { Attributes: item ? structuredClone(item) : {} };
+    }
+    default:
+      return { Items: [] };
+  }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const productImage = await sharp({
+    create: { width: 200, height: 200, channels: 3, background: '#c0392b' },
+  }).png().toBuffer();
+  productImageFetcher.fetchProductImage = async () => ({ buffer: productImage, mimeType: 'image/png' });
+
+  const now = new Date().toISOString();
+  getTable(TABLES.SHOPS).set(SHOP_DOMAIN, {
+    shop_domain: SHOP_DOMAIN,
+    plan_type: 'basic',
+    images_used: 0,
+    images_limit: 100,
+    is_active: true,
+    app_status: 'active',
+    product_category: 'apparel',
+    shop_settings: null,
+    credit_reservations: {},
+    last_reset_at: now,
+    billing_anchor_at: now,
+    created_at: now,
+  });
+
+  const app = express();
+  app.use('/api/generate-image', require('../routes/generate-image'));
+  app.use('/local-storage', require('../routes/local-storage'));
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function postTryOn(photo) {
+  const form = new FormData();
+  form.append('shop_domain', SHOP_DOMAIN);
+  form.append('session_id', 'session-1');
+  form.append('product_name', 'Linen shirt');
+  form.append('product_image_url', PRODUCT_IMAGE_URL);
+  form.append('userImage', new Blob([photo]), 'me.jpg');
+
+  const response = await fetch(`${baseUrl}/api/generate-image`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+// Links point at LOCAL_STORAGE_URL (the server's port), fetch them from the test server instead
+function toTestUrl(url) {
+  const parsed = new URL(url);
+  return `${baseUrl}${parsed.pathname}${parsed.search}`;
+}
+
+function getShop() {
+  return getTable(TABLES.SHOPS).get(SHOP_DOMAIN);
+}
+
+test('a try-on with the stub provider stores the image and charges one credit', async () => {
+  const photo = await sharp({
+    create: { width: 800, height: 1200, channels: 3, background: '#2980b9' },
+  }).jpeg().toBuffer();
+
+  const { status, body } = await postTryOn(photo);
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.ok(body.generation_id);
+
+  for (const rendition of ['webp', 'jpeg', 'thumbnail']) {
+    const image = await fetch(toTestUrl(body.renditions[rendition].url));
+    assert.equal(image.status, 200, `${rendition} link is served`);
+  }
+
+  const stored = fs.readdirSync(path.join(storageDir, 'objects', 'shops', SHOP_DOMAIN, 'generated'));
+  assert.ok(stored.length >= 3);
+
+  const log = getTable(TABLES.USAGE_LOGS).get(body.generation_id);
+  assert.equal(log.event_type, 'image_generated');
+  assert.equal(log.shop_domain, SHOP_DOMAIN);
+
+  assert.equal(getShop().images_used, 1);
+  assert.deepEqual(getShop().credit_reservations, {});
+});
+
+test('the same photo and product are served from the cache without a charge', async () => {
+  const photo = await sharp({
+    create: { width: 800, height: 1200, channels: 3, background: '#2980b9' },
+  }).jpeg().toBuffer();
+
+  const { status, body } = await postTryOn(photo);
+
+  assert.equal(status, 200);
+  assert.equal(body.cache_hit, true);
+  assert.equal(getShop().images_used, 1);
+});
+
+test('a file that is not an image is refused before a credit is reserved', async () => {
+  const { status, body } = await postTryOn(Buffer.from('definitely not a photo'));
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'unsupported_file_type');
+  assert.equal(getShop().images_used, 1);
+});